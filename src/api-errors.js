@@ -0,0 +1,154 @@
+// Structured, classified errors for Zenskar API failures
+
+const REMEDIATION = {
+  validation: 'Check the arguments against the tool description and fix the fields listed in field_errors before retrying.',
+  auth: 'Check the organization ID and the auth token or API key (ZENSKAR_ORGANIZATION, ZENSKAR_AUTH_TOKEN, ZENSKAR_API_KEY or the request headers). The token may be missing or expired.',
+  permission: 'The credentials are valid but not allowed to perform this operation. Ask a Zenskar admin to grant access, or use a different key.',
+  live_write_blocked: 'This server does not send writes to production organizations. Switch to a sandbox organization or profile, or, if the user really means to change the live account, restart the server with --allow-live-writes (MCP_ALLOW_LIVE_WRITES=true); each live write then needs a human approval, with the organization ID typed in.',
+  not_found: 'The referenced record does not exist in this organization. Look the ID up with the matching list or search tool first.',
+  conflict: 'The request conflicts with the current state of the record (for example it was already processed or is in the wrong status). Fetch the record again and check its status before retrying.',
+  rate_limited: 'Zenskar is rate limiting requests. Wait before retrying and reduce parallel calls or page sizes.',
+  server: 'Zenskar returned a server error. Retry later; if it keeps failing, report it with the time of the request.',
+  timeout: 'The request timed out. Retry with narrower filters or a smaller limit.',
+  network: 'The Zenskar API could not be reached. Check network connectivity and ZENSKAR_API_BASE_URL.',
+  internal: 'The server failed while processing this call, not the Zenskar API. Retrying with the same arguments will likely fail the same way; report the message to the server maintainers.',
+  unknown: 'Check the parameters and try again.'
+};
+
+class ZenskarApiError extends Error {
+  constructor(message, { status = null, statusText = null, category, body = null, fieldErrors = [], attempts = null } = {}) {
+    super(message);
+    this.name = 'ZenskarApiError';
+    this.status = status;
+    this.statusText = statusText;
+    this.category = category || classifyStatus(status);
+    this.body = body;
+    this.fieldErrors = fieldErrors;
+    this.attempts = attempts;
+  }
+}
+
+function classifyStatus(status) {
+  if (!status) return 'unknown';
+  if (status === 400 || status === 422) return 'validation';
+  if (status === 401) return 'auth';
+  if (status === 403) return 'permission';
+  if (status === 404 || status === 410) return 'not_found';
+  if (status === 409 || status === 412) return 'conflict';
+  if (status === 408) return 'timeout';
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'server';
+  return 'validation';
+}
+
+function formatFieldPath(loc) {
+  if (!Array.isArray(loc)) return loc ? String(loc) : null;
+  // FastAPI prefixes locations with where the value came from (body, query, path)
+  const parts = loc[0] === 'body' || loc[0] === 'query' || loc[0] === 'path' ? loc.slice(1) : loc;
+  return parts.length > 0 ? parts.join('.') : null;
+}
+
+// Pull a readable message and per-field messages out of the error shapes the Zenskar API returns:
+// {"detail": "..."}, {"detail": [{"loc": [...], "msg": "..."}]}, {"message": "...", "errors": {...}}
+function parseErrorBody(text) {
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (_error) {
+    return { message: text ? String(text).slice(0, 500) : null, fieldErrors: [], body: text || null };
+  }
+
+  const fieldErrors = [];
+  let message = null;
+
+  if (body && typeof body === 'object') {
+    if (typeof body.detail === 'string') {
+      message = body.detail;
+    } else if (Array.isArray(body.detail)) {
+      body.detail.forEach(item => {
+        fieldErrors.push({ field: formatFieldPath(item.loc), message: item.msg || JSON.stringify(item) });
+      });
+    }
+
+    if (Array.isArray(body.errors)) {
+      body.errors.forEach(item => {
+        if (typeof item === 'string') {
+          fieldErrors.push({ field: null, message: item });
+        } else {
+          fieldErrors.push({ field: item.field || formatFieldPath(item.loc), message: item.message || item.msg || JSON.stringify(item) });
+        }
+      });
+    } else if (body.errors && typeof body.errors === 'object') {
+      Object.entries(body.errors).forEach(([field, messages]) => {
+        [].concat(messages).forEach(entry => fieldErrors.push({ field, message: String(entry) }));
+      });
+    }
+
+    message = message || body.message || body.error_description || (typeof body.error === 'string' ? body.error : null);
+  }
+
+  if (!message && fieldErrors.length > 0) {
+    message = fieldErrors.map(entry => (entry.field ? `${entry.field}: ${entry.message}` : entry.message)).join('; ');
+  }
+
+  return { message, fieldErrors, body };
+}
+
+// Build a ZenskarApiError from a non-2xx response
+function createApiError(status, statusText, text, { attempts = null, retrySummary = '' } = {}) {
+  const parsed = parseErrorBody(text);
+  const summary = parsed.message ? `: ${parsed.message}` : '';
+  return new ZenskarApiError(
+    `API request failed: ${status} ${statusText}${summary}${retrySummary ? ` (after ${retrySummary})` : ''}`,
+    { status, statusText, body: parsed.body, fieldErrors: parsed.fieldErrors, attempts }
+  );
+}
+
+// Turn any error thrown while running a tool into the structured payload returned to the client
+function buildErrorPayload(toolName, error) {
+  let category = error.category;
+  if (!category) {
+    if (error.timedOut) {
+      category = 'timeout';
+    } else if (error.attempts) {
+      category = 'network';
+    } else {
+      category = 'unknown';
+    }
+  }
+
+  return {
+    tool: toolName,
+    status: error.status ?? null,
+    category,
+    message: error.message,
+    field_errors: error.fieldErrors || [],
+    remediation: REMEDIATION[category] || REMEDIATION.unknown,
+    attempts: error.attempts ? error.attempts.length : null
+  };
+}
+
+function formatErrorText(payload) {
+  const lines = [
+    `Error executing ${payload.tool}: ${payload.message}`,
+    '',
+    `Category: ${payload.category}${payload.status ? ` (HTTP ${payload.status})` : ''}`
+  ];
+  if (payload.field_errors.length > 0) {
+    lines.push('Field errors:');
+    payload.field_errors.forEach(entry => {
+      lines.push(`- ${entry.field ? `${entry.field}: ` : ''}${entry.message}`);
+    });
+  }
+  lines.push(`How to fix: ${payload.remediation}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  ZenskarApiError,
+  classifyStatus,
+  parseErrorBody,
+  createApiError,
+  buildErrorPayload,
+  formatErrorText
+};
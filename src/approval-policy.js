@@ -0,0 +1,104 @@
+// Declarative approval policy evaluated against each tool call before it reaches the API.
+//
+// Policy shape (the "approvalPolicy" section of mcp-config.json):
+// {
+//   "rules": [
+//     {
+//       "name": "deletes",
+//       "reason": "Deletes cannot be undone",
+//       "match": {
+//         "methods": ["DELETE"],
+//         "tools": ["delete*", "voidInvoice"],
+//         "conditions": [{ "arg": "refund_amount", "op": "gt", "value": 100000 }]
+//       },
+//       "approvalConfig": { "title": "...", "warningText": "..." }
+//     }
+//   ]
+// }
+// Every field in "match" is optional; all given fields must match for the rule to apply.
+
+const CONDITION_OPERATORS = ['exists', 'missing', 'eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn', 'matches'];
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+// Match a tool name against a glob-style pattern (`*` = any run of characters, `?` = one character)
+function matchesToolPattern(pattern, name) {
+  if (typeof pattern !== 'string' || typeof name !== 'string') return false;
+  const source = escapeRegex(pattern).replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`).test(name);
+}
+
+function getArgValue(args, path) {
+  return String(path)
+    .split('.')
+    .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), args);
+}
+
+function evaluateCondition(condition, args) {
+  const actual = getArgValue(args, condition.arg);
+  const expected = condition.value;
+
+  switch (condition.op || 'eq') {
+    case 'exists':
+      return actual !== undefined && actual !== null && actual !== '';
+    case 'missing':
+      return actual === undefined || actual === null || actual === '';
+    case 'eq':
+      return actual === expected;
+    case 'ne':
+      return actual !== expected;
+    case 'gt':
+      return Number(actual) > Number(expected);
+    case 'gte':
+      return Number(actual) >= Number(expected);
+    case 'lt':
+      return Number(actual) < Number(expected);
+    case 'lte':
+      return Number(actual) <= Number(expected);
+    case 'in':
+      return toArray(expected).includes(actual);
+    case 'notIn':
+      return !toArray(expected).includes(actual);
+    case 'matches':
+      return typeof actual === 'string' && new RegExp(expected).test(actual);
+    default:
+      throw new Error(`Unknown approval policy operator "${condition.op}"`);
+  }
+}
+
+function ruleMatches(rule, tool, args) {
+  const match = rule.match || {};
+  const method = (tool.requestTemplate?.method || 'GET').toUpperCase();
+
+  const methods = toArray(match.methods || match.method).map(m => String(m).toUpperCase());
+  if (methods.length > 0 && !methods.includes(method)) {
+    return false;
+  }
+
+  const toolPatterns = toArray(match.tools || match.tool);
+  if (toolPatterns.length > 0 && !toolPatterns.some(pattern => matchesToolPattern(pattern, tool.name))) {
+    return false;
+  }
+
+  const conditions = toArray(match.conditions);
+  return conditions.every(condition => evaluateCondition(condition, args));
+}
+
+// Return the first policy rule that requires approval for this call, or null
+function evaluateApprovalPolicy(policy, tool, args) {
+  const rules = toArray(policy?.rules);
+  return rules.find(rule => ruleMatches(rule, tool, args)) || null;
+}
+
+module.exports = {
+  CONDITION_OPERATORS,
+  evaluateApprovalPolicy,
+  matchesToolPattern
+};
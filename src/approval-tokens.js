@@ -0,0 +1,106 @@
+// Signed, expiring approval tokens for human-in-the-loop tools
+const crypto = require('crypto');
+
+// Serialize with sorted keys so the same arguments always hash the same way
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashArguments(args) {
+  return crypto.createHash('sha256').update(canonicalize(args || {})).digest('base64url');
+}
+
+class ApprovalTokenService {
+  constructor({ secret, ttlSeconds } = {}) {
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+    this.ephemeralSecret = !secret;
+    this.ttlMs = (ttlSeconds || 900) * 1000;
+    // Nonces that have already been redeemed, kept until their token would have expired
+    this.usedNonces = new Map();
+  }
+
+  sign(encodedPayload) {
+    return crypto.createHmac('sha256', this.secret).update(encodedPayload).digest('base64url');
+  }
+
+  issue(toolName, args) {
+    const expiresAt = Date.now() + this.ttlMs;
+    const payload = {
+      t: toolName,
+      h: hashArguments(args),
+      n: crypto.randomBytes(16).toString('base64url'),
+      e: expiresAt
+    };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return {
+      token: `${encodedPayload}.${this.sign(encodedPayload)}`,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  // Check a token against the exact tool and arguments about to run. Valid tokens are single-use.
+  verify(token, toolName, args) {
+    this.pruneUsedNonces();
+
+    if (!token || typeof token !== 'string') {
+      return { valid: false, reason: 'Approval token is missing' };
+    }
+
+    const [encodedPayload, signature] = token.split('.');
+    if (!encodedPayload || !signature) {
+      return { valid: false, reason: 'Approval token is malformed' };
+    }
+
+    const expected = Buffer.from(this.sign(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: 'Approval token signature is invalid' };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { valid: false, reason: 'Approval token is malformed' };
+    }
+
+    if (payload.t !== toolName) {
+      return { valid: false, reason: `Approval token was issued for ${payload.t}, not ${toolName}` };
+    }
+    if (Date.now() > payload.e) {
+      return { valid: false, reason: 'Approval token has expired' };
+    }
+    if (payload.h !== hashArguments(args)) {
+      return { valid: false, reason: 'Arguments differ from the ones that were approved' };
+    }
+    if (this.usedNonces.has(payload.n)) {
+      return { valid: false, reason: 'Approval token has already been used' };
+    }
+
+    this.usedNonces.set(payload.n, payload.e);
+    return { valid: true };
+  }
+
+  pruneUsedNonces() {
+    const now = Date.now();
+    this.usedNonces.forEach((expiresAt, nonce) => {
+      if (expiresAt < now) {
+        this.usedNonces.delete(nonce);
+      }
+    });
+  }
+}
+
+module.exports = ApprovalTokenService;
+module.exports.hashArguments = hashArguments;
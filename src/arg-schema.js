@@ -0,0 +1,138 @@
+// Zod schemas for tool arguments, built from the arg metadata in mcp-config.json:
+// type, enum, format (date, date-time, uuid, email), minimum/maximum, and nested properties/items.
+const { z } = require('zod');
+
+const ARG_TYPES = ['string', 'integer', 'number', 'boolean', 'object', 'array'];
+const ARG_FORMATS = ['date', 'date-time', 'uuid', 'email'];
+
+function applyNumberBounds(zodType, spec) {
+  let result = zodType;
+  if (spec.minimum !== undefined) {
+    result = result.min(spec.minimum, { message: `must be at least ${spec.minimum}` });
+  }
+  if (spec.maximum !== undefined) {
+    result = result.max(spec.maximum, { message: `must be at most ${spec.maximum}` });
+  }
+  return result;
+}
+
+function buildStringType(spec) {
+  switch (spec.format) {
+    case 'date':
+      return z.string().date('must be a date in YYYY-MM-DD format, e.g. 2026-01-31');
+    case 'date-time':
+      return z.string().datetime({
+        offset: true,
+        local: true,
+        message: 'must be an ISO 8601 date-time, e.g. 2026-01-31T00:00:00 or 2026-01-31T00:00:00Z'
+      });
+    case 'uuid':
+      return z.string().uuid('must be a UUID, e.g. 3f2b6c1e-8d4a-4f7e-9b1a-2c3d4e5f6a7b');
+    case 'email':
+      return z.string().email('must be a valid email address');
+    default:
+      return z.string();
+  }
+}
+
+function buildEnumType(values) {
+  const message = `must be one of: ${values.join(', ')}`;
+  if (values.every(value => typeof value === 'string')) {
+    return z.enum(values, { errorMap: () => ({ message }) });
+  }
+  return z.union(values.map(value => z.literal(value)), { errorMap: () => ({ message }) });
+}
+
+// Build the Zod type for one arg (or one nested property / array item) without optional/default/describe
+function buildBaseType(spec) {
+  if (Array.isArray(spec.enum) && spec.enum.length > 0) {
+    return buildEnumType(spec.enum);
+  }
+
+  switch (spec.type) {
+    case 'integer':
+      return applyNumberBounds(z.number().int('must be a whole number'), spec);
+    case 'number':
+      return applyNumberBounds(z.number(), spec);
+    case 'boolean':
+      return z.boolean();
+    case 'object':
+      if (spec.properties) {
+        const shape = {};
+        Object.entries(spec.properties).forEach(([name, property]) => {
+          shape[name] = buildArgZodType(property);
+        });
+        // Unlisted keys are passed through; the config rarely describes every field the API accepts
+        return z.object(shape).passthrough();
+      }
+      return z.record(z.any());
+    case 'array':
+      return z.array(spec.items ? buildArgZodType({ ...spec.items, required: true }) : z.any());
+    default:
+      return buildStringType(spec);
+  }
+}
+
+// Full Zod type for an arg spec: { type, enum, format, minimum, maximum, properties, items, default, required, description }
+function buildArgZodType(spec) {
+  let zodType = buildBaseType(spec);
+
+  if (spec.default !== undefined) {
+    zodType = zodType.default(spec.default);
+  }
+  if (!spec.required) {
+    zodType = zodType.optional();
+  }
+  if (spec.description) {
+    zodType = zodType.describe(spec.description);
+  }
+  return zodType;
+}
+
+// What a field parses to when its value is invalid; the tool handler reports the issues as field errors
+class InvalidArgument {
+  constructor(issues) {
+    this.issues = issues;
+  }
+}
+
+// .catch() that keeps the inner type's required-ness, so the published JSON Schema is unchanged
+class FieldCatch extends z.ZodCatch {
+  isOptional() {
+    return this._def.innerType.isOptional();
+  }
+}
+
+// Wrap every field so parsing never rejects: an invalid value becomes an InvalidArgument. The SDK would
+// otherwise answer with a protocol error holding raw Zod JSON; this lets the tool answer with a normal
+// validation error result instead.
+function catchFieldErrors(shape) {
+  return Object.fromEntries(Object.entries(shape).map(([name, type]) => {
+    const caught = type.catch(({ error }) => new InvalidArgument(error.issues));
+    return [name, new FieldCatch(caught._def)];
+  }));
+}
+
+// Zod issues -> [{ field, message }] in the same shape as API field errors
+function getFieldErrors(args) {
+  const issues = Object.values(args || {})
+    .flatMap(value => (value instanceof InvalidArgument ? value.issues : []));
+  if (issues.length === 0) {
+    return null;
+  }
+  return issues.map(issue => {
+    const field = issue.path
+      .map((segment, index) => (typeof segment === 'number' ? `[${segment}]` : `${index > 0 ? '.' : ''}${segment}`))
+      .join('') || null;
+    const message = issue.code === 'invalid_type' && issue.received === 'undefined' ? 'is required' : issue.message;
+    return { field, message };
+  });
+}
+
+module.exports = {
+  ARG_TYPES,
+  ARG_FORMATS,
+  buildArgZodType,
+  catchFieldErrors,
+  getFieldErrors
+};
@@ -0,0 +1,34 @@
+// Minimal command-line parsing shared by the server and its subcommands
+
+// Read a CLI flag value (--name value or --name=value), or true for bare flags
+function getCliOption(name, argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === `--${name}`) {
+      const next = argv[i + 1];
+      return next !== undefined && !next.startsWith('--') ? next : true;
+    }
+    if (arg.startsWith(`--${name}=`)) {
+      return arg.slice(name.length + 3);
+    }
+  }
+  return undefined;
+}
+
+// Arguments that are neither flags nor flag values, e.g. the file in `validate-config ./overlay.json`
+function getPositionalArgs(argv, valueFlags = []) {
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      if (!arg.includes('=') && valueFlags.includes(arg.slice(2))) {
+        i++;
+      }
+      continue;
+    }
+    positional.push(arg);
+  }
+  return positional;
+}
+
+module.exports = { getCliOption, getPositionalArgs };
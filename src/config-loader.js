@@ -0,0 +1,140 @@
+// Loads the bundled mcp-config.json and deep-merges overlay config files over it.
+//
+// Merge rules:
+// - objects merge key by key; scalars and plain arrays from the overlay replace the base value
+// - arrays of named objects (tools, args, resources, approvalPolicy.rules) merge by "name":
+//   an overlay entry with an existing name merges into it, a new name is appended; an overlay entry
+//   without a name in such a list is an error rather than a reason to replace the whole list, and an empty
+//   overlay list changes nothing
+// - an entry with "disabled": true is removed after merging, e.g. { "name": "deleteCustomer", "disabled": true };
+//   this is the only way an overlay removes a named entry
+const fs = require('fs');
+const path = require('path');
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNamedList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => isPlainObject(item) && typeof item.name === 'string');
+}
+
+function mergeNamedLists(base, overlay, jsonPath) {
+  const merged = base.map(item => ({ ...item }));
+  overlay.forEach(item => {
+    const index = merged.findIndex(existing => existing.name === item.name);
+    if (index === -1) {
+      merged.push(item);
+    } else {
+      merged[index] = mergeConfigs(merged[index], item, `${jsonPath}[${item.name}]`);
+    }
+  });
+  return merged;
+}
+
+// jsonPath locates overlay values in error messages
+function mergeConfigs(base, overlay, jsonPath = '$') {
+  if (Array.isArray(base) && Array.isArray(overlay) && isNamedList(base) && overlay.some(isPlainObject) && !isNamedList(overlay)) {
+    // Required here, not at the top: config-validator loads this module
+    const { ConfigValidationError } = require('./config-validator.js');
+    const unnamed = overlay
+      .map((item, index) => (isPlainObject(item) && typeof item.name === 'string' ? null : `${jsonPath}[${index}]: entries of this list are merged by "name" and this one has none`))
+      .filter(Boolean);
+    throw new ConfigValidationError(unnamed);
+  }
+  if (isNamedList(base) && Array.isArray(overlay) && overlay.length === 0) {
+    return base;
+  }
+  if (Array.isArray(base) && Array.isArray(overlay) && (isNamedList(base) || base.length === 0) && isNamedList(overlay)) {
+    return mergeNamedLists(base, overlay, jsonPath);
+  }
+  if (!isPlainObject(base) || !isPlainObject(overlay)) {
+    return overlay === undefined ? base : overlay;
+  }
+
+  const merged = { ...base };
+  Object.entries(overlay).forEach(([key, value]) => {
+    merged[key] = key in base ? mergeConfigs(base[key], value, `${jsonPath}.${key}`) : value;
+  });
+  return merged;
+}
+
+// Drop entries marked "disabled": true from every named list, at any depth
+function removeDisabled(value) {
+  if (Array.isArray(value)) {
+    const items = isNamedList(value) ? value.filter(item => item.disabled !== true) : value;
+    return items.map(removeDisabled);
+  }
+  if (isPlainObject(value)) {
+    const output = {};
+    Object.entries(value).forEach(([key, entry]) => {
+      output[key] = removeDisabled(entry);
+    });
+    return output;
+  }
+  return value;
+}
+
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config ${filePath}: ${error.message}`);
+  }
+}
+
+// Overlay paths come from a comma-separated list; relative paths resolve against the working directory
+function parseOverlayPaths(value) {
+  if (!value || value === true) {
+    return [];
+  }
+  return String(value)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => path.resolve(entry));
+}
+
+function loadConfig(basePath, overlayPaths = []) {
+  const merged = overlayPaths.reduce((config, overlayPath) => {
+    try {
+      return mergeConfigs(config, readJsonFile(overlayPath));
+    } catch (error) {
+      if (error.lines) {
+        error.lines = error.lines.map(line => `${overlayPath}: ${line}`);
+        error.message = `Invalid config:\n  ${error.lines.join('\n  ')}`;
+      }
+      throw error;
+    }
+  }, readJsonFile(basePath));
+  return removeDisabled(merged);
+}
+
+// Call onChange (debounced) whenever one of the files changes. Polling survives editors that
+// save by replacing the file. The watchers do not keep the process alive.
+function watchConfigFiles(filePaths, onChange, { intervalMs = 1000, debounceMs = 200 } = {}) {
+  let timer = null;
+  const listener = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounceMs);
+  };
+
+  filePaths.forEach(filePath => {
+    fs.watchFile(filePath, { interval: intervalMs, persistent: false }, listener);
+  });
+
+  return () => {
+    clearTimeout(timer);
+    filePaths.forEach(filePath => fs.unwatchFile(filePath, listener));
+  };
+}
+
+module.exports = {
+  mergeConfigs,
+  loadConfig,
+  parseOverlayPaths,
+  watchConfigFiles
+};
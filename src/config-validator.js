@@ -0,0 +1,315 @@
+// Structural checks for mcp-config.json, run at startup and by `mcp-zenskar validate-config`.
+// Returns a list of { path, message } errors; `path` is a JSON path such as $.tools[12].args[3].type.
+const fs = require('fs');
+const path = require('path');
+const { ARG_TYPES, ARG_FORMATS } = require('./arg-schema.js');
+const { CONDITION_OPERATORS, matchesToolPattern } = require('./approval-policy.js');
+const { getCliOption, getPositionalArgs } = require('./cli-options.js');
+const { loadConfig, parseOverlayPaths } = require('./config-loader.js');
+const { describeStepProblems, getRequestHandlerNames, loadTransformPlugins } = require('./request-transforms.js');
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Thrown when a server is created from an invalid config; `lines` are the formatted errors
+class ConfigValidationError extends Error {
+  constructor(lines) {
+    super(`Invalid config:\n  ${lines.join('\n  ')}`);
+    this.name = 'ConfigValidationError';
+    this.lines = lines;
+  }
+}
+const ARG_POSITIONS = ['path', 'query', 'body'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+  return value === undefined ? 'missing' : JSON.stringify(value);
+}
+
+function createCollector() {
+  const errors = [];
+  const check = (condition, jsonPath, message) => {
+    if (!condition) {
+      errors.push({ path: jsonPath, message });
+    }
+    return condition;
+  };
+  return { errors, check };
+}
+
+function checkOptionalType(check, value, type, jsonPath) {
+  if (value === undefined) return;
+  const valid = type === 'array' ? Array.isArray(value)
+    : type === 'object' ? isPlainObject(value)
+      : typeof value === type;
+  check(valid, jsonPath, `must be ${type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`}, got ${describe(value)}`);
+}
+
+// Arg specs and their nested properties/items share the same checks; only top-level args have a position
+function validateArgSpec(check, spec, jsonPath, { topLevel }) {
+  if (!check(isPlainObject(spec), jsonPath, 'must be an object')) return;
+
+  check(ARG_TYPES.includes(spec.type), `${jsonPath}.type`, `unknown type ${describe(spec.type)}; expected one of ${ARG_TYPES.join(', ')}`);
+  checkOptionalType(check, spec.required, 'boolean', `${jsonPath}.required`);
+  checkOptionalType(check, spec.description, 'string', `${jsonPath}.description`);
+
+  if (topLevel) {
+    check(ARG_POSITIONS.includes(spec.position), `${jsonPath}.position`, `unknown position ${describe(spec.position)}; expected one of ${ARG_POSITIONS.join(', ')}`);
+  }
+  if (spec.enum !== undefined) {
+    check(Array.isArray(spec.enum) && spec.enum.length > 0, `${jsonPath}.enum`, 'must be a non-empty array');
+  }
+  if (spec.format !== undefined) {
+    check(ARG_FORMATS.includes(spec.format), `${jsonPath}.format`, `unknown format ${describe(spec.format)}; expected one of ${ARG_FORMATS.join(', ')}`);
+    check(spec.type === 'string', `${jsonPath}.format`, 'is only supported on string args');
+  }
+  ['minimum', 'maximum'].forEach(key => {
+    if (spec[key] === undefined) return;
+    check(typeof spec[key] === 'number', `${jsonPath}.${key}`, `must be a number, got ${describe(spec[key])}`);
+    check(spec.type === 'integer' || spec.type === 'number', `${jsonPath}.${key}`, 'is only supported on integer and number args');
+  });
+  if (spec.properties !== undefined) {
+    if (check(isPlainObject(spec.properties), `${jsonPath}.properties`, 'must be an object of property specs')) {
+      check(spec.type === 'object', `${jsonPath}.properties`, 'is only supported on object args');
+      Object.entries(spec.properties).forEach(([name, property]) => {
+        validateArgSpec(check, property, `${jsonPath}.properties.${name}`, { topLevel: false });
+      });
+    }
+  }
+  if (spec.items !== undefined) {
+    check(spec.type === 'array', `${jsonPath}.items`, 'is only supported on array args');
+    validateArgSpec(check, spec.items, `${jsonPath}.items`, { topLevel: false });
+  }
+}
+
+// Transform steps are checked against the registry, so plugin types must be loaded first
+function validateTransforms(check, steps, phase, jsonPath) {
+  if (steps === undefined) return;
+  if (!check(Array.isArray(steps), jsonPath, 'must be an array of transform steps')) return;
+  steps.forEach((step, index) => {
+    describeStepProblems(step, phase).forEach(message => check(false, `${jsonPath}[${index}]`, message));
+  });
+}
+
+// cache.ttlSeconds caches a GET tool's responses; cache.invalidates lists the cached tools a write makes stale
+function validateCache(check, cache, method, jsonPath) {
+  if (cache === undefined) return;
+  if (!check(isPlainObject(cache), jsonPath, 'must be an object with ttlSeconds or invalidates')) return;
+  if (cache.ttlSeconds !== undefined) {
+    check(Number.isFinite(cache.ttlSeconds) && cache.ttlSeconds > 0, `${jsonPath}.ttlSeconds`, 'must be a positive number');
+    check(method === 'GET', `${jsonPath}.ttlSeconds`, `only GET responses can be cached, not ${method}`);
+  }
+  if (cache.invalidates !== undefined) {
+    check(Array.isArray(cache.invalidates) && cache.invalidates.every(pattern => typeof pattern === 'string'),
+      `${jsonPath}.invalidates`, 'must be an array of tool names or globs');
+  }
+}
+
+// Each invalidates pattern must hit at least one cached tool, so a renamed tool cannot silently leave reads stale
+function validateCacheInvalidation(check, tools) {
+  const cachedNames = tools.filter(tool => isPlainObject(tool) && tool.cache?.ttlSeconds).map(tool => tool.name);
+  tools.forEach((tool, index) => {
+    const patterns = isPlainObject(tool) && Array.isArray(tool.cache?.invalidates) ? tool.cache.invalidates : [];
+    patterns.forEach((pattern, patternIndex) => {
+      check(cachedNames.some(name => matchesToolPattern(pattern, name)), `$.tools[${index}].cache.invalidates[${patternIndex}]`,
+        `${describe(pattern)} matches no tool with cache.ttlSeconds`);
+    });
+  });
+}
+
+function validateTool(check, tool, jsonPath) {
+  if (!check(isPlainObject(tool), jsonPath, 'must be an object')) return;
+
+  check(typeof tool.name === 'string' && tool.name.length > 0, `${jsonPath}.name`, 'must be a non-empty string');
+  check(typeof tool.description === 'string', `${jsonPath}.description`, 'must be a string');
+  ['needsApproval', 'mutating', 'idempotency'].forEach(key => checkOptionalType(check, tool[key], 'boolean', `${jsonPath}.${key}`));
+  checkOptionalType(check, tool.approvalConfig, 'object', `${jsonPath}.approvalConfig`);
+
+  const template = tool.requestTemplate;
+  const method = String(template?.method || '').toUpperCase();
+  if (check(isPlainObject(template), `${jsonPath}.requestTemplate`, 'must be an object with url and method')) {
+    check(typeof template.url === 'string' && template.url.length > 0, `${jsonPath}.requestTemplate.url`, 'must be a non-empty string');
+    check(HTTP_METHODS.includes(template.method), `${jsonPath}.requestTemplate.method`, `unknown method ${describe(template.method)}; expected one of ${HTTP_METHODS.join(', ')}`);
+    checkOptionalType(check, template.headers, 'object', `${jsonPath}.requestTemplate.headers`);
+    if (template.handler !== undefined) {
+      const handlers = getRequestHandlerNames();
+      check(handlers.includes(template.handler), `${jsonPath}.requestTemplate.handler`, `unknown handler ${describe(template.handler)}; expected one of ${handlers.join(', ')}`);
+    }
+    validateTransforms(check, template.transforms, 'request', `${jsonPath}.requestTemplate.transforms`);
+    if (template.timeoutMs !== undefined) {
+      check(Number.isFinite(template.timeoutMs) && template.timeoutMs > 0, `${jsonPath}.requestTemplate.timeoutMs`, 'must be a positive number');
+    }
+    if (template.retries !== undefined) {
+      check(Number.isInteger(template.retries) && template.retries >= 0, `${jsonPath}.requestTemplate.retries`, 'must be a non-negative integer');
+    }
+  }
+  if (tool.responseTemplate !== undefined && check(isPlainObject(tool.responseTemplate), `${jsonPath}.responseTemplate`, 'must be an object')) {
+    checkOptionalType(check, tool.responseTemplate.prependBody, 'string', `${jsonPath}.responseTemplate.prependBody`);
+    validateTransforms(check, tool.responseTemplate.transforms, 'response', `${jsonPath}.responseTemplate.transforms`);
+  }
+  validateCache(check, tool.cache, method, `${jsonPath}.cache`);
+
+  const args = tool.args === undefined ? [] : tool.args;
+  if (!check(Array.isArray(args), `${jsonPath}.args`, 'must be an array')) return;
+
+  const seen = new Set();
+  args.forEach((arg, index) => {
+    const argPath = `${jsonPath}.args[${index}]`;
+    validateArgSpec(check, arg, argPath, { topLevel: true });
+    if (!isPlainObject(arg)) return;
+    check(typeof arg.name === 'string' && arg.name.length > 0, `${argPath}.name`, 'must be a non-empty string');
+    check(!seen.has(arg.name), `${argPath}.name`, `duplicate arg name "${arg.name}"`);
+    seen.add(arg.name);
+    // A custom handler builds its own request, so its args are not bound to the template's method
+    check(!(arg.position === 'body' && method === 'GET' && !template?.handler), `${argPath}.position`, `body arg "${arg.name}" on a GET request is never sent`);
+  });
+
+  // Every {placeholder} needs a path arg, and every path arg needs a placeholder
+  if (typeof template?.url === 'string') {
+    const placeholders = (template.url.match(/\{[^}]+\}/g) || []).map(match => match.slice(1, -1));
+    const pathArgs = args.filter(arg => isPlainObject(arg) && arg.position === 'path').map(arg => arg.name);
+    placeholders.forEach(name => {
+      check(pathArgs.includes(name), `${jsonPath}.requestTemplate.url`, `placeholder {${name}} has no arg with position "path"`);
+    });
+    args.forEach((arg, index) => {
+      if (isPlainObject(arg) && arg.position === 'path') {
+        check(placeholders.includes(arg.name), `${jsonPath}.args[${index}].position`, `path arg "${arg.name}" has no {${arg.name}} placeholder in the url`);
+      }
+    });
+  }
+}
+
+function validateApprovalPolicy(check, policy, jsonPath) {
+  if (!check(isPlainObject(policy), jsonPath, 'must be an object')) return;
+  if (!check(Array.isArray(policy.rules), `${jsonPath}.rules`, 'must be an array')) return;
+
+  policy.rules.forEach((rule, index) => {
+    const rulePath = `${jsonPath}.rules[${index}]`;
+    if (!check(isPlainObject(rule), rulePath, 'must be an object')) return;
+    check(typeof rule.name === 'string', `${rulePath}.name`, 'must be a string');
+    const match = rule.match || {};
+    [].concat(match.methods || []).forEach((method, methodIndex) => {
+      check(HTTP_METHODS.includes(String(method).toUpperCase()), `${rulePath}.match.methods[${methodIndex}]`, `unknown method ${describe(method)}`);
+    });
+    [].concat(match.conditions || []).forEach((condition, conditionIndex) => {
+      const conditionPath = `${rulePath}.match.conditions[${conditionIndex}]`;
+      check(typeof condition?.arg === 'string', `${conditionPath}.arg`, 'must be a string');
+      check(CONDITION_OPERATORS.includes(condition?.op || 'eq'), `${conditionPath}.op`, `unknown operator ${describe(condition?.op)}; expected one of ${CONDITION_OPERATORS.join(', ')}`);
+    });
+  });
+}
+
+function validateResources(check, resources, toolNames, jsonPath) {
+  if (!check(Array.isArray(resources), jsonPath, 'must be an array')) return;
+
+  resources.forEach((resource, index) => {
+    const resourcePath = `${jsonPath}[${index}]`;
+    if (!check(isPlainObject(resource), resourcePath, 'must be an object')) return;
+    check(typeof resource.name === 'string', `${resourcePath}.name`, 'must be a string');
+    check(typeof resource.uri === 'string' || typeof resource.uriTemplate === 'string', resourcePath, 'needs a uri or a uriTemplate');
+    check(toolNames.has(resource.readTool), `${resourcePath}.readTool`, `unknown tool ${describe(resource.readTool)}`);
+    if (resource.listTool !== undefined) {
+      check(toolNames.has(resource.listTool), `${resourcePath}.listTool`, `unknown tool ${describe(resource.listTool)}`);
+    }
+  });
+}
+
+function validateConfig(config) {
+  const { errors, check } = createCollector();
+  if (!check(isPlainObject(config), '$', 'config must be a JSON object')) return errors;
+
+  checkOptionalType(check, config.server, 'object', '$.server');
+
+  if (check(Array.isArray(config.tools), '$.tools', 'must be an array of tools')) {
+    const names = new Map();
+    config.tools.forEach((tool, index) => {
+      const jsonPath = `$.tools[${index}]`;
+      validateTool(check, tool, jsonPath);
+      if (isPlainObject(tool) && typeof tool.name === 'string') {
+        check(!names.has(tool.name), `${jsonPath}.name`, `duplicate tool name "${tool.name}" (first defined at $.tools[${names.get(tool.name)}])`);
+        if (!names.has(tool.name)) names.set(tool.name, index);
+      }
+    });
+
+    validateCacheInvalidation(check, config.tools);
+
+    if (config.resources !== undefined) {
+      validateResources(check, config.resources, new Set(names.keys()), '$.resources');
+    }
+  }
+
+  if (config.approvalPolicy !== undefined) {
+    validateApprovalPolicy(check, config.approvalPolicy, '$.approvalPolicy');
+  }
+  if (config.responseShaping !== undefined && check(isPlainObject(config.responseShaping), '$.responseShaping', 'must be an object')) {
+    checkOptionalType(check, config.responseShaping.dropKeys, 'array', '$.responseShaping.dropKeys');
+    checkOptionalType(check, config.responseShaping.maxTokens, 'number', '$.responseShaping.maxTokens');
+  }
+
+  return errors;
+}
+
+// Name the tool in each error so "$.tools[57]" is easy to find
+function formatConfigErrors(errors, config) {
+  return errors.map(error => {
+    const match = /^\$\.tools\[(\d+)\]/.exec(error.path);
+    const toolName = match ? config?.tools?.[Number(match[1])]?.name : null;
+    return `${error.path}: ${error.message}${typeof toolName === 'string' ? ` (tool ${toolName})` : ''}`;
+  });
+}
+
+const USAGE = `Usage: mcp-zenskar validate-config [file] [--overlay] [--transform-plugins <paths>]
+
+Checks a config file (default: the bundled mcp-config.json). With --overlay, the file is merged
+over the bundled config first and the merged result is checked. Step types and handlers from
+--transform-plugins (or MCP_TRANSFORM_PLUGINS) are accepted.
+`;
+
+async function runValidateConfig(argv) {
+  if (getCliOption('help', argv)) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const bundledPath = path.join(__dirname, 'mcp-config.json');
+  const [file] = getPositionalArgs(argv, ['transform-plugins']);
+  const asOverlay = Boolean(getCliOption('overlay', argv));
+  if (asOverlay && !file) {
+    process.stderr.write(USAGE);
+    return 1;
+  }
+
+  // Step types and handlers from --transform-plugins or MCP_TRANSFORM_PLUGINS count as known
+  const pluginErrors = loadTransformPlugins(getCliOption('transform-plugins', argv) || process.env.MCP_TRANSFORM_PLUGINS);
+  if (pluginErrors.length > 0) {
+    pluginErrors.forEach(line => process.stderr.write(`${line}\n`));
+    return 1;
+  }
+
+  const target = file ? path.resolve(file) : bundledPath;
+  let config;
+  try {
+    config = asOverlay ? loadConfig(bundledPath, parseOverlayPaths(file)) : JSON.parse(fs.readFileSync(target, 'utf8'));
+  } catch (error) {
+    process.stderr.write(`${target}: ${error.message}\n`);
+    return 1;
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length === 0) {
+    process.stdout.write(`${target}: OK (${config.tools.length} tools)\n`);
+    return 0;
+  }
+  process.stderr.write(`${target}: ${errors.length} error(s)\n`);
+  formatConfigErrors(errors, config).forEach(line => process.stderr.write(`  ${line}\n`));
+  return 1;
+}
+
+module.exports = {
+  ConfigValidationError,
+  validateConfig,
+  formatConfigErrors,
+  runValidateConfig
+};
@@ -0,0 +1,50 @@
+// Which Zenskar environment a call targets, so results can be labeled and production writes guarded.
+// Signals, most explicit first: the profile's (or ZENSKAR_ENVIRONMENT's) declared environment, the API key
+// prefix (sandbox_ keys only work against sandbox orgs), then the base URL host.
+const PRODUCTION_NAMES = ['production', 'prod', 'live'];
+const SANDBOX_NAMES = ['sandbox', 'test', 'testing', 'staging', 'dev', 'development'];
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+function normalizeEnvironment(name) {
+  const lower = String(name).trim().toLowerCase();
+  if (PRODUCTION_NAMES.includes(lower)) return 'production';
+  if (SANDBOX_NAMES.includes(lower)) return 'sandbox';
+  return 'unknown';
+}
+
+function environmentFromBaseUrl(baseUrl) {
+  let host;
+  try {
+    host = new URL(baseUrl).hostname.toLowerCase();
+  } catch (_error) {
+    return null;
+  }
+  if (LOCAL_HOSTS.includes(host)) return 'local';
+  if (/(^|[.-])(sandbox|staging|test)([.-]|$)/.test(host)) return 'sandbox';
+  if (host === 'zenskar.com' || host.endsWith('.zenskar.com')) return 'production';
+  return null;
+}
+
+// Returns { environment: 'production' | 'sandbox' | 'local' | 'unknown', source }. Only the credential that
+// is actually sent counts: a JWT (or a bearer profile) is sent instead of any API key.
+function detectEnvironment({ declared, apiKey, authToken, authType, baseUrl }) {
+  if (declared) {
+    return { environment: normalizeEnvironment(declared), source: 'declared' };
+  }
+  const sendsBearer = Boolean(authToken && (authToken.startsWith('eyJ') || authType === 'bearer'));
+  if (!sendsBearer && typeof apiKey === 'string' && apiKey.startsWith('sandbox_')) {
+    return { environment: 'sandbox', source: 'key prefix' };
+  }
+  const fromUrl = environmentFromBaseUrl(baseUrl);
+  if (fromUrl) {
+    return { environment: fromUrl, source: 'base URL' };
+  }
+  return { environment: 'unknown', source: null };
+}
+
+// Production and unidentified environments get the live-write guard
+function isLiveEnvironment(environment) {
+  return environment === 'production' || environment === 'unknown';
+}
+
+module.exports = { detectEnvironment, isLiveEnvironment };
@@ -0,0 +1,148 @@
+// fetch() wrapper with per-attempt timeouts, exponential backoff with jitter and Retry-After support
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+// Statuses that mean the server rejected the request without processing it, so even a POST can be resent
+const REJECTED_STATUSES = [429];
+// Connection failures where the request never reached the server
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// 0 is a valid retry count, so only unset or malformed values fall back to the default
+function readRetryCount(value, fallback) {
+  const count = Number(value);
+  return value !== undefined && value.trim() !== '' && Number.isInteger(count) && count >= 0 ? count : fallback;
+}
+
+function getDefaultRetryOptions() {
+  return {
+    maxRetries: readRetryCount(process.env.MCP_RETRY_MAX_RETRIES, 3),
+    baseDelayMs: Number(process.env.MCP_RETRY_BASE_DELAY_MS) || 300,
+    maxDelayMs: Number(process.env.MCP_RETRY_MAX_DELAY_MS) || 10000,
+    timeoutMs: Number(process.env.MCP_REQUEST_TIMEOUT_MS) || 30000
+  };
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+// Full jitter: a random delay between 0 and the capped exponential backoff
+function computeBackoff(retryNumber, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** retryNumber);
+  return Math.round(Math.random() * ceiling);
+}
+
+function getErrorCode(error) {
+  return error?.cause?.code || error?.code || null;
+}
+
+function describeAttempts(attempts) {
+  if (!attempts || attempts.length <= 1) {
+    return '';
+  }
+  const parts = attempts.map(attempt => {
+    const outcome = attempt.status ? `HTTP ${attempt.status}` : attempt.error;
+    const retry = attempt.retryInMs !== undefined ? `, retried after ${attempt.retryInMs}ms` : '';
+    return `#${attempt.attempt} ${outcome} in ${attempt.durationMs}ms${retry}`;
+  });
+  return `${attempts.length} attempts (${parts.join('; ')})`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Send a request, retrying transient failures. Resolves with the final response (even when not ok) and its
+// body text, plus the attempt history; rejects only when the last attempt failed without a response.
+// Non-idempotent requests are only retried when the server provably did not process them, unless the caller
+// marks them idempotent (for example because they carry an idempotency key). options.fetch replaces the global fetch.
+async function fetchWithRetry(url, init = {}, options = {}) {
+  const settings = { ...getDefaultRetryOptions(), ...options };
+  const fetchImpl = options.fetch || fetch;
+  const method = (init.method || 'GET').toUpperCase();
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+  const label = options.label || method;
+  const logger = options.logger;
+  const attempts = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+    const attemptStart = Date.now();
+    const record = { attempt };
+    attempts.push(record);
+
+    let response;
+    let text;
+    let failure;
+    try {
+      response = await fetchImpl(url, { ...init, signal: controller.signal });
+      text = await response.text();
+    } catch (error) {
+      failure = error;
+    } finally {
+      clearTimeout(timer);
+    }
+    record.durationMs = Date.now() - attemptStart;
+
+    const canRetry = attempt <= settings.maxRetries;
+    let retryDelay = null;
+
+    if (failure) {
+      const timedOut = failure.name === 'AbortError';
+      const code = getErrorCode(failure);
+      record.error = timedOut ? `timeout after ${settings.timeoutMs}ms` : (code || failure.message);
+
+      const retryable = idempotent || (!timedOut && UNSENT_ERROR_CODES.includes(code));
+      if (!canRetry || !retryable) {
+        const summary = describeAttempts(attempts);
+        const message = timedOut
+          ? `Request timed out after ${settings.timeoutMs}ms`
+          : `${failure.message}${code && !failure.message.includes(code) ? ` (${code})` : ''}`;
+        const finalError = new Error(summary ? `${message} - ${summary}` : message);
+        finalError.attempts = attempts;
+        finalError.timedOut = timedOut;
+        finalError.cause = failure;
+        throw finalError;
+      }
+      retryDelay = computeBackoff(attempt - 1, settings.baseDelayMs, settings.maxDelayMs);
+    } else {
+      record.status = response.status;
+      const retryable = RETRYABLE_STATUSES.includes(response.status) &&
+        (idempotent || REJECTED_STATUSES.includes(response.status));
+
+      if (response.ok || !retryable || !canRetry) {
+        return { response, text, attempts };
+      }
+
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      if (retryAfter !== null) {
+        if (retryAfter > settings.maxDelayMs) {
+          logger?.warn(`[${label}] Retry-After of ${retryAfter}ms exceeds the ${settings.maxDelayMs}ms limit; not retrying`);
+          return { response, text, attempts };
+        }
+        retryDelay = retryAfter;
+      } else {
+        retryDelay = computeBackoff(attempt - 1, settings.baseDelayMs, settings.maxDelayMs);
+      }
+    }
+
+    record.retryInMs = retryDelay;
+    logger?.warn(`[${label}] Attempt ${attempt} failed (${record.status ? `HTTP ${record.status}` : record.error}); retrying in ${retryDelay}ms`);
+    await sleep(retryDelay);
+  }
+}
+
+module.exports = {
+  fetchWithRetry,
+  describeAttempts,
+  parseRetryAfter
+};
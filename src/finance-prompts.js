@@ -0,0 +1,139 @@
+// Built-in MCP prompts for recurring finance workflows. Each prompt names the tools it walks
+// through; tools disabled on this server (read-only mode, --tools filters) are called out in the text.
+const { z } = require('zod');
+
+const FINANCE_PROMPTS = [
+  {
+    name: 'month-end-close',
+    title: 'Month-end close review',
+    description: 'Review invoicing, collections, revenue recognition and the financial statements for a closed month',
+    tools: ['listInvoices', 'listAllPayments', 'listJobs', 'getIncomeStatement', 'getBalanceSheet', 'listJournalEntries'],
+    args: {
+      month: z.string().describe('Month to close, as YYYY-MM'),
+      businessEntityId: z.string().optional().describe('Limit payments to one business entity')
+    },
+    build: ({ month, businessEntityId }) => {
+      const { start, end } = monthRange(month);
+      return [
+        `Run a month-end close review for ${month} (${start} to ${end}).`,
+        '',
+        `1. Call listInvoices with created_at__gte=${start} and created_at__lte=${end}, fetchAll=true and fields="results[].id,results[].invoice_number,results[].status,results[].total_amount,results[].amount_due,results[].customer". Report counts and totals per status. List every invoice still in "draft" or "upcoming" status; these were not issued.`,
+        `2. Call listAllPayments with created_at__gte=${start} and created_at__lte=${end}${businessEntityId ? ` and customer__business_entity_id=${businessEntityId}` : ''}, fetchAll=true. Compare collected amounts with invoiced amounts. Flag failed payments and refunds.`,
+        '3. Call listJobs and check that invoice generation and revenue recognition jobs for the month finished without errors.',
+        `4. Call getIncomeStatement and getBalanceSheet with start_date=${start} and end_date=${end}. Summarize revenue, expenses and net income, and check that the balance sheet balances.`,
+        '5. Call listJournalEntries and point out manual entries dated in the month that need review.',
+        '',
+        'Finish with a checklist of open items blocking the close. Do not approve, void or change anything; this is a review only.'
+      ].join('\n');
+    }
+  },
+  {
+    name: 'overdue-collections',
+    title: 'Overdue invoice follow-up',
+    description: 'Find overdue invoices, check what has been paid and prepare payment links for follow-up',
+    tools: ['getCurrentDateTime', 'listInvoices', 'getInvoicePayments', 'generateInvoicePaymentLink'],
+    args: {
+      daysOverdue: z.string().optional().describe('Only include invoices at least this many days past due (default 1)'),
+      minAmountDue: z.string().optional().describe('Only include invoices with at least this amount due'),
+      customerId: z.string().optional().describe('Limit the follow-up to one customer')
+    },
+    build: ({ daysOverdue, minAmountDue, customerId }) => {
+      const filters = [
+        'status__in="approved,partially_paid"',
+        'due_date__lte=<today minus the overdue days>',
+        minAmountDue ? `amount_due__gte=${minAmountDue}` : null,
+        customerId ? `customer_id=${customerId}` : null
+      ].filter(Boolean).join(', ');
+      return [
+        `Prepare an overdue-invoice follow-up for invoices at least ${daysOverdue || 1} day(s) past due.`,
+        '',
+        '1. Call getCurrentDateTime to get today\'s date.',
+        `2. Call listInvoices with ${filters} and fetchAll=true.`,
+        '3. For each invoice, call getInvoicePayments with its invoiceId to confirm what has been paid. Skip invoices that are fully paid even if their status has not caught up.',
+        '4. For each invoice that still has an amount due, call generateInvoicePaymentLink with its invoiceId.',
+        '',
+        'Return a table grouped by customer: invoice number, due date, days overdue, amount due, amount paid so far, and payment link. Add a short, polite reminder message per customer that the team can send. Do not charge, void or modify invoices.'
+      ].join('\n');
+    }
+  },
+  {
+    name: 'customer-onboarding',
+    title: 'New customer onboarding',
+    description: 'Create a customer and its contract from the signed terms, then set up the usage event schema for metered pricing',
+    tools: ['listCustomers', 'createCustomer', 'extractContractFromRaw', 'createContract', 'listRawMetrics', 'createRawMetric', 'listAggregates'],
+    args: {
+      customerName: z.string().describe('Legal name of the new customer'),
+      contractTerms: z.string().optional().describe('Contract terms in plain text, pasted from the order form'),
+      usageEvent: z.string().optional().describe('Name of the usage event to meter, if the contract has usage-based pricing')
+    },
+    build: ({ customerName, contractTerms, usageEvent }) => [
+      `Onboard the new customer "${customerName}".`,
+      '',
+      `1. Call listCustomers with search="${customerName}" to make sure the customer does not already exist. If it does, stop and report the existing record.`,
+      '2. Call createCustomer with the customer name, external_id, billing email and address. Ask me for any missing required detail instead of guessing.',
+      contractTerms
+        ? `3. Call extractContractFromRaw with these terms:\n\n${contractTerms}\n\n   Review the extracted phases and pricing with me before continuing.`
+        : '3. Ask me for the contract terms, then call extractContractFromRaw with them and review the extracted phases and pricing with me.',
+      '4. Call createContract for the new customer_id using the reviewed extraction.',
+      usageEvent
+        ? `5. The contract meters "${usageEvent}". Call listRawMetrics to check whether a usage event schema already exists. If not, propose a dataschema (customer_id, timestamp and the data fields) and call createRawMetric once I confirm. Then call listAggregates to check that a billable metric uses it.`
+        : '5. If the contract has usage-based pricing, call listRawMetrics and listAggregates to check that the usage event schema and billable metric exist, and propose createRawMetric if one is missing.',
+      '',
+      'Confirm with me before each create call, and finish with the IDs of everything that was created.'
+    ].join('\n')
+  },
+  {
+    name: 'revenue-recognition-check',
+    title: 'Revenue recognition check',
+    description: 'Check recognized revenue for a period against invoicing before and after running revenue recognition',
+    tools: ['listJobs', 'getIncomeStatement', 'listInvoices', 'listContracts', 'recogniseRevenue'],
+    args: {
+      periodStart: z.string().describe('First day of the period, YYYY-MM-DD'),
+      periodEnd: z.string().describe('Last day of the period, YYYY-MM-DD')
+    },
+    build: ({ periodStart, periodEnd }) => [
+      `Check revenue recognition for ${periodStart} to ${periodEnd}.`,
+      '',
+      '1. Call listJobs and find the latest revenue recognition job. Report when it ran and whether it succeeded.',
+      `2. Call getIncomeStatement with start_date=${periodStart} and end_date=${periodEnd}, and note recognized revenue per account.`,
+      `3. Call listInvoices with created_at__gte=${periodStart} and created_at__lte=${periodEnd}, status__in="approved,paid,partially_paid" and fetchAll=true, and total the invoiced amounts.`,
+      `4. Call listContracts with start_date__lte=${periodEnd} and end_date__gte=${periodStart} to find active contracts. Flag contracts with no invoice in the period, and large gaps between invoiced and recognized revenue.`,
+      `5. If recognition looks stale, propose running recogniseRevenue with end_date=${periodEnd}. Only call it after I confirm.`,
+      '',
+      'Summarize the differences found and their likely causes (deferred revenue, unbilled usage, missing invoices).'
+    ].join('\n')
+  }
+];
+
+// "2026-09" -> { start: '2026-09-01', end: '2026-09-30' }
+function monthRange(month) {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(month).trim());
+  if (!match) {
+    return { start: `${month}-01`, end: `end of ${month}` };
+  }
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]);
+  const lastDay = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+  return { start: `${match[1]}-${match[2]}-01`, end: `${match[1]}-${match[2]}-${String(lastDay).padStart(2, '0')}` };
+}
+
+function registerFinancePrompts(server, { isToolEnabled = () => true } = {}) {
+  FINANCE_PROMPTS.forEach(prompt => {
+    server.registerPrompt(
+      prompt.name,
+      { title: prompt.title, description: prompt.description, argsSchema: prompt.args },
+      args => {
+        const unavailable = prompt.tools.filter(name => !isToolEnabled(name));
+        const note = unavailable.length > 0
+          ? `\n\nNote: these tools are disabled on this server, so skip or ask me to do those steps manually: ${unavailable.join(', ')}.`
+          : '';
+        return {
+          description: prompt.description,
+          messages: [{ role: 'user', content: { type: 'text', text: prompt.build(args) + note } }]
+        };
+      }
+    );
+  });
+}
+
+module.exports = { FINANCE_PROMPTS, registerFinancePrompts };
@@ -0,0 +1,243 @@
+// Record/replay of Zenskar API traffic as JSON fixture files, so agent workflows can run offline and
+// deterministically. Both wrap fetch(), so everything that goes through sendRequest (tool calls, pagination,
+// preview and enrichment fetches) is captured and served the same way.
+//
+// One file per distinct request (method + path and query + body), named e.g. GET_customers_1a2b3c4d.json:
+//   { "request": { "method": "GET", "path": "/customers?limit=10", "body": null },
+//     "responses": [{ "status": 200, "statusText": "OK", "headers": { "content-type": "application/json" }, "json": {...} }] }
+// A request seen several times in one recording keeps every response; replay serves them in order and then
+// repeats the last one. Credentials, Bearer/JWT/sandbox_ strings and PII fields are redacted before writing;
+// the file name hashes the request before redaction.
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { createRedactor, DEFAULT_PII_FIELDS } = require('./logger.js');
+const { getCliOption } = require('./cli-options.js');
+
+// Response headers worth keeping; the rest vary per call and only add noise to diffs
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+const BODYLESS_STATUSES = [204, 205, 304];
+
+function parseJson(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (_error) {
+    return { ok: false };
+  }
+}
+
+class FixtureStore {
+  constructor({ dir, redactFields = DEFAULT_PII_FIELDS } = {}) {
+    if (!dir) {
+      throw new Error('A fixture directory is required');
+    }
+    this.dir = path.resolve(dir);
+    this.redact = createRedactor(redactFields);
+    // key -> fixture written by this process, so repeated requests append instead of overwriting
+    this.recorded = new Map();
+    // key -> number of responses already served in replay
+    this.served = new Map();
+  }
+
+  // Redacted form of a request, for the fixture file, and its key. The origin is dropped so fixtures work against
+  // any base URL. The key hashes the unredacted request, so requests that differ only in redacted fields
+  // (two customers with different emails) get their own fixtures.
+  describeRequest(method, url, body) {
+    const parsedUrl = new URL(url, 'http://fixture.invalid');
+    const requestMethod = String(method || 'GET').toUpperCase();
+    const requestPath = `${parsedUrl.pathname}${parsedUrl.search}`;
+    let requestBody = null;
+    if (body !== undefined && body !== null && body !== '') {
+      const parsed = parseJson(String(body));
+      requestBody = parsed.ok ? parsed.value : String(body);
+    }
+    const key = crypto
+      .createHash('sha256')
+      .update(`${requestMethod} ${requestPath}\n${JSON.stringify(requestBody)}`)
+      .digest('hex')
+      .slice(0, 8);
+    return {
+      request: { method: requestMethod, path: this.redact(requestPath), body: this.redact(requestBody) },
+      key
+    };
+  }
+
+  fileFor(request, key) {
+    const pathname = request.path.split('?')[0];
+    const slug = pathname.replace(/^\/+|\/+$/g, '').replace(/[^A-Za-z0-9_-]+/g, '_').slice(0, 60) || 'root';
+    return path.join(this.dir, `${request.method}_${slug}_${key}.json`);
+  }
+
+  record(request, key, response) {
+    const file = this.fileFor(request, key);
+    const fixture = this.recorded.get(file) || { request, responses: [] };
+    fixture.responses.push(response);
+    this.recorded.set(file, fixture);
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+    return file;
+  }
+
+  // Next recorded response for the request, or null with the file that was expected. A fixture file that
+  // cannot be parsed comes back as { error } rather than throwing, so one bad file cannot take the stub server down.
+  next(request, key) {
+    const file = this.fileFor(request, key);
+    if (!fs.existsSync(file)) {
+      return { response: null, file };
+    }
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return { response: null, file, error: `Fixture ${file} is not valid JSON: ${error.message}` };
+    }
+    const responses = fixture.responses || [];
+    const count = this.served.get(file) || 0;
+    this.served.set(file, count + 1);
+    return { response: responses[Math.min(count, responses.length - 1)] || null, file };
+  }
+
+  async toRecordedResponse(response) {
+    const text = await response.text();
+    const headers = {};
+    RECORDED_HEADERS.forEach(name => {
+      const value = response.headers.get(name);
+      if (value !== null) {
+        headers[name] = value;
+      }
+    });
+    const parsed = text ? parseJson(text) : { ok: false };
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      ...(parsed.ok ? { json: this.redact(parsed.value) } : { text: this.redact(text) })
+    };
+  }
+}
+
+function recordedBodyText(recorded) {
+  if (BODYLESS_STATUSES.includes(recorded.status)) {
+    return null;
+  }
+  return recorded.json !== undefined ? JSON.stringify(recorded.json) : (recorded.text ?? '');
+}
+
+// The replayed answer to a request: the recorded response, a 500 for an unreadable fixture file, or a 501
+// naming the missing fixture (501 is not retried). problem describes the last two for logging.
+function replayRequest(store, method, url, body) {
+  const { request, key } = store.describeRequest(method, url, body);
+  const { response, file, error } = store.next(request, key);
+  if (error) {
+    return {
+      problem: error,
+      status: 500,
+      statusText: 'Internal Server Error',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ detail: error })
+    };
+  }
+  if (!response) {
+    return {
+      problem: `no fixture for ${request.method} ${request.path}`,
+      status: 501,
+      statusText: 'Not Implemented',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({
+        detail: `No recorded fixture for ${request.method} ${request.path} (expected ${file}). Record it with --record first.`
+      })
+    };
+  }
+  return {
+    problem: null,
+    status: response.status,
+    statusText: response.statusText || '',
+    headers: response.headers || {},
+    body: recordedBodyText(response)
+  };
+}
+
+// fetch() that performs the real request and writes each request/response pair to dir
+function createRecordingFetch({ dir, fetch: fetchImpl = fetch, redactFields } = {}) {
+  const store = new FixtureStore({ dir, redactFields });
+  return async (url, init = {}) => {
+    const response = await fetchImpl(url, init);
+    const { request, key } = store.describeRequest(init.method, String(url), init.body);
+    // Record from a clone so the caller still gets an unread body
+    store.record(request, key, await store.toRecordedResponse(response.clone()));
+    return response;
+  };
+}
+
+// fetch() that never touches the network: answers from the fixtures in dir (see replayRequest)
+function createReplayFetch({ dir, redactFields } = {}) {
+  const store = new FixtureStore({ dir, redactFields });
+  return async (url, init = {}) => {
+    const answer = replayRequest(store, init.method, String(url), init.body);
+    return new Response(answer.body, { status: answer.status, statusText: answer.statusText, headers: answer.headers });
+  };
+}
+
+// Local HTTP stand-in for the Zenskar API that serves a fixture directory; point ZENSKAR_API_BASE_URL at it
+function startStubServer({ dir, port = 4010, host = '127.0.0.1', redactFields, logger = console } = {}) {
+  const store = new FixtureStore({ dir, redactFields });
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const answer = replayRequest(store, req.method, req.url, Buffer.concat(chunks).toString('utf8'));
+      if (answer.problem) {
+        logger.error(`stub-server: ${answer.problem}`);
+      }
+      res.writeHead(answer.status, answer.headers);
+      res.end(answer.body ?? undefined);
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+const USAGE = `Usage: mcp-zenskar stub-server --fixtures <dir> [options]
+
+Serves fixtures recorded with --record as a local Zenskar API.
+
+Options:
+  --fixtures <dir>     Fixture directory written by --record
+  --port <port>        Port to listen on (default: 4010)
+  --host <host>        Interface to bind (default: 127.0.0.1)
+`;
+
+async function runStubServer(argv) {
+  const dir = getCliOption('fixtures', argv);
+  if (!dir || dir === true || getCliOption('help', argv)) {
+    process.stderr.write(USAGE);
+    return dir ? 0 : 1;
+  }
+  if (!fs.existsSync(dir)) {
+    process.stderr.write(`stub-server failed: fixture directory ${dir} does not exist\n`);
+    return 1;
+  }
+
+  const port = Number(getCliOption('port', argv) || 4010);
+  const host = getCliOption('host', argv) || '127.0.0.1';
+  try {
+    const server = await startStubServer({ dir, port, host });
+    process.stderr.write(`Zenskar stub API serving ${path.resolve(dir)} on http://${host}:${port}\n`);
+    process.stderr.write(`Set ZENSKAR_API_BASE_URL=http://${host}:${port} for the MCP server\n`);
+    await new Promise(resolve => server.on('close', resolve));
+    return 0;
+  } catch (error) {
+    process.stderr.write(`stub-server failed: ${error.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = {
+  createRecordingFetch,
+  createReplayFetch,
+  startStubServer,
+  runStubServer
+};
@@ -0,0 +1,385 @@
+// `mcp-zenskar generate-config`: build mcp-config.json tool entries from a local OpenAPI 3 document.
+//
+// Tools that already exist in the config (matched by method and path) keep their name and any
+// hand-written settings: tool and arg descriptions, approval flags and texts, mutating/idempotency flags,
+// response templates, cache TTLs and invalidation rules, extra request template settings, arg defaults and
+// constraints the spec does not declare, and args the spec lacks that the request template still uses.
+const fs = require('fs');
+const path = require('path');
+const { matchesToolPattern } = require('./approval-policy.js');
+const { getCliOption } = require('./cli-options.js');
+const { ARG_FORMATS } = require('./arg-schema.js');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const PRESERVED_TOOL_KEYS = ['needsApproval', 'approvalConfig', 'mutating', 'idempotency', 'responseTemplate', 'cache'];
+const PRESERVED_ARG_KEYS = ['default', 'enum', 'format', 'minimum', 'maximum', 'properties', 'items'];
+// Nested object schemas deeper than this are emitted as plain objects
+const MAX_SCHEMA_DEPTH = 3;
+
+function resolveRef(spec, schema, seen = new Set()) {
+  if (!schema || typeof schema.$ref !== 'string') {
+    return schema;
+  }
+  if (!schema.$ref.startsWith('#/') || seen.has(schema.$ref)) {
+    return {};
+  }
+  const target = schema.$ref
+    .slice(2)
+    .split('/')
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((value, key) => (value ? value[key] : undefined), spec);
+  return resolveRef(spec, target || {}, new Set([...seen, schema.$ref]));
+}
+
+// Collapse allOf, and anyOf/oneOf with a null variant (FastAPI's Optional[...]), into one schema
+function normalizeSchema(spec, schema) {
+  const resolved = resolveRef(spec, schema) || {};
+  if (Array.isArray(resolved.allOf)) {
+    return resolved.allOf.map(part => normalizeSchema(spec, part)).reduce((merged, part) => ({
+      ...merged,
+      ...part,
+      properties: { ...(merged.properties || {}), ...(part.properties || {}) },
+      required: [...(merged.required || []), ...(part.required || [])]
+    }), { description: resolved.description });
+  }
+  const variants = resolved.anyOf || resolved.oneOf;
+  if (Array.isArray(variants)) {
+    const nonNull = variants.map(variant => resolveRef(spec, variant)).filter(variant => variant.type !== 'null');
+    const chosen = nonNull.length > 0 ? normalizeSchema(spec, nonNull[0]) : {};
+    return { ...chosen, description: resolved.description || chosen.description, default: resolved.default ?? chosen.default };
+  }
+  return resolved;
+}
+
+function getSchemaType(schema) {
+  const type = Array.isArray(schema.type) ? schema.type.find(entry => entry !== 'null') : schema.type;
+  if (type) return type;
+  if (schema.properties) return 'object';
+  if (schema.items) return 'array';
+  return 'string';
+}
+
+// OpenAPI schema -> arg spec fields (type, enum, format, bounds, nested properties/items)
+function schemaToSpec(spec, rawSchema, depth = 0) {
+  const schema = normalizeSchema(spec, rawSchema);
+  const result = { type: getSchemaType(schema) };
+
+  if (schema.description || schema.title) {
+    result.description = String(schema.description || schema.title).trim();
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    result.enum = schema.enum.filter(value => value !== null);
+  }
+  if (ARG_FORMATS.includes(schema.format)) {
+    result.format = schema.format;
+  }
+  if (typeof schema.minimum === 'number') {
+    result.minimum = schema.minimum;
+  }
+  if (typeof schema.maximum === 'number') {
+    result.maximum = schema.maximum;
+  }
+  if (schema.default !== undefined && schema.default !== null) {
+    result.default = schema.default;
+  }
+
+  if (result.type === 'object' && schema.properties && depth < MAX_SCHEMA_DEPTH) {
+    const required = new Set(schema.required || []);
+    result.properties = {};
+    Object.entries(schema.properties).forEach(([name, property]) => {
+      result.properties[name] = { ...schemaToSpec(spec, property, depth + 1), required: required.has(name) };
+    });
+  }
+  if (result.type === 'array' && schema.items && depth < MAX_SCHEMA_DEPTH) {
+    const items = schemaToSpec(spec, schema.items, depth + 1);
+    if (items.type !== 'string' || items.enum || items.format) {
+      delete items.description;
+      result.items = items;
+    }
+  }
+  return result;
+}
+
+// Descriptions missing from the spec stay undefined until merging, so existing ones can fill the gap
+function buildArg(name, specFields, { required, position }) {
+  const { type, description, ...constraints } = specFields;
+  return {
+    name,
+    description,
+    type,
+    required: Boolean(required),
+    position,
+    ...constraints
+  };
+}
+
+function buildOperationArgs(spec, pathItem, operation, warnings, operationId) {
+  const args = [];
+  const addArg = arg => {
+    if (args.some(existing => existing.name === arg.name)) {
+      warnings.push(`${operationId}: duplicate argument "${arg.name}" (${arg.position}) skipped`);
+      return;
+    }
+    args.push(arg);
+  };
+
+  // Operation-level parameters override path-level ones with the same name and location
+  const parameters = new Map();
+  [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach(parameter => {
+    const resolved = resolveRef(spec, parameter);
+    parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+  });
+
+  parameters.forEach(parameter => {
+    if (parameter.in !== 'path' && parameter.in !== 'query') {
+      return; // headers and cookies are set by the server
+    }
+    const fields = schemaToSpec(spec, parameter.schema || {});
+    addArg(buildArg(parameter.name, { ...fields, description: parameter.description || fields.description }, {
+      required: parameter.in === 'path' || parameter.required,
+      position: parameter.in
+    }));
+  });
+
+  const requestBody = resolveRef(spec, operation.requestBody);
+  const bodySchema = requestBody?.content?.['application/json']?.schema;
+  if (bodySchema) {
+    const schema = normalizeSchema(spec, bodySchema);
+    if (getSchemaType(schema) === 'object' && schema.properties) {
+      const required = new Set(schema.required || []);
+      Object.entries(schema.properties).forEach(([name, property]) => {
+        addArg(buildArg(name, schemaToSpec(spec, property, 1), { required: required.has(name), position: 'body' }));
+      });
+    } else {
+      warnings.push(`${operationId}: request body is not a JSON object with properties; add its args by hand`);
+    }
+  }
+
+  return { args, hasJsonBody: Boolean(bodySchema) };
+}
+
+function toOperationId(method, apiPath) {
+  const words = `${method} ${apiPath}`.replace(/[{}]/g, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return words.map((word, index) => (index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1))).join('');
+}
+
+function matchesFilters(operationId, { include = [], exclude = [] }) {
+  if (include.length > 0 && !include.some(pattern => matchesToolPattern(pattern, operationId))) {
+    return false;
+  }
+  return !exclude.some(pattern => matchesToolPattern(pattern, operationId));
+}
+
+// Build tool entries for every operation in the spec that passes the operationId filters
+function generateTools(spec, { include = [], exclude = [] } = {}) {
+  if (!spec || typeof spec.openapi !== 'string' || !spec.openapi.startsWith('3')) {
+    throw new Error('Expected an OpenAPI 3 document (missing or unsupported "openapi" version)');
+  }
+
+  const tools = [];
+  const warnings = [];
+  Object.entries(spec.paths || {}).forEach(([apiPath, rawPathItem]) => {
+    const pathItem = resolveRef(spec, rawPathItem);
+    HTTP_METHODS.forEach(method => {
+      const operation = pathItem[method];
+      if (!operation) return;
+
+      const operationId = operation.operationId || toOperationId(method, apiPath);
+      if (!matchesFilters(operationId, { include, exclude })) return;
+
+      const { args, hasJsonBody } = buildOperationArgs(spec, pathItem, operation, warnings, operationId);
+      const summary = (operation.summary || '').trim();
+      const description = (operation.description || '').trim();
+
+      tools.push({
+        name: operationId,
+        description: description || summary || undefined,
+        args,
+        requestTemplate: {
+          url: apiPath,
+          method: method.toUpperCase(),
+          ...(hasJsonBody ? { headers: { 'Content-Type': 'application/json' } } : {})
+        },
+        responseTemplate: {
+          prependBody: `## ${summary || operationId}\n\n`
+        }
+      });
+    });
+  });
+
+  return { tools, warnings };
+}
+
+function routeKey(tool) {
+  return `${tool.requestTemplate?.method || 'GET'} ${String(tool.requestTemplate?.url || '').replace(/\{[^}]+\}/g, '{}')}`;
+}
+
+function getPathParams(url) {
+  return (String(url).match(/\{[^}]+\}/g) || []).map(param => param.slice(1, -1));
+}
+
+// Carry the existing tool's name, path parameter names and hand-written settings onto a generated tool
+function preserveOverrides(generated, existing) {
+  const renamed = new Map();
+  const existingParams = getPathParams(existing.requestTemplate?.url);
+  const generatedParams = getPathParams(generated.requestTemplate.url);
+  if (existingParams.length === generatedParams.length) {
+    generatedParams.forEach((param, index) => renamed.set(param, existingParams[index]));
+  }
+
+  const existingArgs = new Map((existing.args || []).map(arg => [arg.name, arg]));
+  const args = generated.args.map(arg => {
+    const name = arg.position === 'path' && renamed.has(arg.name) ? renamed.get(arg.name) : arg.name;
+    const previous = existingArgs.get(name);
+    const merged = { ...arg, name, description: previous?.description || arg.description };
+    if (previous) {
+      PRESERVED_ARG_KEYS.forEach(key => {
+        if (merged[key] === undefined && previous[key] !== undefined) {
+          merged[key] = previous[key];
+        }
+      });
+    }
+    return merged;
+  });
+
+  const requestTemplate = {
+    ...generated.requestTemplate,
+    ...existing.requestTemplate,
+    url: generated.requestTemplate.url.replace(/\{([^}]+)\}/g, (match, param) => `{${renamed.get(param) || param}}`),
+    method: generated.requestTemplate.method
+  };
+
+  // Hand-added args the spec lacks survive while the request template (a transform step, a handler) uses them
+  const generatedNames = new Set(args.map(arg => arg.name));
+  const referenced = collectStrings(requestTemplate);
+  const kept = [];
+  const droppedArgs = [];
+  (existing.args || []).filter(arg => !generatedNames.has(arg.name)).forEach(arg => {
+    (referenced.has(arg.name) ? kept : droppedArgs).push(arg);
+  });
+
+  const tool = {
+    ...generated,
+    name: existing.name,
+    description: existing.description || generated.description,
+    args: [...args, ...kept],
+    requestTemplate
+  };
+  PRESERVED_TOOL_KEYS.forEach(key => {
+    if (existing[key] !== undefined) {
+      tool[key] = existing[key];
+    }
+  });
+  return { tool, droppedArgs: droppedArgs.map(arg => arg.name) };
+}
+
+// Every string in a value, at any depth
+function collectStrings(value, found = new Set()) {
+  if (typeof value === 'string') {
+    found.add(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectStrings(item, found));
+  }
+  return found;
+}
+
+// Replace existing tools with their regenerated versions in place and append new ones.
+// Existing tools with no matching operation (custom or absolute-URL tools) are kept unchanged.
+function mergeGeneratedTools(existingTools, generatedTools) {
+  const byRoute = new Map(existingTools.map(tool => [routeKey(tool), tool]));
+  const replacements = new Map();
+  const added = [];
+  const droppedArgs = [];
+
+  generatedTools.forEach(generated => {
+    const existing = byRoute.get(routeKey(generated));
+    if (existing && !replacements.has(existing.name)) {
+      const { tool, droppedArgs: dropped } = preserveOverrides(generated, existing);
+      replacements.set(existing.name, tool);
+      dropped.forEach(arg => droppedArgs.push({ tool: existing.name, arg }));
+    } else if (!existing) {
+      added.push(generated);
+    }
+  });
+
+  const withDescriptions = tool => ({
+    ...tool,
+    description: tool.description || `${tool.requestTemplate.method} ${tool.requestTemplate.url}`,
+    args: tool.args.map(arg => ({ ...arg, description: arg.description || arg.name.replace(/_/g, ' ') }))
+  });
+
+  return {
+    tools: [
+      ...existingTools.map(tool => (replacements.has(tool.name) ? withDescriptions(replacements.get(tool.name)) : tool)),
+      ...added.map(withDescriptions)
+    ],
+    updated: [...replacements.keys()],
+    added: added.map(tool => tool.name),
+    // Existing args that the spec no longer declares and nothing in the tool uses
+    droppedArgs
+  };
+}
+
+function splitList(value) {
+  return typeof value === 'string' ? value.split(',').map(entry => entry.trim()).filter(Boolean) : [];
+}
+
+const USAGE = `Usage: mcp-zenskar generate-config --spec <openapi.json> [options]
+
+Options:
+  --spec <file>        OpenAPI 3 document (JSON)
+  --config <file>      Config to merge into (default: the bundled mcp-config.json)
+  --out <file>         Write the merged config here (default: stdout)
+  --include <globs>    Only operationIds matching these comma-separated globs, e.g. "list*,get*"
+  --exclude <globs>    Skip operationIds matching these globs
+`;
+
+async function runGenerateConfig(argv) {
+  const specPath = getCliOption('spec', argv);
+  if (!specPath || specPath === true || getCliOption('help', argv)) {
+    process.stderr.write(USAGE);
+    return specPath ? 0 : 1;
+  }
+  if (/\.ya?ml$/i.test(specPath)) {
+    process.stderr.write('Only JSON OpenAPI documents are supported; convert the YAML file to JSON first.\n');
+    return 1;
+  }
+
+  const configPath = path.resolve(getCliOption('config', argv) || path.join(__dirname, 'mcp-config.json'));
+  const outPath = getCliOption('out', argv);
+
+  try {
+    const spec = JSON.parse(fs.readFileSync(path.resolve(specPath), 'utf8'));
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const { tools: generated, warnings } = generateTools(spec, {
+      include: splitList(getCliOption('include', argv)),
+      exclude: splitList(getCliOption('exclude', argv))
+    });
+    const merged = mergeGeneratedTools(config.tools || [], generated);
+    const output = `${JSON.stringify({ ...config, tools: merged.tools }, null, 2)}\n`;
+
+    if (outPath && outPath !== true) {
+      fs.writeFileSync(path.resolve(outPath), output);
+    } else {
+      process.stdout.write(output);
+    }
+
+    warnings.forEach(warning => process.stderr.write(`Warning: ${warning}\n`));
+    merged.droppedArgs.forEach(({ tool, arg }) => {
+      process.stderr.write(`Warning: ${tool}: dropped arg ${arg}, which the spec does not declare and the request template does not use\n`);
+    });
+    process.stderr.write(`Generated ${generated.length} tool(s): ${merged.updated.length} updated, ${merged.added.length} added\n`);
+    return 0;
+  } catch (error) {
+    process.stderr.write(`generate-config failed: ${error.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = {
+  generateTools,
+  mergeGeneratedTools,
+  runGenerateConfig
+};
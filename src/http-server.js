@@ -0,0 +1,165 @@
+// HTTP transport for the Zenskar MCP server (Streamable HTTP with optional SSE fallback)
+const http = require('http');
+const { randomUUID } = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJsonRpcError(res, status, code, message) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  }));
+}
+
+// Start an HTTP server that creates one MCP server instance per client session.
+// createServer() must return a fresh, fully registered McpServer each time it is called.
+function startHttpServer({ createServer, logger, port = 3000, host = '127.0.0.1', enableSse = false, path = '/mcp' }) {
+  const streamableSessions = new Map();
+  const sseSessions = new Map();
+
+  async function handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const parsedBody = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    let transport = sessionId ? streamableSessions.get(sessionId) : undefined;
+
+    if (!transport) {
+      if (sessionId) {
+        sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      if (req.method !== 'POST' || !isInitializeRequest(parsedBody)) {
+        sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+        return;
+      }
+
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: id => {
+          streamableSessions.set(id, transport);
+          logger.info(`HTTP session initialized: ${id}`);
+        }
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          streamableSessions.delete(transport.sessionId);
+          logger.info(`HTTP session closed: ${transport.sessionId}`);
+        }
+      };
+
+      const server = createServer();
+      await server.connect(transport);
+    }
+
+    await transport.handleRequest(req, res, parsedBody);
+  }
+
+  async function handleSseConnect(req, res) {
+    const transport = new SSEServerTransport('/messages', res);
+    sseSessions.set(transport.sessionId, transport);
+    res.on('close', () => {
+      sseSessions.delete(transport.sessionId);
+      logger.info(`SSE session closed: ${transport.sessionId}`);
+    });
+
+    const server = createServer();
+    await server.connect(transport);
+    logger.info(`SSE session initialized: ${transport.sessionId}`);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const sessionId = url.searchParams.get('sessionId');
+    const transport = sessionId ? sseSessions.get(sessionId) : undefined;
+    if (!transport) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+    const parsedBody = await readJsonBody(req);
+    await transport.handlePostMessage(req, res, parsedBody);
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (url.pathname === path) {
+        if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+          sendJsonRpcError(res, 405, -32000, 'Method not allowed');
+          return;
+        }
+        await handleStreamableRequest(req, res);
+        return;
+      }
+
+      if (enableSse && url.pathname === '/sse' && req.method === 'GET') {
+        await handleSseConnect(req, res);
+        return;
+      }
+
+      if (enableSse && url.pathname === '/messages' && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+        return;
+      }
+
+      if (url.pathname === '/health' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          status: 'ok',
+          sessions: streamableSessions.size + sseSessions.size
+        }));
+        return;
+      }
+
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+    } catch (error) {
+      logger.error('HTTP request handling failed:', { error: error.message });
+      sendJsonRpcError(res, 500, -32603, error.message || 'Internal server error');
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve(httpServer);
+    });
+  });
+}
+
+module.exports = { startHttpServer };
@@ -0,0 +1,125 @@
+// Idempotency keys for mutating billing calls, with a record of recent calls so a repeated call inside the
+// window returns the first result instead of posting twice. A call is identified by the caller's key when
+// one is given, else by its arguments.
+const fs = require('fs');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { hashArguments } = require('./approval-tokens.js');
+
+class IdempotencyStore {
+  constructor({ windowSeconds, filePath, logger } = {}) {
+    this.windowMs = (windowSeconds || 600) * 1000;
+    this.filePath = filePath || null;
+    this.logger = logger;
+    // fingerprint -> { key, argsFingerprint, status: 'pending' | 'done' | 'failed', promise, result, createdAt, expiresAt }
+    this.entries = new Map();
+    this.load();
+  }
+
+  // Identify a logical call. With a caller-supplied key the call is that key, so the same arguments under
+  // two keys are two operations (a second identical payment); without one, identical arguments are one call.
+  identify(scope, toolName, args, providedKey) {
+    const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+    const argsFingerprint = hash(`${scope || ''}|${toolName}|${hashArguments(args)}`);
+    return {
+      fingerprint: providedKey ? hash(`${scope || ''}|${toolName}|key|${providedKey}`) : argsFingerprint,
+      argsFingerprint,
+      providedKey: providedKey || null
+    };
+  }
+
+  // Run execute(key) once per logical call (see identify). Repeats inside the window share the first call's
+  // key and result. A failed call keeps its key, so a retry is recognizable to the API as the same request.
+  async run({ fingerprint, argsFingerprint, providedKey }, execute) {
+    this.prune();
+
+    const existing = this.entries.get(fingerprint);
+    if (providedKey && existing?.argsFingerprint && existing.argsFingerprint !== argsFingerprint) {
+      const error = new Error(`Idempotency key ${providedKey} was already used with different arguments`);
+      error.category = 'conflict';
+      throw error;
+    }
+
+    if (existing && existing.status === 'done') {
+      return { result: existing.result, key: existing.key, replayed: true, firstExecutedAt: existing.createdAt };
+    }
+    if (existing && existing.status === 'pending') {
+      const result = await existing.promise;
+      return { result, key: existing.key, replayed: true, firstExecutedAt: existing.createdAt };
+    }
+
+    const key = providedKey || existing?.key || uuidv4();
+    const now = Date.now();
+    const entry = {
+      key,
+      argsFingerprint,
+      status: 'pending',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + this.windowMs
+    };
+    entry.promise = execute(key);
+    this.entries.set(fingerprint, entry);
+
+    try {
+      entry.result = await entry.promise;
+      entry.status = 'done';
+      this.save();
+      return { result: entry.result, key, replayed: false };
+    } catch (error) {
+      entry.status = 'failed';
+      throw error;
+    } finally {
+      delete entry.promise;
+    }
+  }
+
+  prune() {
+    const now = Date.now();
+    this.entries.forEach((entry, fingerprint) => {
+      if (entry.expiresAt < now && entry.status !== 'pending') {
+        this.entries.delete(fingerprint);
+      }
+    });
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(saved.entries || {}).forEach(([fingerprint, entry]) => {
+        this.entries.set(fingerprint, { ...entry, status: 'done' });
+      });
+      this.prune();
+    } catch (error) {
+      this.logger?.warn(`Could not load idempotency records from ${this.filePath}`, { error: error.message });
+    }
+  }
+
+  // Only completed calls are persisted; pending and failed calls are process-local
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+    const entries = {};
+    this.entries.forEach((entry, fingerprint) => {
+      if (entry.status === 'done') {
+        entries[fingerprint] = {
+          key: entry.key,
+          argsFingerprint: entry.argsFingerprint,
+          result: entry.result,
+          createdAt: entry.createdAt,
+          expiresAt: entry.expiresAt
+        };
+      }
+    });
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify({ entries }), { mode: 0o600 });
+    } catch (error) {
+      this.logger?.warn(`Could not save idempotency records to ${this.filePath}`, { error: error.message });
+    }
+  }
+}
+
+module.exports = IdempotencyStore;
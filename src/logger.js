@@ -0,0 +1,169 @@
+// Structured logger with levels, optional JSON-lines output, request correlation IDs and secret/PII redaction.
+// All output goes to stderr so it never mixes with the stdio MCP transport.
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are always credentials
+const SECRET_KEYS = [
+  'authorization', 'x-api-key', 'apikey', 'api_key', 'token', 'access_token', 'refresh_token',
+  'password', 'secret', 'client_secret', 'cookie', 'set-cookie', 'approvaltoken'
+];
+const DEFAULT_PII_FIELDS = ['email', 'phone', 'phone_number'];
+
+// Credentials that can appear inside free-form strings. Sandbox keys are long random tokens, so the prefix
+// alone (sandbox_mode, sandbox_environment) is not enough to mask a word.
+const SECRET_PATTERNS = [
+  [/Bearer\s+[A-Za-z0-9\-._~+/]+=*/gi, `Bearer ${REDACTED}`],
+  [/eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, REDACTED],
+  [/(?<![A-Za-z0-9_-])sandbox_(?=[A-Za-z0-9_-]*\d)[A-Za-z0-9_-]{16,}/g, REDACTED]
+];
+
+// Shorter values are too likely to match ordinary text to be masked wherever they appear
+const MIN_SECRET_LENGTH = 8;
+
+// Credentials from the environment are masked by value, whatever their format (production keys have no prefix).
+// secrets holds any more values to mask, such as profile credentials once they are read.
+function createRedactor(piiFields, secrets = new Set()) {
+  const secretKeys = new Set(SECRET_KEYS);
+  const piiKeys = new Set(piiFields.map(field => field.toLowerCase()));
+
+  function maskSecretValues(text) {
+    return [process.env.ZENSKAR_API_KEY, process.env.ZENSKAR_AUTH_TOKEN, ...secrets]
+      .filter(secret => typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH)
+      .reduce((masked, secret) => masked.split(secret).join(REDACTED), text);
+  }
+
+  function redactString(value) {
+    // Strings holding JSON (serialized headers, args, response bodies) are redacted structurally
+    const trimmed = value.trim();
+    if ((trimmed.startsWith('{') || trimmed.startsWith('[')) && trimmed.length > 1) {
+      try {
+        return JSON.stringify(redactValue(JSON.parse(trimmed)), null, 2);
+      } catch (_error) {
+        // Not JSON; fall through to pattern masking
+      }
+    }
+    return SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), maskSecretValues(value));
+  }
+
+  function redactValue(value, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+      return redactString(value);
+    }
+    if (value instanceof Error) {
+      return { name: value.name, message: redactString(value.message || ''), ...redactValue({ ...value }, seen) };
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => redactValue(item, seen));
+    }
+
+    const output = {};
+    Object.entries(value).forEach(([key, entry]) => {
+      const lowerKey = key.toLowerCase();
+      if (secretKeys.has(lowerKey)) {
+        output[key] = entry === undefined || entry === null || entry === '' ? entry : REDACTED;
+      } else if (piiKeys.has(lowerKey)) {
+        output[key] = entry === undefined || entry === null ? entry : REDACTED;
+      } else {
+        output[key] = redactValue(entry, seen);
+      }
+    });
+    return output;
+  }
+
+  return redactValue;
+}
+
+function createLogger({
+  level = process.env.MCP_LOG_LEVEL || (process.env.MCP_DEBUG === 'true' ? 'debug' : 'info'),
+  format = process.env.MCP_LOG_FORMAT || 'text',
+  piiFields = process.env.MCP_LOG_REDACT_FIELDS
+    ? process.env.MCP_LOG_REDACT_FIELDS.split(',').map(field => field.trim()).filter(Boolean)
+    : DEFAULT_PII_FIELDS,
+  write = line => process.stderr.write(`${line}\n`)
+} = {}) {
+  const threshold = LEVELS[String(level).toLowerCase()] ?? LEVELS.info;
+  const secrets = new Set();
+  const redact = createRedactor(piiFields, secrets);
+  const contextStorage = new AsyncLocalStorage();
+
+  function log(levelName, message, data) {
+    if (LEVELS[levelName] < threshold) {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const context = contextStorage.getStore() || {};
+    const safeMessage = redact(String(message));
+    const safeData = data === undefined ? undefined : redact(data);
+
+    if (format === 'json') {
+      write(JSON.stringify({
+        timestamp,
+        level: levelName,
+        message: safeMessage,
+        ...context,
+        ...(safeData !== undefined ? { data: safeData } : {})
+      }));
+      return;
+    }
+
+    const correlation = context.correlationId ? ` [${context.correlationId}]` : '';
+    const details = safeData === undefined || safeData === ''
+      ? ''
+      : (typeof safeData === 'string' ? safeData : JSON.stringify(safeData, null, 2));
+    write(`[${timestamp}] [MCP-${levelName.toUpperCase()}]${correlation} ${safeMessage} ${details}`.trimEnd());
+  }
+
+  return {
+    debug: (message, data) => log('debug', message, data),
+    info: (message, data) => log('info', message, data),
+    warn: (message, data) => log('warn', message, data),
+    error: (message, data) => log('error', message, data),
+    isDebugEnabled: () => threshold <= LEVELS.debug,
+    redact,
+    // Mask this credential wherever it appears in later log lines
+    addSecret: value => secrets.add(value),
+    // Run fn with a correlation ID attached to every log line written while it runs
+    runWithContext: (context, fn) => contextStorage.run({ correlationId: randomUUID(), ...context }, fn),
+    getContext: () => contextStorage.getStore() || {}
+  };
+}
+
+// Accept any logger with debug/info/warn/error (console, pino, winston) where a createLogger() logger is expected.
+// Messages and data are still redacted; correlation IDs are only attached by loggers from createLogger().
+function adaptLogger(logger) {
+  if (typeof logger.runWithContext === 'function') {
+    return logger;
+  }
+  const secrets = new Set();
+  const redact = createRedactor(DEFAULT_PII_FIELDS, secrets);
+  const forward = levelName => (message, data) => {
+    const safeMessage = redact(String(message));
+    return data === undefined ? logger[levelName](safeMessage) : logger[levelName](safeMessage, redact(data));
+  };
+  return {
+    debug: forward('debug'),
+    info: forward('info'),
+    warn: forward('warn'),
+    error: forward('error'),
+    isDebugEnabled: () => false,
+    redact,
+    addSecret: value => secrets.add(value),
+    runWithContext: (_context, fn) => fn(),
+    getContext: () => ({})
+  };
+}
+
+module.exports = { createLogger, adaptLogger, createRedactor, DEFAULT_PII_FIELDS };
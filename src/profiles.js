@@ -0,0 +1,158 @@
+// Named credential profiles from a local JSON file (--profiles or MCP_PROFILES_FILE), for working across
+// several organizations and sandboxes from one server:
+// {
+//   "default": "acme-sandbox",
+//   "profiles": {
+//     "acme-sandbox": { "organization": "org_123", "auth": "apiKey", "credential": "env:ACME_SANDBOX_KEY",
+//                       "environment": "sandbox", "description": "Acme test org" },
+//     "acme-prod": { "organization": "org_456", "auth": "bearer", "credential": "file:~/.zenskar/acme-prod.jwt",
+//                    "baseUrl": "https://api.zenskar.com", "environment": "production" }
+//   }
+// }
+// Credentials are references, never inline secrets, and are read on every call so rotated keys take effect.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AUTH_TYPES = ['apiKey', 'bearer'];
+const CREDENTIAL_SOURCES = ['env', 'file'];
+
+// Thrown for an unreadable or invalid profiles file; `lines` are the individual problems
+class ProfilesError extends Error {
+  constructor(filePath, lines) {
+    super(`Invalid profiles file ${filePath}:\n  ${lines.join('\n  ')}`);
+    this.name = 'ProfilesError';
+    this.lines = lines;
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function expandHome(filePath) {
+  return filePath.startsWith('~/') ? path.join(os.homedir(), filePath.slice(2)) : filePath;
+}
+
+// "env:NAME" or "file:path" -> { source, target }
+function parseCredentialReference(reference) {
+  const match = /^([a-z]+):(.+)$/.exec(typeof reference === 'string' ? reference : '');
+  if (!match || !CREDENTIAL_SOURCES.includes(match[1])) {
+    return null;
+  }
+  return { source: match[1], target: match[2] };
+}
+
+function validateProfiles(data) {
+  const problems = [];
+  if (!isPlainObject(data) || !isPlainObject(data.profiles)) {
+    return ['must be an object with a "profiles" object'];
+  }
+  Object.entries(data.profiles).forEach(([name, profile]) => {
+    const prefix = `profiles.${name}`;
+    if (!isPlainObject(profile)) {
+      problems.push(`${prefix}: must be an object`);
+      return;
+    }
+    if (typeof profile.organization !== 'string' || !profile.organization) {
+      problems.push(`${prefix}.organization: must be a non-empty string`);
+    }
+    if (!AUTH_TYPES.includes(profile.auth)) {
+      problems.push(`${prefix}.auth: must be one of ${AUTH_TYPES.join(', ')}`);
+    }
+    if (!parseCredentialReference(profile.credential)) {
+      problems.push(`${prefix}.credential: must be a reference such as "env:ZENSKAR_KEY" or "file:~/.zenskar/key"; inline secrets are not accepted`);
+    }
+    if (profile.baseUrl !== undefined && !/^https?:\/\/[^/]+/.test(String(profile.baseUrl))) {
+      problems.push(`${prefix}.baseUrl: must be an http(s) URL`);
+    }
+    ['environment', 'description'].forEach(key => {
+      if (profile[key] !== undefined && typeof profile[key] !== 'string') {
+        problems.push(`${prefix}.${key}: must be a string`);
+      }
+    });
+  });
+  if (data.default !== undefined && !Object.prototype.hasOwnProperty.call(data.profiles, data.default)) {
+    problems.push(`default: unknown profile ${JSON.stringify(data.default)}`);
+  }
+  return problems;
+}
+
+class ProfileStore {
+  // data: the parsed profiles file; filePath is only used in messages
+  constructor(data = { profiles: {} }, filePath = 'profiles') {
+    const problems = validateProfiles(data);
+    if (problems.length > 0) {
+      throw new ProfilesError(filePath, problems);
+    }
+    this.filePath = filePath;
+    this.defaultName = data.default || null;
+    this.profiles = new Map(Object.entries(data.profiles).map(([name, profile]) => [name, {
+      name,
+      ...profile,
+      baseUrl: profile.baseUrl ? String(profile.baseUrl).replace(/\/+$/, '') : undefined
+    }]));
+  }
+
+  static load(filePath) {
+    const resolved = path.resolve(expandHome(String(filePath)));
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new ProfilesError(resolved, [error.message]);
+    }
+    return new ProfileStore(data, resolved);
+  }
+
+  get names() {
+    return [...this.profiles.keys()];
+  }
+
+  get(name) {
+    return this.profiles.get(name) || null;
+  }
+
+  // Read the profile's secret; throws when the variable or file is missing or empty
+  readCredential(profile) {
+    const { source, target } = parseCredentialReference(profile.credential);
+    let value;
+    if (source === 'env') {
+      value = process.env[target];
+    } else {
+      const credentialPath = path.resolve(path.dirname(this.filePath), expandHome(target));
+      try {
+        value = fs.readFileSync(credentialPath, 'utf8');
+      } catch (error) {
+        throw new Error(`Profile "${profile.name}": cannot read credential file ${credentialPath} (${error.code || error.message})`);
+      }
+    }
+    value = value ? value.trim() : '';
+    if (!value) {
+      throw new Error(`Profile "${profile.name}": credential ${profile.credential} is not set`);
+    }
+    return value;
+  }
+
+  // Public view of a profile for listProfiles; never includes the secret itself
+  describe(profile) {
+    let credentialAvailable = true;
+    try {
+      this.readCredential(profile);
+    } catch (_error) {
+      credentialAvailable = false;
+    }
+    return {
+      name: profile.name,
+      organization: profile.organization,
+      environment: profile.environment || null,
+      base_url: profile.baseUrl || null,
+      auth: profile.auth,
+      credential: profile.credential,
+      credential_available: credentialAvailable,
+      description: profile.description || null
+    };
+  }
+}
+
+module.exports = { ProfileStore, ProfilesError };
@@ -0,0 +1,102 @@
+// Client-side throttling of outbound Zenskar API requests, per organization: a token bucket caps the request
+// rate and a concurrency limit caps requests in flight. Requests over either limit wait in a FIFO queue.
+class RateLimiter {
+  // ratePerSecond: 0 disables the rate limit; maxConcurrent: 0 disables the concurrency limit
+  constructor({ ratePerSecond = 10, burst, maxConcurrent = 5 } = {}) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = burst || Math.max(1, ratePerSecond);
+    this.maxConcurrent = maxConcurrent;
+    // key -> { tokens, refilledAt, active, queue: [{ task, resolve, reject, enqueuedAt }], timer }
+    this.buckets = new Map();
+  }
+
+  get enabled() {
+    return this.ratePerSecond > 0 || this.maxConcurrent > 0;
+  }
+
+  // Run task({ queued, waitMs, queuedBehind }) once the key has a token and a free slot; resolves with its result.
+  // queued is false when the task started right away; queuedBehind counts the requests ahead of it.
+  run(key, task) {
+    if (!this.enabled) {
+      return Promise.resolve().then(() => task({ queued: false, waitMs: 0, queuedBehind: 0 }));
+    }
+    const bucket = this.getBucket(key);
+    return new Promise((resolve, reject) => {
+      const job = { task, resolve, reject, enqueuedAt: Date.now(), queuedBehind: bucket.queue.length + bucket.active, queued: false };
+      bucket.queue.push(job);
+      this.drain(key);
+      // Still waiting after the drain means the limit was hit; the task itself only runs on a later tick
+      job.queued = bucket.queue.includes(job);
+    });
+  }
+
+  getBucket(key) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      this.pruneIdle();
+      bucket = { tokens: this.burst, refilledAt: Date.now(), active: 0, queue: [], timer: null };
+      this.buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  // Idle buckets that have refilled hold no state worth keeping
+  pruneIdle() {
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.queue.length === 0 && bucket.active === 0) {
+        this.refill(bucket);
+        if (this.ratePerSecond <= 0 || bucket.tokens >= this.burst) {
+          this.buckets.delete(key);
+        }
+      }
+    });
+  }
+
+  refill(bucket) {
+    const now = Date.now();
+    if (this.ratePerSecond > 0) {
+      bucket.tokens = Math.min(this.burst, bucket.tokens + ((now - bucket.refilledAt) / 1000) * this.ratePerSecond);
+    }
+    bucket.refilledAt = now;
+  }
+
+  drain(key) {
+    const bucket = this.buckets.get(key);
+    this.refill(bucket);
+
+    const hasSlot = () => this.maxConcurrent <= 0 || bucket.active < this.maxConcurrent;
+    const hasToken = () => this.ratePerSecond <= 0 || bucket.tokens >= 1;
+
+    while (bucket.queue.length > 0 && hasSlot() && hasToken()) {
+      if (this.ratePerSecond > 0) {
+        bucket.tokens -= 1;
+      }
+      bucket.active += 1;
+      this.start(key, bucket, bucket.queue.shift());
+    }
+
+    // Out of tokens with a free slot: wake up when the next token is due. A full set of slots is
+    // drained again when a running request finishes.
+    if (bucket.queue.length > 0 && hasSlot() && !bucket.timer) {
+      const delayMs = Math.ceil(((1 - bucket.tokens) / this.ratePerSecond) * 1000);
+      bucket.timer = setTimeout(() => {
+        bucket.timer = null;
+        this.drain(key);
+      }, delayMs);
+    }
+
+  }
+
+  start(key, bucket, job) {
+    const waitMs = Date.now() - job.enqueuedAt;
+    Promise.resolve()
+      .then(() => job.task({ queued: job.queued, waitMs, queuedBehind: job.queuedBehind }))
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        bucket.active -= 1;
+        this.drain(key);
+      });
+  }
+}
+
+module.exports = RateLimiter;
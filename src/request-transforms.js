@@ -0,0 +1,356 @@
+// Per-tool transform pipelines declared in mcp-config.json.
+//
+// requestTemplate.transforms reshape the JSON body before it is sent, in order:
+//   { "type": "nestPrefix", "prefix": "address_", "target": "address", "fields": ["line1", "city"] }
+//   { "type": "defaultFromContext", "field": "organization_id", "source": "organization" }
+//   { "type": "defaultValue", "field": "connector", "value": "push_to_zenskar" }
+//   { "type": "flattenArg", "field": "event" }
+//   { "type": "normalizeClickHouseDateTimes", "field": "event" }
+//   { "type": "normalizeClickHouseSchema", "field": "dataschema" }
+//   { "type": "forceValue", "field": "column_order", "value": ["timestamp"] }
+// responseTemplate.transforms post-process the parsed API result, e.g. { "type": "jobsSummary" }.
+// requestTemplate.handler names a handler that replaces the single HTTP call (e.g. "rawMetricLogsPreview").
+//
+// Plugins add transform types and handlers from JS; each plugin module exports
+// function register({ registerTransform, registerRequestHandler }).
+const path = require('path');
+
+const TRANSFORM_PHASES = ['request', 'response'];
+const transforms = new Map();
+const requestHandlers = new Map();
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// definition: { phase: 'request' | 'response', apply(value, step, context), requiredKeys?: string[] }
+function registerTransform(type, definition) {
+  if (transforms.has(type)) {
+    throw new Error(`Transform "${type}" is already registered`);
+  }
+  if (!TRANSFORM_PHASES.includes(definition?.phase) || typeof definition.apply !== 'function') {
+    throw new Error(`Transform "${type}" needs a phase (${TRANSFORM_PHASES.join(' or ')}) and an apply function`);
+  }
+  transforms.set(type, { requiredKeys: [], ...definition });
+}
+
+// definition: { run(cleanArgs, context), dryRunNote?: string }
+function registerRequestHandler(name, definition) {
+  if (requestHandlers.has(name)) {
+    throw new Error(`Request handler "${name}" is already registered`);
+  }
+  if (typeof definition?.run !== 'function') {
+    throw new Error(`Request handler "${name}" needs a run function`);
+  }
+  requestHandlers.set(name, definition);
+}
+
+function getRequestHandler(name) {
+  return name ? requestHandlers.get(name) || null : null;
+}
+
+function getRequestHandlerNames() {
+  return [...requestHandlers.keys()];
+}
+
+// Problems with one declared step, as messages; used by the config validator
+function describeStepProblems(step, phase) {
+  if (!isPlainObject(step) || typeof step.type !== 'string') {
+    return ['must be an object with a string "type"'];
+  }
+  const transform = transforms.get(step.type);
+  if (!transform) {
+    const known = [...transforms.entries()].filter(([, definition]) => definition.phase === phase).map(([type]) => type);
+    return [`unknown transform type "${step.type}"; expected one of ${known.join(', ')}`];
+  }
+  if (transform.phase !== phase) {
+    return [`transform "${step.type}" runs on ${transform.phase}s and cannot be used in ${phase === 'request' ? 'requestTemplate' : 'responseTemplate'}`];
+  }
+  return transform.requiredKeys
+    .filter(key => step[key] === undefined)
+    .map(key => `transform "${step.type}" needs "${key}"`);
+}
+
+// Run requestTemplate.transforms over the body. context: { tool, cleanArgs, userContext, credentials, placementNotes, logger }
+function applyRequestTransforms(tool, body, context) {
+  return (tool.requestTemplate?.transforms || []).reduce((current, step) => {
+    const transform = transforms.get(step.type);
+    if (!transform || transform.phase !== 'request') {
+      throw new Error(`[${tool.name}] Unknown request transform "${step.type}"`);
+    }
+    return transform.apply(current, step, context);
+  }, body);
+}
+
+// Run responseTemplate.transforms over the parsed result. context: { tool, headers, baseUrl, fetchJson, logger }
+async function applyResponseTransforms(tool, result, context) {
+  let current = result;
+  for (const step of tool.responseTemplate?.transforms || []) {
+    const transform = transforms.get(step.type);
+    if (!transform || transform.phase !== 'response') {
+      throw new Error(`[${tool.name}] Unknown response transform "${step.type}"`);
+    }
+    current = await transform.apply(current, step, context);
+  }
+  return current;
+}
+
+// Plugin modules already registered; transforms are process-wide, so each module registers once
+const loadedPlugins = new Set();
+
+// Load plugin modules from a comma-separated list of paths, relative to the working directory.
+// Returns one error line per plugin that failed to load, so callers can report them with config errors.
+function loadTransformPlugins(pathList) {
+  if (!pathList || pathList === true) {
+    return [];
+  }
+  const errors = [];
+  String(pathList).split(',').map(entry => entry.trim()).filter(Boolean).forEach(pluginPath => {
+    const resolved = path.resolve(pluginPath);
+    if (loadedPlugins.has(resolved)) {
+      return;
+    }
+    try {
+      const plugin = require(resolved);
+      const register = typeof plugin === 'function' ? plugin : plugin?.register;
+      if (typeof register !== 'function') {
+        throw new Error('must export a register function');
+      }
+      register({ registerTransform, registerRequestHandler });
+      loadedPlugins.add(resolved);
+    } catch (error) {
+      // First line only: require() appends its require stack to the message
+      errors.push(`transform plugin ${pluginPath}: ${error.message.split('\n')[0]}`);
+    }
+  });
+  return errors;
+}
+
+// --- ClickHouse helpers for usage events and raw metric schemas ---
+
+function formatClickHouseDateTime(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  // Replace ISO 8601 separators with ClickHouse-friendly format and strip trailing Z offsets
+  return value
+    .replace('T', ' ')
+    .replace('t', ' ')
+    .replace(/Z$/i, '')
+    .trim();
+}
+
+// Normalize usage ingestion payload values to ClickHouse-friendly formats
+function normalizeUsageEventPayload(eventPayload) {
+  if (!isPlainObject(eventPayload)) {
+    return eventPayload;
+  }
+
+  const normalized = { ...eventPayload };
+
+  if (typeof normalized.timestamp === 'string') {
+    normalized.timestamp = formatClickHouseDateTime(normalized.timestamp);
+  }
+
+  if (isPlainObject(normalized.data)) {
+    normalized.data = { ...normalized.data };
+
+    const dateTimeKeys = ['DateTime64', 'DateTime', 'DateTime32'];
+    dateTimeKeys.forEach(key => {
+      if (typeof normalized.data[key] === 'string') {
+        normalized.data[key] = formatClickHouseDateTime(normalized.data[key]);
+      }
+    });
+  }
+
+  return normalized;
+}
+
+function normalizeClickHouseType(type) {
+  if (typeof type !== 'string') {
+    return type;
+  }
+
+  const trimmed = type.trim();
+  if (!trimmed) {
+    return type;
+  }
+
+  const lower = trimmed.toLowerCase();
+  switch (lower) {
+    case 'boolean':
+      return 'Bool';
+    case 'string':
+      return 'String';
+    case 'int':
+    case 'int64':
+      return 'Int64';
+    case 'float':
+    case 'float64':
+    case 'double':
+      return 'Float64';
+    case 'date':
+    case 'date32':
+      return 'Date32';
+    case 'datetime':
+    case 'datetime64':
+      return 'DateTime64';
+    case 'uuid':
+      return 'UUID';
+    default:
+      return trimmed;
+  }
+}
+
+function normalizeRawMetricDataschema(schema) {
+  if (!isPlainObject(schema)) {
+    return schema;
+  }
+
+  const normalized = { ...schema };
+
+  if (normalized.customer_id) {
+    normalized.customer_id = normalizeClickHouseType(normalized.customer_id);
+  }
+  if (normalized.timestamp) {
+    normalized.timestamp = normalizeClickHouseType(normalized.timestamp);
+  }
+
+  if (isPlainObject(normalized.data)) {
+    const dataSchema = {};
+    Object.entries(normalized.data).forEach(([key, value]) => {
+      dataSchema[key] = normalizeClickHouseType(value);
+    });
+    normalized.data = dataSchema;
+  }
+
+  return normalized;
+}
+
+// --- Built-in request transforms ---
+
+const CONTEXT_SOURCES = {
+  organization: context => context.credentials?.orgId,
+  userId: context => context.userContext?.userId
+};
+
+const DEFAULT_NEST_FIELDS = ['line1', 'line2', 'line3', 'city', 'state', 'zipCode', 'country', 'country_code'];
+
+// Move flat "<prefix><field>" body keys into one nested object
+registerTransform('nestPrefix', {
+  phase: 'request',
+  requiredKeys: ['prefix', 'target'],
+  apply: (body, step, context) => {
+    const nested = {};
+    (step.fields || DEFAULT_NEST_FIELDS).forEach(field => {
+      const flatKey = `${step.prefix}${field}`;
+      if (body[flatKey] !== undefined) {
+        nested[field] = body[flatKey];
+        delete body[flatKey];
+      }
+    });
+    if (Object.keys(nested).length > 0) {
+      body[step.target] = nested;
+      context.placementNotes.push({ arg: `${step.prefix}*`, placement: `body.${step.target}`, reason: step.reason || 'Flat fields nested into an object' });
+      context.logger?.debug(`[${context.tool.name}] Transformed flat ${step.prefix}* fields into ${step.target} object`);
+    }
+    return body;
+  }
+});
+
+registerTransform('defaultFromContext', {
+  phase: 'request',
+  requiredKeys: ['field', 'source'],
+  apply: (body, step, context) => {
+    const resolve = CONTEXT_SOURCES[step.source];
+    if (!resolve) {
+      throw new Error(`[${context.tool.name}] Unknown context source "${step.source}"; expected one of ${Object.keys(CONTEXT_SOURCES).join(', ')}`);
+    }
+    const value = resolve(context);
+    if (!body[step.field] && value) {
+      body[step.field] = value;
+      context.placementNotes.push({ arg: step.field, placement: 'body', reason: step.reason || `Defaulted from the ${step.source} in the user context or environment` });
+    }
+    return body;
+  }
+});
+
+registerTransform('defaultValue', {
+  phase: 'request',
+  requiredKeys: ['field', 'value'],
+  apply: (body, step, context) => {
+    if (body[step.field] === undefined || body[step.field] === null || body[step.field] === '') {
+      body[step.field] = step.value;
+      context.placementNotes.push({ arg: step.field, placement: 'body', reason: step.reason || `Defaulted to ${JSON.stringify(step.value)}` });
+    }
+    return body;
+  }
+});
+
+// Spread an object arg's keys into the top-level body
+registerTransform('flattenArg', {
+  phase: 'request',
+  requiredKeys: ['field'],
+  apply: (body, step, context) => {
+    const value = body[step.field];
+    if (!isPlainObject(value)) {
+      return body;
+    }
+    delete body[step.field];
+    Object.entries(value).forEach(([key, nestedValue]) => {
+      if (nestedValue !== undefined) {
+        body[key] = nestedValue;
+      }
+    });
+    context.placementNotes.push({ arg: step.field, placement: 'body', reason: step.reason || `Fields of ${step.field} flattened into the top-level body` });
+    return body;
+  }
+});
+
+// Usage event timestamps: ISO 8601 -> "YYYY-MM-DD HH:MM:SS"
+registerTransform('normalizeClickHouseDateTimes', {
+  phase: 'request',
+  requiredKeys: ['field'],
+  apply: (body, step) => {
+    if (body[step.field] !== undefined) {
+      body[step.field] = normalizeUsageEventPayload(body[step.field]);
+    }
+    return body;
+  }
+});
+
+// Raw metric dataschema type names ("string", "int", "datetime") -> ClickHouse types
+registerTransform('normalizeClickHouseSchema', {
+  phase: 'request',
+  requiredKeys: ['field'],
+  apply: (body, step) => {
+    if (body[step.field] !== undefined) {
+      body[step.field] = normalizeRawMetricDataschema(body[step.field]);
+    }
+    return body;
+  }
+});
+
+registerTransform('forceValue', {
+  phase: 'request',
+  requiredKeys: ['field', 'value'],
+  apply: (body, step, context) => {
+    if (body[step.field] !== undefined && JSON.stringify(body[step.field]) !== JSON.stringify(step.value)) {
+      context.placementNotes.push({ arg: step.field, placement: 'body', reason: step.reason || `Overridden to ${JSON.stringify(step.value)}` });
+    }
+    body[step.field] = step.value;
+    return body;
+  }
+});
+
+module.exports = {
+  registerTransform,
+  registerRequestHandler,
+  getRequestHandler,
+  getRequestHandlerNames,
+  describeStepProblems,
+  applyRequestTransforms,
+  applyResponseTransforms,
+  loadTransformPlugins
+};
@@ -0,0 +1,85 @@
+// In-memory TTL cache for GET responses of slow-changing reference data (chart of accounts, tax categories,
+// products...). Entries belong to the organization and credentials that fetched them and are tagged with the
+// tool whose endpoint they came from, so a write in an organization can drop the related entries for
+// every caller in that organization.
+const crypto = require('crypto');
+const { matchesToolPattern } = require('./approval-policy.js');
+
+class ResponseCache {
+  constructor({ maxEntries } = {}) {
+    this.maxEntries = maxEntries || 500;
+    // `${scope} ${url}` -> { organization, toolName, data, createdAt, expiresAt }
+    this.entries = new Map();
+  }
+
+  // Scope of a request from its headers: the organization plus a hash of the credentials sent with it
+  static scopeOf(headers = {}) {
+    const organization = headers.organisation || '';
+    const credentials = crypto
+      .createHash('sha256')
+      .update(`${headers.Authorization || ''}|${headers['x-api-key'] || ''}`)
+      .digest('hex');
+    return { organization, scope: `${organization}|${credentials}` };
+  }
+
+  // Cached data with its age, or null. Callers get a copy, so transforms cannot change the stored entry.
+  get(headers, url) {
+    const { scope } = ResponseCache.scopeOf(headers);
+    const key = `${scope} ${url}`;
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return { data: structuredClone(entry.data), toolName: entry.toolName, ageMs: Date.now() - entry.createdAt };
+  }
+
+  set(headers, url, toolName, data, ttlSeconds) {
+    const { organization, scope } = ResponseCache.scopeOf(headers);
+    const key = `${scope} ${url}`;
+    this.entries.delete(key);
+    this.prune();
+    // Evict the oldest entries first when the cache is full (Map keeps insertion order)
+    while (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    const now = Date.now();
+    this.entries.set(key, {
+      organization,
+      toolName,
+      data: structuredClone(data),
+      createdAt: now,
+      expiresAt: now + ttlSeconds * 1000
+    });
+  }
+
+  // Drop the organization's entries for tools matching any of the glob patterns; returns how many were dropped
+  invalidate(organization, patterns) {
+    let dropped = 0;
+    this.entries.forEach((entry, key) => {
+      if (entry.organization === organization && patterns.some(pattern => matchesToolPattern(pattern, entry.toolName))) {
+        this.entries.delete(key);
+        dropped += 1;
+      }
+    });
+    return dropped;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  prune() {
+    const now = Date.now();
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = ResponseCache;
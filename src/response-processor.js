@@ -1,28 +1,248 @@
-// Simple response processor for Zenskar API responses
+// Response shaper for Zenskar API responses: field projection, noisy-key removal and
+// token-budget truncation that always leaves valid JSON
+const { describeStructure } = require('./response-store.js');
+
 class ResponseProcessor {
-  constructor() {
-    // Minimal configuration
-    this.maxResponseLength = 2000000;
+  constructor({ maxTokens, dropKeys } = {}) {
+    // Rough budget: ~4 characters per token (2,000,000 characters by default)
+    this.maxTokens = maxTokens || 500000;
+    this.dropKeys = dropKeys || [];
   }
 
-  processResponse(responseData, toolName) {
+  // options: { fields: 'results[].id,results[].status', dropKeys: [...], maxTokens,
+  //            storeOverflow: payload => ({ handle, expiresAt }) to keep the full result for later slicing }
+  processResponse(responseData, toolName, options = {}) {
     try {
-      // Convert response to string if needed
-      let response = typeof responseData === 'string' 
-        ? responseData 
-        : JSON.stringify(responseData, null, 2);
+      const maxChars = (options.maxTokens || this.maxTokens) * 4;
+
+      if (typeof responseData === 'string') {
+        // Plain-text responses can only be cut by length
+        if (responseData.length > maxChars) {
+          return responseData.substring(0, maxChars) + '\n\n[Response truncated due to length]';
+        }
+        return responseData;
+      }
+
+      let shaped = this.shapePayload(responseData, options);
+      let response = JSON.stringify(shaped, null, 2);
 
-      // Simple truncation if too long
-      if (response.length > this.maxResponseLength) {
-        response = response.substring(0, this.maxResponseLength) + '\n\n[Response truncated due to length]';
+      if (response.length > maxChars) {
+        const stored = options.storeOverflow ? options.storeOverflow(unwrapPayload(shaped)) : null;
+        shaped = this.truncateToBudget(shaped, maxChars, stored);
+        response = JSON.stringify(shaped, null, 2);
       }
 
       return response;
     } catch (error) {
-      console.error('Response processing error:', error);
+      console.error(`Response processing error (${toolName}):`, error);
       return 'Error processing response';
     }
   }
+
+  // Apply projection and key removal to the API payload, leaving the template wrapper intact
+  shapePayload(data, options) {
+    const dropKeys = new Set([...this.dropKeys, ...(options.dropKeys || [])]);
+    const projection = options.fields ? parseFieldProjection(options.fields) : null;
+
+    const shape = payload => {
+      let result = dropKeys.size > 0 ? removeKeys(payload, dropKeys) : payload;
+      if (projection) {
+        result = applyProjection(result, projection, true);
+      }
+      return result;
+    };
+
+    if (isTemplateWrapped(data)) {
+      return { ...data, api_response: shape(data.api_response) };
+    }
+    return shape(data);
+  }
+
+  // Drop whole array elements, largest array first, until the serialized payload fits
+  truncateToBudget(data, maxChars, stored = null) {
+    const payload = JSON.parse(JSON.stringify(data));
+    const arrays = findArrays(payload, [])
+      .map(entry => ({ ...entry, size: JSON.stringify(entry.array).length }))
+      .sort((a, b) => b.size - a.size);
+    const truncations = [];
+    // Paths in the stored copy, which leaves out the response template wrapper
+    const storedPathOf = path => formatJsonPath(isTemplateWrapped(payload) ? path.slice(1) : path);
+
+    for (const entry of arrays) {
+      if (JSON.stringify(payload, null, 2).length <= maxChars) {
+        break;
+      }
+      // Skip arrays that were nested inside elements already dropped
+      if (getAtPath(payload, entry.path) !== entry.array) {
+        continue;
+      }
+
+      const original = entry.array.slice();
+      // Binary search for the largest number of leading elements that still fits
+      let low = 0;
+      let high = original.length;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        entry.array.splice(0, entry.array.length, ...original.slice(0, mid));
+        if (JSON.stringify(payload, null, 2).length <= maxChars) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      entry.array.splice(0, entry.array.length, ...original.slice(0, low));
+
+      if (low < original.length) {
+        const lastKept = original[low - 1];
+        truncations.push({
+          array_path: entry.path.join('.') || '(root)',
+          kept_items: low,
+          omitted_items: original.length - low,
+          last_kept_id: lastKept && typeof lastKept === 'object' ? (lastKept.id ?? null) : null,
+          // Where the omitted items start in the stored response
+          ...(stored ? { resume: { path: storedPathOf(entry.path), offset: low } } : {})
+        });
+      }
+    }
+
+    const storedResponse = stored ? {
+      handle: stored.handle,
+      expires_at: stored.expiresAt,
+      hint: 'Call getStoredResponse with this handle and a path and/or offset/limit to read the rest without calling the API again.'
+    } : undefined;
+
+    if (JSON.stringify(payload, null, 2).length > maxChars) {
+      const text = JSON.stringify(data);
+      if (storedResponse) {
+        // The full result is kept server-side, so describe its shape instead of cutting it mid-value
+        return {
+          _truncation: {
+            note: 'Response is too large to return; it was stored. Use the structure below to pick a path to read.',
+            original_chars: text.length,
+            stored_response: storedResponse
+          },
+          structure: describeStructure(unwrapPayload(data))
+        };
+      }
+      // Nothing left to drop element by element; return a valid JSON preview instead
+      return {
+        _truncation: {
+          note: 'Response is too large and has no list that could be shortened; showing a text preview. Use the fields argument to select specific fields.',
+          original_chars: text.length
+        },
+        preview: text.substring(0, Math.max(0, maxChars - 500))
+      };
+    }
+
+    const truncated = Array.isArray(payload) ? { items: payload } : payload;
+    truncated._truncation = {
+      reason: 'Response exceeded the token budget; whole list items were omitted',
+      arrays: truncations,
+      // The page's own `next` cursor continues after the omitted items, not at them
+      hint: storedResponse
+        ? 'Call getStoredResponse with stored_response.handle and each list\'s resume path and offset to read the omitted items. Only then follow the page\'s next cursor, which continues after them.'
+        : 'Lower the limit, use the fields argument, or narrow the filters to see the omitted items. The page\'s next cursor continues after the omitted items, not at them.',
+      ...(storedResponse ? { stored_response: storedResponse } : {})
+    };
+    return truncated;
+  }
+}
+
+// Parse "results[].id,results[].status,next" into a tree of { key: { array, children } }
+function parseFieldProjection(fields) {
+  const tree = {};
+  String(fields)
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean)
+    .forEach(field => {
+      let node = tree;
+      const segments = field.split('.');
+      segments.forEach((segment, index) => {
+        const isArray = segment.endsWith('[]');
+        const key = isArray ? segment.slice(0, -2) : segment;
+        node[key] = node[key] || { array: false, children: null };
+        node[key].array = node[key].array || isArray;
+        if (index < segments.length - 1) {
+          node[key].children = node[key].children || {};
+          node = node[key].children;
+        } else {
+          node[key].children = null;
+        }
+      });
+    });
+  return tree;
+}
+
+// Pagination metadata always survives a projection so the caller can keep paging
+const PRESERVED_KEYS = ['next', 'previous', 'total_count', 'pagination'];
+
+function applyProjection(value, tree, isRoot = false) {
+  if (Array.isArray(value)) {
+    // A leading "[]" segment (e.g. "[].id") addresses the elements of a top-level array
+    const elementTree = tree[''] ? tree[''].children : tree;
+    return elementTree ? value.map(item => applyProjection(item, elementTree)) : value;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const output = {};
+  Object.entries(tree).forEach(([key, node]) => {
+    if (!(key in value)) return;
+    output[key] = node.children ? applyProjection(value[key], node.children) : value[key];
+  });
+  if (isRoot) {
+    PRESERVED_KEYS.forEach(key => {
+      if (key in value && !(key in output)) {
+        output[key] = value[key];
+      }
+    });
+  }
+  return output;
+}
+
+function removeKeys(value, dropKeys) {
+  if (Array.isArray(value)) {
+    return value.map(item => removeKeys(item, dropKeys));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  const output = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    if (!dropKeys.has(key)) {
+      output[key] = removeKeys(entry, dropKeys);
+    }
+  });
+  return output;
+}
+
+function findArrays(value, path) {
+  if (Array.isArray(value)) {
+    return [{ path, array: value }, ...value.flatMap((item, index) => findArrays(item, [...path, String(index)]))];
+  }
+  if (!value || typeof value !== 'object') {
+    return [];
+  }
+  return Object.entries(value).flatMap(([key, entry]) => findArrays(entry, [...path, key]));
+}
+
+function isTemplateWrapped(data) {
+  return Boolean(data && typeof data === 'object' && !Array.isArray(data) && 'template_info' in data && 'api_response' in data);
+}
+
+function unwrapPayload(data) {
+  return isTemplateWrapped(data) ? data.api_response : data;
+}
+
+function getAtPath(value, path) {
+  return path.reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+// ['results', '3', 'line_items'] -> "results[3].line_items", the getStoredResponse path syntax
+function formatJsonPath(path) {
+  return path.reduce((text, segment) => (/^\d+$/.test(segment) ? `${text}[${segment}]` : (text ? `${text}.${segment}` : segment)), '');
 }
 
 module.exports = ResponseProcessor;
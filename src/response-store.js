@@ -0,0 +1,132 @@
+// Short-lived, in-memory store for responses that were too large to return in full.
+// Each entry is bound to the caller's scope (organization + credentials) so one tenant
+// cannot read another tenant's stored result by guessing or leaking a handle.
+const crypto = require('crypto');
+
+class ResponseStore {
+  constructor({ ttlSeconds, maxEntries, maxBytes } = {}) {
+    this.ttlMs = (ttlSeconds || 900) * 1000;
+    this.maxEntries = maxEntries || 50;
+    // Cap on the serialized size of all stored responses together
+    this.maxBytes = maxBytes || 64 * 1024 * 1024;
+    // handle -> { scope, toolName, data, bytes, createdAt, expiresAt }
+    this.entries = new Map();
+    this.totalBytes = 0;
+  }
+
+  // Returns null, storing nothing, when the response alone is over maxBytes
+  put(scope, toolName, data) {
+    const bytes = Buffer.byteLength(JSON.stringify(data));
+    if (bytes > this.maxBytes) {
+      return null;
+    }
+
+    this.prune();
+    // Evict the oldest entries first when the store is full (Map keeps insertion order)
+    while (this.entries.size >= this.maxEntries || this.totalBytes + bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+    }
+
+    const handle = `resp_${crypto.randomBytes(12).toString('hex')}`;
+    const now = Date.now();
+    this.entries.set(handle, {
+      scope,
+      toolName,
+      data,
+      bytes,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + this.ttlMs
+    });
+    this.totalBytes += bytes;
+    return { handle, expiresAt: new Date(now + this.ttlMs).toISOString() };
+  }
+
+  // Returns null for unknown, expired or other-scope handles alike
+  get(handle, scope) {
+    this.prune();
+    const entry = this.entries.get(handle);
+    if (!entry || entry.scope !== scope) {
+      return null;
+    }
+    return entry;
+  }
+
+  prune() {
+    const now = Date.now();
+    this.entries.forEach((entry, handle) => {
+      if (entry.expiresAt < now) {
+        this.delete(handle);
+      }
+    });
+  }
+
+  delete(handle) {
+    const entry = this.entries.get(handle);
+    if (entry) {
+      this.totalBytes -= entry.bytes;
+      this.entries.delete(handle);
+    }
+  }
+}
+
+// Parse "api_response.results[3].line_items" into ['api_response', 'results', 3, 'line_items']
+function parseJsonPath(jsonPath) {
+  if (!jsonPath) {
+    return [];
+  }
+  const segments = [];
+  String(jsonPath)
+    .replace(/^\$\.?/, '')
+    .split('.')
+    .filter(Boolean)
+    .forEach(part => {
+      const match = part.match(/^([^[\]]*)((?:\[\d+\])*)$/);
+      if (!match) {
+        throw new Error(`Invalid path segment "${part}"`);
+      }
+      if (match[1]) {
+        segments.push(match[1]);
+      }
+      (match[2].match(/\d+/g) || []).forEach(index => segments.push(Number(index)));
+    });
+  return segments;
+}
+
+function resolveJsonPath(data, jsonPath) {
+  return parseJsonPath(jsonPath).reduce((current, segment) => {
+    if (current === null || typeof current !== 'object' || !(segment in current)) {
+      throw new Error(`Path "${jsonPath}" does not exist in the stored response`);
+    }
+    return current[segment];
+  }, data);
+}
+
+// Describe the shape of a value (keys, types, list lengths) without its contents
+function describeStructure(value, depth = 2) {
+  if (Array.isArray(value)) {
+    return {
+      type: 'array',
+      length: value.length,
+      ...(depth > 0 && value.length > 0 ? { items: describeStructure(value[0], depth - 1) } : {})
+    };
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (depth <= 0) {
+      return { type: 'object', keys: keys.length };
+    }
+    const properties = {};
+    keys.forEach(key => {
+      properties[key] = describeStructure(value[key], depth - 1);
+    });
+    return { type: 'object', properties };
+  }
+  if (typeof value === 'string' && value.length > 80) {
+    return { type: 'string', length: value.length };
+  }
+  return value === null ? { type: 'null' } : { type: typeof value };
+}
+
+module.exports = ResponseStore;
+module.exports.resolveJsonPath = resolveJsonPath;
+module.exports.describeStructure = describeStructure;
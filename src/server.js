@@ -1,1448 +1,167 @@
 #!/usr/bin/env node
 
-const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+// Command-line entry point: reads flags and env vars, runs subcommands, and serves the server built by
+// createServerRuntime (src/zenskar-server.js) over stdio or HTTP.
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const fs = require('fs');
-const path = require('path');
-const { z } = require('zod');
-const { v4: uuidv4 } = require('uuid');
-
-// Import the sophisticated response processor
-const ResponseProcessor = require('./response-processor.js');
-
-// Import token usage monitor (try both compiled and source paths)
-let tokenUsageMonitor;
-try {
-  // Try production path first (compiled TypeScript)
-  const monitor = require('../dist/lib/token-usage-monitor.js');
-  tokenUsageMonitor = monitor.tokenUsageMonitor;
-} catch (e) {
-  // Fall back to development path (TypeScript via ts-node)
-  try {
-    const monitor = require('../src/lib/token-usage-monitor.ts');
-    tokenUsageMonitor = monitor.tokenUsageMonitor;
-  } catch (e2) {
-    // If monitor can't be loaded, create fallback
-    tokenUsageMonitor = {
-      logUsage: async (usage) => {
-        console.warn('Token usage monitoring unavailable:', usage);
-      }
-    };
-    console.error('Warning: Token usage monitoring unavailable:', e2.message);
-  }
-}
-
-// Import limits validation (try both compiled and source paths)
-let validateToolLimits, generateTokenUsageFeedback;
-try {
-  // Try production path first (compiled TypeScript)
-  const limits = require('../dist/lib/mcp-limits.js');
-  validateToolLimits = limits.validateToolLimits;
-  generateTokenUsageFeedback = limits.generateTokenUsageFeedback;
-} catch (e) {
-  // Fall back to development path (TypeScript via ts-node)
-  try {
-    const limits = require('../src/lib/mcp-limits.ts');
-    validateToolLimits = limits.validateToolLimits;
-    generateTokenUsageFeedback = limits.generateTokenUsageFeedback;
-  } catch (e2) {
-    // If limits can't be loaded, create fallback functions
-    validateToolLimits = (toolName, args) => ({ valid: true, adjustedArgs: args, warnings: [], errors: [] });
-    generateTokenUsageFeedback = (toolName, args) => ({ message: 'Limits validation unavailable', severity: 'info', suggestions: [] });
-    console.error('Warning: MCP limits validation unavailable:', e2.message);
-  }
-}
-
-// Create enhanced logger for MCP server with timestamps and better formatting
-const logger = {
-  debug: (message, data) => {
-    if (process.env.MCP_DEBUG === 'true') {
-      const timestamp = new Date().toISOString();
-      console.error(`[${timestamp}] [MCP-DEBUG] ${message}`, data ? JSON.stringify(data, null, 2) : '');
-    }
-  },
-  info: (message, data) => {
-    const timestamp = new Date().toISOString();
-    console.error(`[${timestamp}] [MCP-INFO] ${message}`, data ? JSON.stringify(data, null, 2) : '');
-  },
-  error: (message, data) => {
-    const timestamp = new Date().toISOString();
-    console.error(`[${timestamp}] [MCP-ERROR] ${message}`, data ? JSON.stringify(data, null, 2) : '');
-  },
-  warn: (message, data) => {
-    const timestamp = new Date().toISOString();
-    console.error(`[${timestamp}] [MCP-WARN] ${message}`, data ? JSON.stringify(data, null, 2) : '');
-  }
-};
-
-// Load your OpenAPI-generated MCP configuration
-const mcpConfigPath = path.join(__dirname, 'mcp-config.json');
-let mcpConfig;
-
-try {
-  mcpConfig = JSON.parse(fs.readFileSync(mcpConfigPath, 'utf8'));
-} catch (error) {
-  console.error('Failed to load MCP config:', error.message);
-  console.error('Please ensure mcp-config.json exists in the project root');
-  process.exit(1);
-}
-
-// Create MCP server
-const server = new McpServer({
-  name: mcpConfig.server?.name || "zenskar-api-server",
-  version: "1.0.0"
-});
-
-// Initialize the sophisticated response processor
-const responseProcessor = new ResponseProcessor();
-
-// Normalize usage ingestion payload values to ClickHouse-friendly formats
-function normalizeUsageEventPayload(eventPayload) {
-  if (!eventPayload || typeof eventPayload !== 'object' || Array.isArray(eventPayload)) {
-    return eventPayload;
-  }
-
-  const normalized = { ...eventPayload };
-
-  if (typeof normalized.timestamp === 'string') {
-    normalized.timestamp = formatClickHouseDateTime(normalized.timestamp);
-  }
-
-  if (normalized.data && typeof normalized.data === 'object' && !Array.isArray(normalized.data)) {
-    normalized.data = { ...normalized.data };
-
-    const dateTimeKeys = ['DateTime64', 'DateTime', 'DateTime32'];
-    dateTimeKeys.forEach(key => {
-      if (typeof normalized.data[key] === 'string') {
-        normalized.data[key] = formatClickHouseDateTime(normalized.data[key]);
-      }
-    });
-  }
-
-  return normalized;
-}
-
-function formatClickHouseDateTime(value) {
-  if (typeof value !== 'string') {
-    return value;
-  }
-
-  // Replace ISO 8601 separators with ClickHouse-friendly format and strip trailing Z offsets
-  return value
-    .replace('T', ' ')
-    .replace('t', ' ')
-    .replace(/Z$/i, '')
-    .trim();
-}
-
-function normalizeClickHouseType(type) {
-  if (typeof type !== 'string') {
-    return type;
-  }
-
-  const trimmed = type.trim();
-  if (!trimmed) {
-    return type;
-  }
-
-  const lower = trimmed.toLowerCase();
-  switch (lower) {
-    case 'boolean':
-      return 'Bool';
-    case 'string':
-      return 'String';
-    case 'int':
-    case 'int64':
-      return 'Int64';
-    case 'float':
-    case 'float64':
-    case 'double':
-      return 'Float64';
-    case 'date':
-    case 'date32':
-      return 'Date32';
-    case 'datetime':
-    case 'datetime64':
-      return 'DateTime64';
-    case 'uuid':
-      return 'UUID';
-    default:
-      return trimmed;
-  }
-}
-
-function normalizeRawMetricDataschema(schema) {
-  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
-    return schema;
-  }
-
-  const normalized = { ...schema };
-
-  if (normalized.customer_id) {
-    normalized.customer_id = normalizeClickHouseType(normalized.customer_id);
-  }
-  if (normalized.timestamp) {
-    normalized.timestamp = normalizeClickHouseType(normalized.timestamp);
-  }
-
-  if (normalized.data && typeof normalized.data === 'object' && !Array.isArray(normalized.data)) {
-    const dataSchema = {};
-    Object.entries(normalized.data).forEach(([key, value]) => {
-      dataSchema[key] = normalizeClickHouseType(value);
-    });
-    normalized.data = dataSchema;
-  }
-
-  return normalized;
-}
-
-function extractListPayload(data) {
-  if (!data) return [];
-  if (Array.isArray(data)) return data;
-  if (Array.isArray(data.results)) return data.results;
-  if (data.api_response !== undefined) return extractListPayload(data.api_response);
-  return [];
-}
-
-function normalizeAccountCategory(category) {
-  if (!category || typeof category !== 'string') return 'Uncategorized';
-  const normalized = category.trim();
-  if (!normalized) return 'Uncategorized';
-  return normalized;
-}
-
-function toDisplayAmount(value) {
-  const num = Number(value);
-  if (!Number.isFinite(num)) return null;
-  return num / 100;
-}
-
-function normalizeReportAccountCategory(reportType, category) {
-  const normalized = normalizeAccountCategory(category);
-  if (reportType === 'getBalanceSheet' && normalized === 'Liabilities') {
-    return 'Liabilities & Equity';
-  }
-  return normalized;
-}
-
-function getCategoryOrder(reportType, category) {
-  const balanceSheetOrder = {
-    Assets: 1,
-    Liabilities: 2,
-    Equity: 3
-  };
-  const incomeStatementOrder = {
-    Income: 1,
-    Revenue: 1,
-    'Cost of Goods Sold': 2,
-    Expense: 3,
-    Expenses: 3,
-    'Other Income': 4,
-    'Other Expense': 5,
-    'Other Expenses': 5
-  };
-  const map = reportType === 'getBalanceSheet' ? balanceSheetOrder : incomeStatementOrder;
-  return map[category] || 999;
-}
-
-function buildPeriodKey(row) {
-  const start = row?.interval_start || 'unknown_start';
-  const end = row?.interval_end || 'unknown_end';
-  return `${start}__${end}`;
-}
-
-function summarizePeriods(periodMap) {
-  return Object.values(periodMap)
-    .sort((a, b) => String(a.interval_start).localeCompare(String(b.interval_start)));
-}
-
-function buildAccountingStatementView(reportType, rows, accountLookup) {
-  const periodMap = new Map();
-  const sectionsMap = new Map();
-
-  rows.forEach(row => {
-    const category = normalizeReportAccountCategory(reportType, row.account_category);
-    const periodKey = buildPeriodKey(row);
-    const periodEntry = periodMap.get(periodKey) || {
-      key: periodKey,
-      interval_start: row.interval_start || null,
-      interval_end: row.interval_end || null
-    };
-    periodMap.set(periodKey, periodEntry);
-
-    if (!sectionsMap.has(category)) {
-      sectionsMap.set(category, {
-        category,
-        accounts: new Map(),
-        totals_by_period: {},
-        total_balance: 0,
-        total_debits: 0,
-        total_credits: 0
-      });
-    }
-
-    const section = sectionsMap.get(category);
-    const accountId = row.account_id || 'unknown_account';
-    const accountMeta = accountLookup.get(accountId) || {};
-    if (!section.accounts.has(accountId)) {
-      section.accounts.set(accountId, {
-        account_id: accountId,
-        account_name: row.account_name || accountMeta.name || accountId,
-        account_description: row.account_description || accountMeta.description || null,
-        account_category: category,
-        parent_path: row.account_parent_path || accountMeta.parent_path || null,
-        balance_normality: row.balance_normality || accountMeta.balance_normality || null,
-        periods: {},
-        total_balance: 0,
-        total_debits: 0,
-        total_credits: 0
-      });
-    }
-
-    const account = section.accounts.get(accountId);
-    account.periods[periodKey] = {
-      interval_start: row.interval_start || null,
-      interval_end: row.interval_end || null,
-      balance: row.balance ?? 0,
-      display_balance: toDisplayAmount(row.balance ?? 0),
-      debits: row.debits ?? 0,
-      display_debits: toDisplayAmount(row.debits ?? 0),
-      credits: row.credits ?? 0,
-      display_credits: toDisplayAmount(row.credits ?? 0)
-    };
-    account.total_balance += Number(row.balance || 0);
-    account.total_debits += Number(row.debits || 0);
-    account.total_credits += Number(row.credits || 0);
-
-    const sectionPeriod = section.totals_by_period[periodKey] || {
-      interval_start: row.interval_start || null,
-      interval_end: row.interval_end || null,
-      balance: 0,
-      debits: 0,
-      credits: 0,
-      display_balance: 0,
-      display_debits: 0,
-      display_credits: 0
-    };
-    sectionPeriod.balance += Number(row.balance || 0);
-    sectionPeriod.debits += Number(row.debits || 0);
-    sectionPeriod.credits += Number(row.credits || 0);
-    sectionPeriod.display_balance = toDisplayAmount(sectionPeriod.balance);
-    sectionPeriod.display_debits = toDisplayAmount(sectionPeriod.debits);
-    sectionPeriod.display_credits = toDisplayAmount(sectionPeriod.credits);
-    section.totals_by_period[periodKey] = sectionPeriod;
-    section.total_balance += Number(row.balance || 0);
-    section.total_debits += Number(row.debits || 0);
-    section.total_credits += Number(row.credits || 0);
-  });
-
-  const sections = Array.from(sectionsMap.values())
-    .sort((a, b) => {
-      const orderDiff = getCategoryOrder(reportType, a.category) - getCategoryOrder(reportType, b.category);
-      return orderDiff !== 0 ? orderDiff : a.category.localeCompare(b.category);
-    })
-    .map(section => ({
-      category: section.category,
-      accounts: Array.from(section.accounts.values())
-        .sort((a, b) => a.account_name.localeCompare(b.account_name))
-        .map(account => ({
-          ...account,
-          periods: summarizePeriods(account.periods)
-        })),
-      totals_by_period: summarizePeriods(section.totals_by_period),
-      total_balance: section.total_balance,
-      display_total_balance: toDisplayAmount(section.total_balance),
-      total_debits: section.total_debits,
-      display_total_debits: toDisplayAmount(section.total_debits),
-      total_credits: section.total_credits,
-      display_total_credits: toDisplayAmount(section.total_credits)
-    }));
-
-  return {
-    report_type: reportType === 'getBalanceSheet' ? 'balance_sheet' : 'income_statement',
-    periods: Array.from(periodMap.values()).sort((a, b) => String(a.interval_start).localeCompare(String(b.interval_start))),
-    sections
-  };
-}
-
-function normalizeChartAccountCategory(account) {
-  if (!account) return '';
-  const category = account.account_category || '';
-  if (category === 'Liabilities') return 'Liabilities & Equity';
-  return category;
-}
-
-function buildChartOfAccountsView(accounts) {
-  const baseAccounts = [...accounts]
-    .map(account => ({
-      ...account,
-      account_category: normalizeChartAccountCategory(account)
-    }))
-    .sort((a, b) => {
-      const categoryDiff = normalizeChartAccountCategory(a).localeCompare(normalizeChartAccountCategory(b));
-      return categoryDiff !== 0 ? categoryDiff : String(a.name || '').localeCompare(String(b.name || ''));
-    });
-
-  const grouped = new Map();
-  baseAccounts.forEach(account => {
-    const category = normalizeChartAccountCategory(account) || 'Uncategorized';
-    if (!grouped.has(category)) grouped.set(category, []);
-    grouped.get(category).push(account);
-  });
-
-  const syntheticGroups = ['Assets', 'Liabilities & Equity', 'Equity', 'Income', 'Expenses'];
-  syntheticGroups.forEach(category => {
-    if (!grouped.has(category)) grouped.set(category, []);
-  });
-
-  const sections = Array.from(grouped.entries())
-    .sort((a, b) => a[0].localeCompare(b[0]))
-    .map(([category, entries]) => ({
-      id: category,
-      name: category,
-      description: category,
-      account_category: category,
-      is_parent: true,
-      parent_path: null,
-      children: entries.map(entry => ({
-        ...entry,
-        parent_path: entry.parent_path || category
-        }))
-    }));
-
-  const liabEqSection = sections.find(section => section.name === 'Liabilities & Equity');
-  if (liabEqSection) {
-    const hasEquity = liabEqSection.children.some(child => child.name === 'Equity');
-    if (!hasEquity) {
-      liabEqSection.children.push({
-        id: 'Equity',
-        name: 'Equity',
-        description: 'Equity',
-        account_category: 'Liabilities & Equity',
-        balance_normality: 'credit',
-        is_parent: true,
-        parent_path: 'Liabilities & Equity',
-        custom_data: { default_account: false },
-        children: []
-      });
-      liabEqSection.children.push({
-        id: 'Equity:Retained Earnings',
-        name: 'Retained Earnings',
-        description: 'Retained Earnings',
-        account_category: 'Liabilities & Equity',
-        balance_normality: 'credit',
-        is_parent: false,
-        parent_path: 'Equity',
-        custom_data: { default_account: false }
-      });
-    }
-  }
-
-  return sections;
-}
-
-function enrichJobsResult(result) {
-  if (!result || !Array.isArray(result.results)) return result;
-  const counts = result.results.reduce((acc, job) => {
-    const status = job.status || 'unknown';
-    acc[status] = (acc[status] || 0) + 1;
-    return acc;
-  }, {});
 
+const { createServerRuntime, DEFAULT_CONFIG_PATH } = require('./zenskar-server.js');
+const { startHttpServer } = require('./http-server.js');
+const { parseOverlayPaths, watchConfigFiles } = require('./config-loader.js');
+const { getCliOption } = require('./cli-options.js');
+const { runGenerateConfig } = require('./generate-config.js');
+const { ConfigValidationError, runValidateConfig } = require('./config-validator.js');
+const { createRecordingFetch, createReplayFetch, runStubServer } = require('./fixtures.js');
+const { ProfilesError } = require('./profiles.js');
+
+// Optional overlay files merged over the bundled config (--config-overlay or MCP_CONFIG_OVERLAY, comma-separated)
+const configOverlayPaths = parseOverlayPaths(getCliOption('config-overlay') || process.env.MCP_CONFIG_OVERLAY);
+
+// Read-only mode and tool allow/deny lists, from CLI flags or env vars
+function getToolFilterOptions() {
+  const readOnlyFlag = getCliOption('read-only');
   return {
-    ...result,
-    summary: {
-      total_count: result.total_count ?? result.results.length,
-      returned_count: result.results.length,
-      page_status_counts: counts,
-      has_more: !!result.next,
-      note: result.next
-        ? `Showing ${result.results.length} jobs from the current page. Use the cursor to continue through the remaining jobs.`
-        : `Showing ${result.results.length} jobs from the current page.`
-    }
+    readOnly: readOnlyFlag === true || readOnlyFlag === 'true' || process.env.MCP_READ_ONLY === 'true',
+    tools: getCliOption('tools') || process.env.MCP_TOOLS
   };
 }
 
-function enrichListAccountsResult(result) {
-  if (!result || !Array.isArray(result.results)) return result;
-  const sortedResults = [...result.results].sort((a, b) => {
-    const categoryA = normalizeAccountCategory(a.account_category);
-    const categoryB = normalizeAccountCategory(b.account_category);
-    const categoryDiff = categoryA.localeCompare(categoryB);
-    return categoryDiff !== 0 ? categoryDiff : String(a.name || '').localeCompare(String(b.name || ''));
-  });
-
-  const grouped = sortedResults.reduce((acc, account) => {
-    const category = normalizeAccountCategory(account.account_category);
-    acc[category] = acc[category] || [];
-    acc[category].push(account);
-    return acc;
-  }, {});
+function getTransportOptions() {
+  const httpFlag = getCliOption('http');
+  const mode = httpFlag ? 'http' : (process.env.MCP_TRANSPORT || 'stdio').toLowerCase();
+  const sseFlag = getCliOption('sse');
 
   return {
-    ...result,
-    results: sortedResults,
-    grouped_view: grouped
+    mode,
+    port: Number(getCliOption('port') || process.env.MCP_HTTP_PORT || 3000),
+    host: getCliOption('host') || process.env.MCP_HTTP_HOST || '127.0.0.1',
+    enableSse: sseFlag === true || sseFlag === 'true' || process.env.MCP_HTTP_SSE === 'true'
   };
 }
 
-async function fetchJson(url, headers) {
-  const response = await fetch(url, { method: 'GET', headers });
-  const text = await response.text();
-  if (!response.ok) {
-    throw new Error(`Supplemental fetch failed: ${response.status} ${response.statusText}\nResponse: ${text}`);
+// Record API traffic to fixture files (--record <dir> or MCP_RECORD_DIR), or answer from them without
+// network access (--replay <dir> or MCP_REPLAY_DIR)
+function getFixtureMode() {
+  const recordDir = getCliOption('record') || process.env.MCP_RECORD_DIR;
+  const replayDir = getCliOption('replay') || process.env.MCP_REPLAY_DIR;
+  if (recordDir && replayDir) {
+    throw new Error('Use either --record or --replay, not both');
   }
-
-  try {
-    return JSON.parse(text);
-  } catch (_error) {
-    throw new Error(`Supplemental fetch returned non-JSON response: ${text}`);
+  if (recordDir === true || replayDir === true) {
+    throw new Error('--record and --replay need a fixture directory');
   }
-}
-
-async function executeFrontendStyleRawMetricLogs(args, headers, baseUrl) {
-  const rawMetricId = args.rawMetricId;
-  const rawMetricUrl = `${baseUrl}/rawmetric/${encodeURIComponent(rawMetricId)}`;
-  const rawMetric = await fetchJson(rawMetricUrl, headers);
-
-  if (!rawMetric?.api_slug) {
-    throw new Error(`Unable to resolve api_slug for raw metric ${rawMetricId}`);
+  if (recordDir) {
+    return { mode: 'record', dir: recordDir, fetch: createRecordingFetch({ dir: recordDir }) };
   }
-
-  const previewHeaders = {
-    ...headers,
-    apiversion: '20240301'
-  };
-
-  const payload = {
-    limit: args.limit ?? 20,
-    offset: args.offset ?? 0,
-    order_by: args.order_by ?? [{ column: 'timestamp', type: 'DESC' }],
-    aggregate_operation: args.aggregate_operation ?? null,
-    customer_mapping: null,
-    end_date_mapping: null,
-    start_date_mapping: null,
-    table_name: `raw_metric_${rawMetric.api_slug}`,
-    visual_query: {
-      groups: [
-        {
-          filters: Array.isArray(args.filters) ? args.filters : [],
-          logic: 'AND'
-        }
-      ],
-      logic: 'AND'
-    }
-  };
-
-  const response = await fetch(`${baseUrl}/aggregate/visualquery/preview`, {
-    method: 'POST',
-    headers: previewHeaders,
-    body: JSON.stringify(payload)
-  });
-
-  const responseText = await response.text();
-  if (!response.ok) {
-    throw new Error(`API request failed: ${response.status} ${response.statusText}\nResponse: ${responseText}`);
-  }
-
-  try {
-    return JSON.parse(responseText);
-  } catch (_error) {
-    return responseText;
+  if (replayDir) {
+    return { mode: 'replay', dir: replayDir, fetch: createReplayFetch({ dir: replayDir }) };
   }
+  return null;
 }
 
-async function enrichAccountingReportResult(toolName, result, headers, baseUrl) {
-  if (!result || !Array.isArray(result.results)) {
-    return result;
-  }
+function isLiveWritesFlagSet() {
+  const flag = getCliOption('allow-live-writes');
+  return flag === true || flag === 'true' || process.env.MCP_ALLOW_LIVE_WRITES === 'true';
+}
 
+function loadRuntime(fixtureMode) {
   try {
-    const chartUrl = `${baseUrl}/accounting_new/chart_of_accounts`;
-    const chartData = await fetchJson(chartUrl, headers);
-    const chartAccounts = extractListPayload(chartData);
-    const accountLookup = new Map(
-      chartAccounts
-        .filter(account => account && account.id)
-        .map(account => [account.id, account])
-    );
-
-    const enrichedRows = result.results.map(row => {
-      const account = accountLookup.get(row.account_id) || {};
-      return {
-        ...row,
-        account_name: account.name || row.account_id || null,
-        account_description: account.description || null,
-        account_category: normalizeReportAccountCategory(toolName, account.account_category),
-        account_parent_path: account.parent_path || null,
-        balance_normality: account.balance_normality || null,
-        display_balance: toDisplayAmount(row.balance ?? 0),
-        display_debits: toDisplayAmount(row.debits ?? 0),
-        display_credits: toDisplayAmount(row.credits ?? 0)
-      };
+    return createServerRuntime({
+      configPath: DEFAULT_CONFIG_PATH,
+      overlayPaths: configOverlayPaths,
+      toolFilter: getToolFilterOptions(),
+      fetch: fixtureMode?.fetch,
+      // Named credential profiles: --profiles <file> or MCP_PROFILES_FILE
+      profilesPath: getCliOption('profiles') || process.env.MCP_PROFILES_FILE,
+      // Writes to production organizations: --allow-live-writes or MCP_ALLOW_LIVE_WRITES=true
+      allowLiveWrites: isLiveWritesFlagSet(),
+      // Plugin modules with extra transforms and handlers: --transform-plugins or MCP_TRANSFORM_PLUGINS
+      transformPlugins: getCliOption('transform-plugins') || process.env.MCP_TRANSFORM_PLUGINS
     });
-
-    let statementView = buildAccountingStatementView(toolName, enrichedRows, accountLookup);
-
-    if (toolName === 'getBalanceSheet') {
-      const params = new URLSearchParams();
-      if (headers.apiversion) params.set('apiversion', headers.apiversion);
-      const incomeStatementUrl = `${baseUrl}/accounting_new/income_statement/v2`;
-      const incomeStatement = await fetchJson(incomeStatementUrl, headers);
-      const incomeRows = Array.isArray(incomeStatement?.results) ? incomeStatement.results : [];
-      const retainedByPeriod = {};
-
-      incomeRows.forEach(row => {
-        const periodKey = buildPeriodKey(row);
-        const period = retainedByPeriod[periodKey] || {
-          interval_start: row.interval_start || null,
-          interval_end: row.interval_end || null,
-          balance: 0,
-          debits: 0,
-          credits: 0
-        };
-        period.balance += Number(row.balance || 0);
-        period.debits += Number(row.debits || 0);
-        period.credits += Number(row.credits || 0);
-        retainedByPeriod[periodKey] = period;
-      });
-
-      const retainedPeriods = summarizePeriods(
-        Object.fromEntries(
-          Object.entries(retainedByPeriod).map(([key, value]) => [
-            key,
-            {
-              ...value,
-              display_balance: toDisplayAmount(value.balance),
-              display_debits: toDisplayAmount(value.debits),
-              display_credits: toDisplayAmount(value.credits)
-            }
-          ])
-        )
-      );
-
-      const retainedAccount = {
-        account_id: 'Equity:Retained Earnings',
-        account_name: 'Retained Earnings (Derived)',
-        account_description: 'Derived from the companion income statement for MCP presentation.',
-        account_category: 'Liabilities & Equity',
-        parent_path: 'Equity',
-        balance_normality: 'credit',
-        periods: retainedPeriods,
-        total_balance: retainedPeriods.reduce((sum, period) => sum + Number(period.balance || 0), 0),
-        display_total_balance: toDisplayAmount(retainedPeriods.reduce((sum, period) => sum + Number(period.balance || 0), 0)),
-        total_debits: retainedPeriods.reduce((sum, period) => sum + Number(period.debits || 0), 0),
-        display_total_debits: toDisplayAmount(retainedPeriods.reduce((sum, period) => sum + Number(period.debits || 0), 0)),
-        total_credits: retainedPeriods.reduce((sum, period) => sum + Number(period.credits || 0), 0),
-        display_total_credits: toDisplayAmount(retainedPeriods.reduce((sum, period) => sum + Number(period.credits || 0), 0))
-      };
-
-      let liabEqSection = statementView.sections.find(section => section.category === 'Liabilities & Equity');
-      if (!liabEqSection) {
-        liabEqSection = {
-          category: 'Liabilities & Equity',
-          accounts: [],
-          totals_by_period: [],
-          total_balance: 0,
-          display_total_balance: 0,
-          total_debits: 0,
-          display_total_debits: 0,
-          total_credits: 0,
-          display_total_credits: 0
-        };
-        statementView.sections.push(liabEqSection);
-      }
-      liabEqSection.accounts.push(retainedAccount);
-    }
-
-    return {
-      ...result,
-      results: enrichedRows,
-      statement_view: statementView
-    };
   } catch (error) {
-    logger.warn(`[${toolName}] Failed to enrich accounting report output; returning raw report`, {
-      error: error.message
-    });
-    return result;
-  }
-}
-
-// Helper function to convert OpenAPI args to Zod schema
-function convertArgsToZodSchema(args) {
-  const schemaObj = {};
-  
-  args.forEach(arg => {
-    let zodType;
-    
-    if (arg.type === 'integer' || arg.type === 'number') {
-      zodType = z.number();
-    } else if (arg.type === 'boolean') {
-      zodType = z.boolean();
-    } else if (arg.type === 'object') {
-      zodType = z.record(z.any());
-    } else if (arg.type === 'array') {
-      zodType = z.array(z.any());
+    if (error instanceof ProfilesError) {
+      console.error(error.message);
+    } else if (error instanceof ConfigValidationError) {
+      console.error(`Invalid config (${[DEFAULT_CONFIG_PATH, ...configOverlayPaths].join(' + ')}):`);
+      error.lines.forEach(line => console.error(`  ${line}`));
     } else {
-      zodType = z.string();
-    }
-    
-    // Handle default values
-    if (arg.default !== undefined) {
-      zodType = zodType.default(arg.default);
-    }
-    
-    if (!arg.required) {
-      zodType = zodType.optional();
-    }
-    
-    if (arg.description) {
-      zodType = zodType.describe(arg.description);
-    }
-    
-    schemaObj[arg.name] = zodType;
-  });
-  
-  // Add __userContext as an optional object parameter for all tools
-  schemaObj['__userContext'] = z.object({
-    userId: z.string().optional(),
-    authorization: z.string().optional(),
-    organization: z.string().optional(),
-    apiKey: z.string().optional(),
-    headers: z.object({}).optional(),
-    // Add approval support for human-in-the-loop workflow
-    approval: z.object({
-      approved: z.boolean(),
-      modifiedArguments: z.record(z.any()).optional(),
-      originalArguments: z.record(z.any()).optional(),
-      toolName: z.string().optional()
-    }).optional()
-  }).optional().describe('Internal user context for multi-tenant authentication and approval workflow');
-  
-  return schemaObj;
-}
-
-// Enhanced API execution with better error handling and logging
-async function executeAPICall(tool, args) {
-  const startTime = Date.now();
-  
-  // Handle system tools that don't require API calls
-  if (tool.name === 'getCurrentDateTime') {
-    const now = new Date();
-    return {
-      currentDate: now.toISOString().split('T')[0],
-      currentDateTime: now.toISOString(),
-      timestamp: now.getTime(),
-      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-      humanReadable: now.toLocaleString()
-    };
-  }
-  
-  // Debug: Log raw args received
-  logger.debug(`[${tool.name}] Raw args received:`, {
-    argKeys: Object.keys(args),
-    argValues: JSON.stringify(args, null, 2)
-  });
-  
-  // Extract user context from args (if provided)
-  const userContext = args.__userContext;
-  const cleanArgs = { ...args };
-  delete cleanArgs.__userContext; // Remove internal context from API args
-  
-  // Debug: Log what we received
-  logger.debug(`[${tool.name}] User context received:`, userContext ? {
-    hasUserId: !!userContext.userId,
-    hasAuthorization: !!userContext.authorization,
-    hasOrganization: !!userContext.organization,
-    authPrefix: userContext.authorization ? userContext.authorization.substring(0, 20) + '...' : 'none'
-  } : 'NO USER CONTEXT');
-  
-  // Build the request URL
-  let url = tool.requestTemplate?.url || '/';
-  const method = tool.requestTemplate?.method || 'GET';
-  
-  // Check if URL is absolute (starts with http/https) or relative
-  const isAbsoluteUrl = url.startsWith('http://') || url.startsWith('https://');
-  
-  logger.debug(`[${tool.name}] Executing ${method} request with args:`, JSON.stringify(cleanArgs, null, 2));
-  if (userContext) {
-    logger.debug(`[${tool.name}] Using user context:`, {
-      hasApiKey: !!userContext.apiKey,
-      hasOrganization: !!userContext.organization,
-      userId: userContext.userId
-    });
-  }
-  
-  // Replace path parameters
-  if (tool.args) {
-    tool.args.forEach(arg => {
-      if (arg.position === 'path' && cleanArgs[arg.name] !== undefined) {
-        url = url.replace(`{${arg.name}}`, encodeURIComponent(cleanArgs[arg.name]));
-      }
-    });
-  }
-
-  // Build query parameters with intelligent handling
-  const queryParams = new URLSearchParams();
-  if (tool.args) {
-    tool.args.forEach(arg => {
-      if (arg.position === 'query' && cleanArgs[arg.name] !== undefined && cleanArgs[arg.name] !== null && cleanArgs[arg.name] !== '') {
-        // Handle different data types properly
-        if (typeof cleanArgs[arg.name] === 'boolean') {
-          queryParams.append(arg.name, cleanArgs[arg.name].toString());
-        } else if (Array.isArray(cleanArgs[arg.name])) {
-          // Handle array parameters
-          cleanArgs[arg.name].forEach(value => {
-            queryParams.append(arg.name, value);
-          });
-        } else {
-          queryParams.append(arg.name, cleanArgs[arg.name]);
-        }
-      }
-    });
-  }
-
-  // Handle additional parameters intelligently
-  Object.keys(cleanArgs).forEach(key => {
-    if (!queryParams.has(key) && cleanArgs[key] !== undefined && cleanArgs[key] !== null && cleanArgs[key] !== '') {
-      const isPathParam = tool.args?.some(arg => arg.position === 'path' && arg.name === key);
-      const isBodyParam = tool.args?.some(arg => arg.position === 'body' && arg.name === key);
-      
-      if (!isPathParam && !isBodyParam) {
-        if (typeof cleanArgs[key] === 'boolean') {
-          queryParams.append(key, cleanArgs[key].toString());
-        } else if (Array.isArray(cleanArgs[key])) {
-          cleanArgs[key].forEach(value => {
-            queryParams.append(key, value);
-          });
-        } else {
-          queryParams.append(key, cleanArgs[key]);
-        }
-      }
+      console.error('Failed to load MCP config:', error.message);
+      console.error('Please ensure mcp-config.json exists in the project root');
     }
-  });
-
-  if (queryParams.toString()) {
-    url += '?' + queryParams.toString();
+    process.exit(1);
   }
+}
 
-  // Build request body
-  let body = null;
-  if (method !== 'GET' && method !== 'DELETE' && tool.args) {
-    const bodyParams = {};
-    tool.args.forEach(arg => {
-      if (arg.position === 'body' && cleanArgs[arg.name] !== undefined) {
-        if (tool.name === 'ingestRawMetricEvent' && arg.name === 'event') {
-          const eventPayload = normalizeUsageEventPayload(cleanArgs[arg.name]);
-          if (eventPayload && typeof eventPayload === 'object' && !Array.isArray(eventPayload)) {
-            // Flatten usage event payload so it matches the API contract
-            Object.entries(eventPayload).forEach(([key, value]) => {
-              if (value !== undefined) {
-                bodyParams[key] = value;
-              }
-            });
-          } else {
-            bodyParams[arg.name] = eventPayload;
-          }
-        } else {
-          bodyParams[arg.name] = cleanArgs[arg.name];
-        }
-      }
+// Enhanced startup with better logging
+async function main() {
+  const fixtureMode = getFixtureMode();
+  const runtime = loadRuntime(fixtureMode);
+  const { logger } = runtime;
+  const transportOptions = getTransportOptions();
+
+  if (runtime.approvalTokens.ephemeralSecret) {
+    logger.warn('MCP_APPROVAL_SECRET is not set; approval tokens will only be valid for this process');
+  }
+
+  if (transportOptions.mode === 'http') {
+    await startHttpServer({
+      createServer: runtime.createMcpServer,
+      logger,
+      port: transportOptions.port,
+      host: transportOptions.host,
+      enableSse: transportOptions.enableSse
     });
-    
-    // Nest flat address fields into address/ship_to_address objects for the Zenskar API
-    if (tool.name === 'createCustomer' || tool.name === 'updateCustomer') {
-      const nestAddress = (prefix, targetKey) => {
-        const fieldMap = {
-          [`${prefix}line1`]: 'line1',
-          [`${prefix}line2`]: 'line2',
-          [`${prefix}line3`]: 'line3',
-          [`${prefix}city`]: 'city',
-          [`${prefix}state`]: 'state',
-          [`${prefix}zipCode`]: 'zipCode',
-          [`${prefix}country`]: 'country',
-          [`${prefix}country_code`]: 'country_code'
-        };
-        const obj = {};
-        let has = false;
-        Object.entries(fieldMap).forEach(([flatKey, nestedKey]) => {
-          if (bodyParams[flatKey] !== undefined) {
-            obj[nestedKey] = bodyParams[flatKey];
-            delete bodyParams[flatKey];
-            has = true;
-          }
-        });
-        if (has) {
-          bodyParams[targetKey] = obj;
-          logger.debug(`[${tool.name}] Transformed flat ${prefix}* fields into ${targetKey} object`);
-        }
-      };
-      nestAddress('address_', 'address');
-      nestAddress('ship_to_', 'ship_to_address');
-    }
-
-    // Same address nesting for createBusinessEntity
-    if (tool.name === 'createBusinessEntity') {
-      const nestAddress = (prefix, targetKey) => {
-        const fieldMap = {
-          [`${prefix}line1`]: 'line1',
-          [`${prefix}line2`]: 'line2',
-          [`${prefix}line3`]: 'line3',
-          [`${prefix}city`]: 'city',
-          [`${prefix}state`]: 'state',
-          [`${prefix}zipCode`]: 'zipCode',
-          [`${prefix}country`]: 'country'
-        };
-        const obj = {};
-        let has = false;
-        Object.entries(fieldMap).forEach(([flatKey, nestedKey]) => {
-          if (bodyParams[flatKey] !== undefined) {
-            obj[nestedKey] = bodyParams[flatKey];
-            delete bodyParams[flatKey];
-            has = true;
-          }
-        });
-        if (has) {
-          bodyParams[targetKey] = obj;
-          logger.debug(`[${tool.name}] Transformed flat ${prefix}* fields into ${targetKey} object`);
-        }
-      };
-      nestAddress('address_', 'address');
-    }
-
-    // Smart defaults for helper tools
-    if (tool.name === 'extractContractFromRaw') {
-      // Auto-populate organization_id from user context or env var if not provided
-      if (!bodyParams.organization_id) {
-        const orgId = userContext?.organization || process.env.ZENSKAR_ORGANIZATION;
-        if (orgId) {
-          bodyParams.organization_id = orgId;
-          logger.debug(`[${tool.name}] Auto-populated organization_id: ${orgId}`);
-        }
-      }
+    console.error(`Zenskar Intelligent MCP Server running on http://${transportOptions.host}:${transportOptions.port}/mcp`);
+    if (transportOptions.enableSse) {
+      console.error(`SSE fallback enabled at http://${transportOptions.host}:${transportOptions.port}/sse`);
     }
+  } else if (transportOptions.mode === 'stdio') {
+    const server = runtime.createMcpServer();
+    const transport = new StdioServerTransport();
+    await server.connect(transport);
 
-    if (tool.name === 'createRawMetric') {
-      if (!bodyParams.connector) {
-        bodyParams.connector = cleanArgs.connector || 'push_to_zenskar';
-      }
-      if (!bodyParams.api_type) {
-        bodyParams.api_type = cleanArgs.api_type || 'PUSH';
-      }
-      if (!bodyParams.dataschema) {
-        bodyParams.dataschema = {
-          customer_id: 'string',
-          timestamp: 'timestamp',
-          data: {
-            usage_amount: 'decimal',
-            feature_id: 'string'
-          }
-        };
-      }
-      if (bodyParams.dataschema) {
-        bodyParams.dataschema = normalizeRawMetricDataschema(bodyParams.dataschema);
-      }
-      // Production ClickHouse pipelines only accept ['timestamp']; enforce regardless of user input
-      bodyParams.column_order = ['timestamp'];
-    }
-    
-    if (Object.keys(bodyParams).length > 0) {
-      body = JSON.stringify(bodyParams);
-    } else if (method === 'PATCH' || method === 'POST' || method === 'PUT') {
-      // Always send at least an empty JSON body for non-GET methods
-      // Some endpoints (e.g., approveInvoice) require a body even when no body params are provided
-      body = '{}';
-    }
-  }
-
-  // Build headers with enhanced authentication
-  const headers = {
-    'Content-Type': 'application/json',
-    'User-Agent': 'Zenskar-MCP-Server/1.0.0',
-    'apiversion': '20230501'
-  };
-
-  // Use dynamic user context if available, fall back to environment variables for CLI/MCP usage
-  const orgId = userContext?.organization || process.env.ZENSKAR_ORGANIZATION;
-  const authToken = userContext?.authorization ||
-                    userContext?.headers?.['authorization'] ||
-                    userContext?.headers?.['Authorization'] ||
-                    process.env.ZENSKAR_AUTH_TOKEN;
-  const apiKey = userContext?.apiKey ||
-                 userContext?.headers?.['x-api-key'] ||
-                 process.env.ZENSKAR_API_KEY ||
-                 process.env.ZENSKAR_AUTH_TOKEN; // Fallback: use AUTH_TOKEN as API key if it looks like one
-
-  if (orgId) {
-    headers['organisation'] = orgId;
-  } else {
-    logger.error(`[${tool.name}] SECURITY ERROR: No organization ID provided`);
-    throw new Error('Organization ID is required for API access. Set ZENSKAR_ORGANIZATION env var or provide in user context.');
-  }
-
-  // Determine auth method: Bearer token for JWT, x-api-key for sandbox keys
-  if (authToken && authToken.startsWith('eyJ')) {
-    // JWT token - use Bearer auth
-    headers['Authorization'] = authToken.startsWith('Bearer ') ? authToken : `Bearer ${authToken}`;
-  } else if (apiKey) {
-    // API key (sandbox_* or other) - use x-api-key header
-    headers['x-api-key'] = apiKey;
-  } else {
-    logger.error(`[${tool.name}] SECURITY ERROR: No authorization provided`);
-    throw new Error('Authorization is required. Set ZENSKAR_AUTH_TOKEN (JWT) or ZENSKAR_API_KEY env var.');
-  }
-
-  // Add any other headers from user context
-  if (userContext?.headers) {
-    Object.keys(userContext.headers).forEach(key => {
-      if (userContext.headers[key] && !headers[key.toLowerCase()]) {
-        headers[key] = userContext.headers[key];
-      }
-    });
-  }
-
-  logger.debug(`[${tool.name}] Using headers:`, {
-    hasOrganization: !!headers['organisation'],
-    hasAuthorization: !!headers['Authorization'],
-    hasApiKey: !!headers['x-api-key'],
-    source: userContext?.organization ? 'userContext' : 'env'
-  });
-
-  // Add custom headers from template (override any dynamic ones)
-  if (tool.requestTemplate?.headers) {
-    if (Array.isArray(tool.requestTemplate.headers)) {
-      // Handle array format
-      tool.requestTemplate.headers.forEach(header => {
-        headers[header.key] = header.value;
-      });
-    } else {
-      // Handle object format
-      Object.keys(tool.requestTemplate.headers).forEach(key => {
-        headers[key] = tool.requestTemplate.headers[key];
-      });
-    }
-  }
-  
-  // Build the full URL based on whether the URL is absolute or relative
-  let fullUrl;
-  if (isAbsoluteUrl) {
-    // Use the URL as-is for absolute URLs (like generateContract)
-    fullUrl = url;
-    logger.debug(`[${tool.name}] Using absolute URL: ${fullUrl}`);
+    console.error('Zenskar Intelligent MCP Server running on stdio');
   } else {
-    // Prepend base URL for relative URLs (like createContractPrompt)
-    const baseUrl = process.env.ZENSKAR_API_BASE_URL || 'https://api.zenskar.com';
-    fullUrl = baseUrl + url;
-    logger.debug(`[${tool.name}] Using relative URL with base: ${baseUrl} + ${url} = ${fullUrl}`);
-  }
-
-  logger.debug(`[${tool.name}] Making ${method} request to: ${fullUrl}`);
-  logger.info(`[${tool.name}] MULTI-TENANT SECURITY CHECK - Headers being sent:`, {
-    organization: headers['organisation'] || 'MISSING',
-    hasAuth: !!headers['Authorization'],
-    authPrefix: headers['Authorization'] ? headers['Authorization'].substring(0, 30) + '...' : 'NONE',
-    allHeaders: JSON.stringify(headers, null, 2)
-  });
-  
-  try {
-    if (tool.name === 'getRawMetricLogs') {
-      const baseUrl = process.env.ZENSKAR_API_BASE_URL || 'https://api.zenskar.com';
-      const result = await executeFrontendStyleRawMetricLogs(cleanArgs, headers, baseUrl);
-      logger.debug(`[${tool.name}] Successfully processed frontend-style usage-event logs`);
-      return result;
-    }
-
-    const response = await fetch(fullUrl, {
-      method,
-      headers,
-      body
-    });
-
-    const responseText = await response.text();
-    const duration = Date.now() - startTime;
-    
-    logger.info(`[${tool.name}] Response received in ${duration}ms - Status: ${response.status}, Size: ${responseText.length} chars`);
-    logger.info(`[${tool.name}] Raw response body:`, responseText);
-
-    if (!response.ok) {
-      logger.error(`[${tool.name}] API Error Response:`, responseText);
-      let errorMessage = `API request failed: ${response.status} ${response.statusText}\nResponse: ${responseText}`;
-
-      throw new Error(errorMessage);
-    }
-
-    let result;
-    try {
-      result = JSON.parse(responseText);
-    } catch (e) {
-      logger.debug(`[${tool.name}] Failed to parse JSON response, returning as text`);
-      result = responseText;
-    }
-
-    if (tool.name === 'getBalanceSheet' || tool.name === 'getIncomeStatement') {
-      const baseUrl = process.env.ZENSKAR_API_BASE_URL || 'https://api.zenskar.com';
-      result = await enrichAccountingReportResult(tool.name, result, headers, baseUrl);
-    }
-    if (tool.name === 'listJobs') {
-      result = enrichJobsResult(result);
-    }
-    if (tool.name === 'listAccounts') {
-      result = enrichListAccountsResult(result);
-    }
-    if (tool.name === 'getChartOfAccounts' && Array.isArray(result)) {
-      result = {
-        raw_accounts: result,
-        chart_view: buildChartOfAccountsView(result)
-      };
-    }
-    
-    // Apply response template if available
-    if (tool.responseTemplate?.prependBody) {
-      result = {
-        template_info: tool.responseTemplate.prependBody,
-        api_response: result
-      };
-    }
-
-    logger.debug(`[${tool.name}] Successfully processed response`);
-    return result;
-    
-  } catch (fetchError) {
-    logger.error(`[${tool.name}] Network error:`, fetchError);
-    throw new Error(`Network error: ${fetchError.message}`);
+    throw new Error(`Unknown MCP_TRANSPORT "${transportOptions.mode}". Use "stdio" or "http".`);
   }
-}
 
-// Function to check if tool needs approval
-function checkNeedsApproval(tool, args) {
-  if (!tool.needsApproval) {
-    return false;
+  const { config, toolSelection } = runtime;
+  console.error(`Loaded ${config.tools?.length || 0} tools from config (${toolSelection.enabled.length} enabled, ${toolSelection.filtered.length} filtered out)`);
+  if (configOverlayPaths.length > 0) {
+    console.error(`Config overlays: ${configOverlayPaths.join(', ')}`);
   }
-  
-  // Check if this is a re-execution after approval
-  const userContext = args.__userContext;
-  if (userContext && userContext.approval && userContext.approval.approved === true) {
-    logger.info(`[${tool.name}] Tool was approved by user, using modified arguments`);
-    
-    // Replace current args with user-approved/modified arguments
-    const modifiedArgs = userContext.approval.modifiedArguments;
-    if (modifiedArgs) {
-      // Clear existing tool args but keep __userContext
-      const savedUserContext = args.__userContext;
-      Object.keys(args).forEach(key => {
-        if (key !== '__userContext') {
-          delete args[key];
-        }
-      });
-      
-      // Apply user's modified arguments
-      Object.assign(args, modifiedArgs);
-      args.__userContext = savedUserContext;
-      
-      logger.info(`[${tool.name}] Using user-modified arguments:`, modifiedArgs);
-    }
-    
-    return false; // Skip approval, execute with approved args
+  if (runtime.profiles) {
+    console.error(`Credential profiles: ${runtime.profiles.names.join(', ')}${runtime.profiles.defaultName ? ` (default ${runtime.profiles.defaultName})` : ''}`);
   }
-  
-  // If needsApproval is a function, evaluate it
-  if (typeof tool.needsApproval === 'function') {
-    return tool.needsApproval(args);
+  console.error(runtime.allowLiveWrites
+    ? 'Live writes allowed: writes to production organizations need an approval with the organization ID typed by the approver'
+    : 'Live writes blocked: write tools only run against sandbox and local organizations (--allow-live-writes to change)');
+  if (fixtureMode) {
+    console.error(fixtureMode.mode === 'record'
+      ? `Recording API traffic to ${fixtureMode.dir}`
+      : `Replaying API responses from ${fixtureMode.dir}; no network requests will be made`);
   }
-  
-  // If it's a boolean true, always needs approval
-  return tool.needsApproval === true;
-}
-
-// Function to generate approval request
-function generateApprovalRequest(tool, args) {
-  const userContext = args.__userContext;
-  const cleanArgs = { ...args };
-  delete cleanArgs.__userContext;
-  
-  return {
-    type: 'approval_required',
-    toolName: tool.name,
-    toolDescription: tool.description,
-    arguments: cleanArgs,
-    approvalConfig: tool.approvalConfig || {
-      title: `Approve ${tool.name}`,
-      description: `This action requires your approval: ${tool.description}`,
-      warningText: 'Please review the parameters carefully before proceeding.',
-      confirmText: 'Approve',
-      cancelText: 'Cancel'
-    },
-    // Generate field definitions for the frontend
-    fields: (tool.args || []).map(arg => ({
-      name: arg.name,
-      label: arg.description || arg.name,
-      type: getFieldType(arg.type),
-      required: arg.required || false,
-      value: cleanArgs[arg.name],
-      sensitive: tool.approvalConfig?.sensitiveFields?.includes(arg.name) || false
-    }))
-  };
-}
 
-// Helper to map API types to form field types
-function getFieldType(apiType) {
-  switch (apiType) {
-    case 'string': return 'text';
-    case 'integer':
-    case 'number': return 'number';
-    case 'boolean': return 'checkbox';
-    default: return 'text';
+  const watchFlag = getCliOption('watch-config');
+  if (watchFlag === true || watchFlag === 'true' || process.env.MCP_CONFIG_WATCH === 'true') {
+    watchConfigFiles([DEFAULT_CONFIG_PATH, ...configOverlayPaths], () => runtime.reloadConfig());
+    console.error('Watching config files for changes');
   }
-}
-
-// Register tools from config with enhanced error handling
-if (mcpConfig.tools && mcpConfig.tools.length > 0) {
-  mcpConfig.tools.forEach(tool => {
-    logger.info(`Registering tool: ${tool.name}`);
-    
-    const inputSchema = convertArgsToZodSchema(tool.args || []);
-    
-    server.registerTool(
-      tool.name,
-      {
-        title: tool.name,
-        description: tool.description,
-        inputSchema: inputSchema
-      },
-      async (args) => {
-        const executionStart = Date.now();
-        let tokenUsageStatus = 'success';
-        let tokenUsageReason = null;
-        let requestTokens = 0;
-        let responseTokens = 0;
-        let limitRequested = null;
-        let limitApplied = null;
-        
-        try {
-          logger.debug(`[${tool.name}] Tool execution started`);
-          
-          // Debug: Check what args are received
-          logger.info(`[${tool.name}] Raw args received:`, {
-            argKeys: Object.keys(args),
-            hasUserContextInArgs: !!args.__userContext,
-            userContextInArgs: args.__userContext,
-            approvedInArgs: args.__userContext?.approved
-          });
-          
-          // Check if this tool needs approval and hasn't been approved yet
-          const needsApproval = checkNeedsApproval(tool, args);
-          const userContext = args.__userContext;
-          const isApproved = userContext?.approved === true;
-          
-          logger.info(`[${tool.name}] Approval check:`, {
-            needsApproval,
-            isApproved,
-            hasUserContext: !!userContext,
-            userContextKeys: userContext ? Object.keys(userContext) : [],
-            approvedValue: userContext?.approved,
-            fullUserContext: JSON.stringify(userContext, null, 2)
-          });
-          
-          if (needsApproval && !isApproved) {
-            logger.info(`[${tool.name}] Tool requires approval, generating approval request`);
-            const approvalRequest = generateApprovalRequest(tool, args);
-            
-            return {
-              content: [{
-                type: "text",
-                text: JSON.stringify(approvalRequest, null, 2)
-              }],
-              isApprovalRequired: true,
-              approvalRequest: approvalRequest
-            };
-          }
-          
-          if (needsApproval && isApproved) {
-            logger.info(`[${tool.name}] Tool was approved, executing actual API call`);
-          }
-          
-          // Extract user context for token usage tracking
-          const userId = userContext?.userId || 'unknown';
-          const chatId = userContext?.chatId || null; // Use NULL for direct MCP calls
-          
-          // Estimate request tokens (rough approximation)
-          const argsString = JSON.stringify(args);
-          requestTokens = Math.ceil(argsString.length / 4); // Rough token estimation
-          
-          // Validate and enforce limits on tool arguments
-          const limitsValidation = validateToolLimits(tool.name, args);
-          
-          if (!limitsValidation.valid) {
-            const feedback = generateTokenUsageFeedback(tool.name, args);
-            logger.error(`[${tool.name}] Tool execution blocked due to limits:`, limitsValidation.errors);
-            
-            // Log blocked token usage
-            tokenUsageStatus = 'blocked';
-            tokenUsageReason = limitsValidation.errors.join('; ');
-            responseTokens = 200; // Estimated tokens for error message
-            
-            try {
-              await tokenUsageMonitor.logUsage({
-                userId,
-                chatId,
-                tool: tool.name,
-                requestTokens,
-                responseTokens,
-                totalTokens: requestTokens + responseTokens,
-                status: tokenUsageStatus,
-                reason: tokenUsageReason,
-                limitRequested: args.limit,
-                limitApplied: null
-              });
-            } catch (monitorError) {
-              logger.error(`[${tool.name}] Failed to log token usage:`, monitorError);
-            }
-            
-            return {
-              content: [{
-                type: "text",
-                text: `I'm sorry, but this request is too large to process efficiently. To get better results, please try:\n\n` +
-                      `• Using smaller numbers when asking for lists (try 10-20 items instead of larger amounts)\n` +
-                      `• Being more specific with your search criteria\n` +
-                      `• Breaking your request into smaller parts\n\n` +
-                      `For example, instead of asking for all customers, try asking for "customers created this month" or "customers from a specific region."`
-              }],
-              isError: true
-            };
-          }
-          
-          // Use adjusted args with enforced limits
-          const adjustedArgs = limitsValidation.adjustedArgs;
-
-          // Track limit adjustments
-          if (args.limit && adjustedArgs.limit && args.limit !== adjustedArgs.limit) {
-            limitRequested = args.limit;
-            limitApplied = adjustedArgs.limit;
-          }
-          
-          // Log token usage feedback
-          const tokenFeedback = generateTokenUsageFeedback(tool.name, adjustedArgs);
-          logger.info(`[${tool.name}] Token usage assessment:`, {
-            estimatedTokens: tokenFeedback.message,
-            severity: tokenFeedback.severity,
-            suggestions: tokenFeedback.suggestions,
-            originalArgs: JSON.stringify(args),
-            adjustedArgs: JSON.stringify(adjustedArgs)
-          });
-          
-          // Execute API call with validated and adjusted arguments
-          const rawResult = await executeAPICall(tool, adjustedArgs);
-          
-          // Process the response with intelligent optimization
-          const processedResult = responseProcessor.processResponse(rawResult, tool.name);
-          
-          const executionTime = Date.now() - executionStart;
-          logger.info(`[${tool.name}] Tool execution completed in ${executionTime}ms`);
-          
-          // Add user-friendly notice for large responses
-          let responseText = typeof processedResult === 'string' ? processedResult : JSON.stringify(processedResult, null, 2);
-          
-          // Check if response was truncated
-          if (limitsValidation.warnings.length > 0 || tokenFeedback.severity === 'warning') {
-            tokenUsageStatus = 'truncated';
-            tokenUsageReason = 'Response optimized due to size limits';
-            
-            const warningText = `\n\n---\n**📋 Response Summary:**\n` +
-                              `Your request returned a large amount of data, so I've shown you a summary with the most relevant information. ` +
-                              `If you need more specific details, try asking for:\n\n` +
-                              `• Specific items by ID or name\n` +
-                              `• Data from a particular time period\n` +
-                              `• Filtered results based on status or category\n\n` +
-                              `This helps ensure faster and more focused results.`;
-            responseText = responseText + warningText;
-          }
-          
-          // Estimate response tokens
-          responseTokens = Math.ceil(responseText.length / 4);
-          
-          // Log successful token usage
-          try {
-            await tokenUsageMonitor.logUsage({
-              userId,
-              chatId,
-              tool: tool.name,
-              requestTokens,
-              responseTokens,
-              totalTokens: requestTokens + responseTokens,
-              status: tokenUsageStatus,
-              reason: tokenUsageReason,
-              limitRequested,
-              limitApplied
-            });
-          } catch (monitorError) {
-            logger.error(`[${tool.name}] Failed to log token usage:`, monitorError);
-          }
-          
-          return {
-            content: [{
-              type: "text",
-              text: responseText
-            }]
-          };
-        } catch (error) {
-          const executionTime = Date.now() - executionStart;
-          logger.error(`[${tool.name}] Tool execution failed after ${executionTime}ms:`, error);
-          
-          // Log failed token usage
-          const userContext = args.__userContext;
-          const userId = userContext?.userId || 'unknown';
-          const chatId = userContext?.chatId || null; // Use NULL for direct MCP calls
-          
-          const errorMessage = `Error executing ${tool.name}: ${error.message}\n\nThis might be due to:\n- Invalid parameters\n- API rate limiting\n- Network connectivity issues\n- Authentication problems\n- Token usage limits exceeded\n\nPlease check the parameters and try again with smaller limits if needed.`;
-          
-          responseTokens = Math.ceil(errorMessage.length / 4);
-          
-          try {
-            await tokenUsageMonitor.logUsage({
-              userId,
-              chatId,
-              tool: tool.name,
-              requestTokens,
-              responseTokens,
-              totalTokens: requestTokens + responseTokens,
-              status: 'blocked',
-              reason: `Execution failed: ${error.message}`,
-              limitRequested,
-              limitApplied
-            });
-          } catch (monitorError) {
-            logger.error(`[${tool.name}] Failed to log token usage:`, monitorError);
-          }
-          
-          return {
-            content: [{
-              type: "text",
-              text: errorMessage
-            }],
-            isError: true
-          };
-        }
-      }
-    );
-  });
-}
-
-// Enhanced startup with better logging
-async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  
-  console.error('Zenskar Intelligent MCP Server running on stdio');
-  console.error(`Loaded ${mcpConfig.tools?.length || 0} tools from config`);
   console.error(`Response optimization: Advanced processor with config-driven optimizations enabled`);
-  
-  if (mcpConfig.tools?.length > 0) {
+
+  if (toolSelection.enabled.length > 0) {
     console.error('\nAvailable tools:');
-    mcpConfig.tools.forEach(tool => {
+    toolSelection.enabled.forEach(tool => {
       console.error(`  • ${tool.name}: ${tool.description}`);
     });
   }
-  
+
+  if (toolSelection.filtered.length > 0) {
+    console.error('\nFiltered out tools:');
+    toolSelection.filtered.forEach(entry => {
+      console.error(`  • ${entry.name}: ${entry.reason}`);
+    });
+  }
+
   console.error('\nServer ready to handle requests');
 }
 
@@ -1457,7 +176,22 @@ process.on('SIGTERM', () => {
   process.exit(0);
 });
 
-main().catch(error => {
-  console.error('Server failed to start:', error);
-  process.exit(1);
-});
+// Subcommands run instead of the server
+const SUBCOMMANDS = {
+  'generate-config': runGenerateConfig,
+  'validate-config': runValidateConfig,
+  'stub-server': runStubServer
+};
+
+const subcommand = SUBCOMMANDS[process.argv[2]];
+if (subcommand) {
+  // exitCode rather than process.exit(), so output piped to stdout is flushed before the process ends
+  subcommand(process.argv.slice(3)).then(code => {
+    process.exitCode = code;
+  });
+} else {
+  main().catch(error => {
+    console.error('Server failed to start:', error);
+    process.exit(1);
+  });
+}
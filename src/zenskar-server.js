@@ -0,0 +1,2435 @@
+// Embeddable Zenskar MCP server. createZenskarServer() builds an McpServer from a config without reading
+// CLI flags, connecting stdio or installing signal handlers; src/server.js is the command-line wrapper.
+const { McpServer, ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const path = require('path');
+const crypto = require('crypto');
+const { z } = require('zod');
+
+const { createLogger, adaptLogger } = require('./logger.js');
+
+// Import the sophisticated response processor
+const ResponseProcessor = require('./response-processor.js');
+const ApprovalTokenService = require('./approval-tokens.js');
+const { hashArguments } = require('./approval-tokens.js');
+const { evaluateApprovalPolicy, matchesToolPattern } = require('./approval-policy.js');
+const { fetchWithRetry, describeAttempts } = require('./fetch-retry.js');
+const IdempotencyStore = require('./idempotency-store.js');
+const ResponseStore = require('./response-store.js');
+const ResponseCache = require('./response-cache.js');
+const RateLimiter = require('./rate-limiter.js');
+const { ProfileStore } = require('./profiles.js');
+const { detectEnvironment, isLiveEnvironment } = require('./environment.js');
+const { resolveJsonPath } = require('./response-store.js');
+const { registerFinancePrompts } = require('./finance-prompts.js');
+const { buildArgZodType, catchFieldErrors, getFieldErrors } = require('./arg-schema.js');
+const { loadConfig } = require('./config-loader.js');
+const { validateConfig, formatConfigErrors, ConfigValidationError } = require('./config-validator.js');
+const {
+  registerTransform,
+  registerRequestHandler,
+  getRequestHandler,
+  applyRequestTransforms,
+  applyResponseTransforms,
+  loadTransformPlugins
+} = require('./request-transforms.js');
+const { ZenskarApiError, createApiError, buildErrorPayload, formatErrorText } = require('./api-errors.js');
+const { createRecordingFetch, createReplayFetch, startStubServer } = require('./fixtures.js');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'mcp-config.json');
+
+// Import token usage monitor (try both compiled and source paths)
+let tokenUsageMonitor;
+try {
+  // Try production path first (compiled TypeScript)
+  const monitor = require('../dist/lib/token-usage-monitor.js');
+  tokenUsageMonitor = monitor.tokenUsageMonitor;
+} catch (e) {
+  // Fall back to development path (TypeScript via ts-node)
+  try {
+    const monitor = require('../src/lib/token-usage-monitor.ts');
+    tokenUsageMonitor = monitor.tokenUsageMonitor;
+  } catch (e2) {
+    // If monitor can't be loaded, create fallback
+    tokenUsageMonitor = {
+      logUsage: async (usage) => {
+        console.warn('Token usage monitoring unavailable:', usage);
+      }
+    };
+    console.error('Warning: Token usage monitoring unavailable:', e2.message);
+  }
+}
+
+// Import limits validation (try both compiled and source paths)
+let validateToolLimits, generateTokenUsageFeedback;
+try {
+  // Try production path first (compiled TypeScript)
+  const limits = require('../dist/lib/mcp-limits.js');
+  validateToolLimits = limits.validateToolLimits;
+  generateTokenUsageFeedback = limits.generateTokenUsageFeedback;
+} catch (e) {
+  // Fall back to development path (TypeScript via ts-node)
+  try {
+    const limits = require('../src/lib/mcp-limits.ts');
+    validateToolLimits = limits.validateToolLimits;
+    generateTokenUsageFeedback = limits.generateTokenUsageFeedback;
+  } catch (e2) {
+    // If limits can't be loaded, create fallback functions
+    validateToolLimits = (toolName, args) => ({ valid: true, adjustedArgs: args, warnings: [], errors: [] });
+    generateTokenUsageFeedback = (toolName, args) => ({ message: 'Limits validation unavailable', severity: 'info', suggestions: [] });
+    console.error('Warning: MCP limits validation unavailable:', e2.message);
+  }
+}
+
+function extractListPayload(data) {
+  if (!data) return [];
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data.results)) return data.results;
+  if (data.api_response !== undefined) return extractListPayload(data.api_response);
+  return [];
+}
+
+function normalizeAccountCategory(category) {
+  if (!category || typeof category !== 'string') return 'Uncategorized';
+  const normalized = category.trim();
+  if (!normalized) return 'Uncategorized';
+  return normalized;
+}
+
+function toDisplayAmount(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return null;
+  return num / 100;
+}
+
+function normalizeReportAccountCategory(reportType, category) {
+  const normalized = normalizeAccountCategory(category);
+  if (reportType === 'balance_sheet' && normalized === 'Liabilities') {
+    return 'Liabilities & Equity';
+  }
+  return normalized;
+}
+
+function getCategoryOrder(reportType, category) {
+  const balanceSheetOrder = {
+    Assets: 1,
+    Liabilities: 2,
+    Equity: 3
+  };
+  const incomeStatementOrder = {
+    Income: 1,
+    Revenue: 1,
+    'Cost of Goods Sold': 2,
+    Expense: 3,
+    Expenses: 3,
+    'Other Income': 4,
+    'Other Expense': 5,
+    'Other Expenses': 5
+  };
+  const map = reportType === 'balance_sheet' ? balanceSheetOrder : incomeStatementOrder;
+  return map[category] || 999;
+}
+
+function buildPeriodKey(row) {
+  const start = row?.interval_start || 'unknown_start';
+  const end = row?.interval_end || 'unknown_end';
+  return `${start}__${end}`;
+}
+
+function summarizePeriods(periodMap) {
+  return Object.values(periodMap)
+    .sort((a, b) => String(a.interval_start).localeCompare(String(b.interval_start)));
+}
+
+function buildAccountingStatementView(reportType, rows, accountLookup) {
+  const periodMap = new Map();
+  const sectionsMap = new Map();
+
+  rows.forEach(row => {
+    const category = normalizeReportAccountCategory(reportType, row.account_category);
+    const periodKey = buildPeriodKey(row);
+    const periodEntry = periodMap.get(periodKey) || {
+      key: periodKey,
+      interval_start: row.interval_start || null,
+      interval_end: row.interval_end || null
+    };
+    periodMap.set(periodKey, periodEntry);
+
+    if (!sectionsMap.has(category)) {
+      sectionsMap.set(category, {
+        category,
+        accounts: new Map(),
+        totals_by_period: {},
+        total_balance: 0,
+        total_debits: 0,
+        total_credits: 0
+      });
+    }
+
+    const section = sectionsMap.get(category);
+    const accountId = row.account_id || 'unknown_account';
+    const accountMeta = accountLookup.get(accountId) || {};
+    if (!section.accounts.has(accountId)) {
+      section.accounts.set(accountId, {
+        account_id: accountId,
+        account_name: row.account_name || accountMeta.name || accountId,
+        account_description: row.account_description || accountMeta.description || null,
+        account_category: category,
+        parent_path: row.account_parent_path || accountMeta.parent_path || null,
+        balance_normality: row.balance_normality || accountMeta.balance_normality || null,
+        periods: {},
+        total_balance: 0,
+        total_debits: 0,
+        total_credits: 0
+      });
+    }
+
+    const account = section.accounts.get(accountId);
+    account.periods[periodKey] = {
+      interval_start: row.interval_start || null,
+      interval_end: row.interval_end || null,
+      balance: row.balance ?? 0,
+      display_balance: toDisplayAmount(row.balance ?? 0),
+      debits: row.debits ?? 0,
+      display_debits: toDisplayAmount(row.debits ?? 0),
+      credits: row.credits ?? 0,
+      display_credits: toDisplayAmount(row.credits ?? 0)
+    };
+    account.total_balance += Number(row.balance || 0);
+    account.total_debits += Number(row.debits || 0);
+    account.total_credits += Number(row.credits || 0);
+
+    const sectionPeriod = section.totals_by_period[periodKey] || {
+      interval_start: row.interval_start || null,
+      interval_end: row.interval_end || null,
+      balance: 0,
+      debits: 0,
+      credits: 0,
+      display_balance: 0,
+      display_debits: 0,
+      display_credits: 0
+    };
+    sectionPeriod.balance += Number(row.balance || 0);
+    sectionPeriod.debits += Number(row.debits || 0);
+    sectionPeriod.credits += Number(row.credits || 0);
+    sectionPeriod.display_balance = toDisplayAmount(sectionPeriod.balance);
+    sectionPeriod.display_debits = toDisplayAmount(sectionPeriod.debits);
+    sectionPeriod.display_credits = toDisplayAmount(sectionPeriod.credits);
+    section.totals_by_period[periodKey] = sectionPeriod;
+    section.total_balance += Number(row.balance || 0);
+    section.total_debits += Number(row.debits || 0);
+    section.total_credits += Number(row.credits || 0);
+  });
+
+  const sections = Array.from(sectionsMap.values())
+    .sort((a, b) => {
+      const orderDiff = getCategoryOrder(reportType, a.category) - getCategoryOrder(reportType, b.category);
+      return orderDiff !== 0 ? orderDiff : a.category.localeCompare(b.category);
+    })
+    .map(section => ({
+      category: section.category,
+      accounts: Array.from(section.accounts.values())
+        .sort((a, b) => a.account_name.localeCompare(b.account_name))
+        .map(account => ({
+          ...account,
+          periods: summarizePeriods(account.periods)
+        })),
+      totals_by_period: summarizePeriods(section.totals_by_period),
+      total_balance: section.total_balance,
+      display_total_balance: toDisplayAmount(section.total_balance),
+      total_debits: section.total_debits,
+      display_total_debits: toDisplayAmount(section.total_debits),
+      total_credits: section.total_credits,
+      display_total_credits: toDisplayAmount(section.total_credits)
+    }));
+
+  return {
+    report_type: reportType,
+    periods: Array.from(periodMap.values()).sort((a, b) => String(a.interval_start).localeCompare(String(b.interval_start))),
+    sections
+  };
+}
+
+function normalizeChartAccountCategory(account) {
+  if (!account) return '';
+  const category = account.account_category || '';
+  if (category === 'Liabilities') return 'Liabilities & Equity';
+  return category;
+}
+
+function buildChartOfAccountsView(accounts) {
+  const baseAccounts = [...accounts]
+    .map(account => ({
+      ...account,
+      account_category: normalizeChartAccountCategory(account)
+    }))
+    .sort((a, b) => {
+      const categoryDiff = normalizeChartAccountCategory(a).localeCompare(normalizeChartAccountCategory(b));
+      return categoryDiff !== 0 ? categoryDiff : String(a.name || '').localeCompare(String(b.name || ''));
+    });
+
+  const grouped = new Map();
+  baseAccounts.forEach(account => {
+    const category = normalizeChartAccountCategory(account) || 'Uncategorized';
+    if (!grouped.has(category)) grouped.set(category, []);
+    grouped.get(category).push(account);
+  });
+
+  const syntheticGroups = ['Assets', 'Liabilities & Equity', 'Equity', 'Income', 'Expenses'];
+  syntheticGroups.forEach(category => {
+    if (!grouped.has(category)) grouped.set(category, []);
+  });
+
+  const sections = Array.from(grouped.entries())
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([category, entries]) => ({
+      id: category,
+      name: category,
+      description: category,
+      account_category: category,
+      is_parent: true,
+      parent_path: null,
+      children: entries.map(entry => ({
+        ...entry,
+        parent_path: entry.parent_path || category
+        }))
+    }));
+
+  const liabEqSection = sections.find(section => section.name === 'Liabilities & Equity');
+  if (liabEqSection) {
+    const hasEquity = liabEqSection.children.some(child => child.name === 'Equity');
+    if (!hasEquity) {
+      liabEqSection.children.push({
+        id: 'Equity',
+        name: 'Equity',
+        description: 'Equity',
+        account_category: 'Liabilities & Equity',
+        balance_normality: 'credit',
+        is_parent: true,
+        parent_path: 'Liabilities & Equity',
+        custom_data: { default_account: false },
+        children: []
+      });
+      liabEqSection.children.push({
+        id: 'Equity:Retained Earnings',
+        name: 'Retained Earnings',
+        description: 'Retained Earnings',
+        account_category: 'Liabilities & Equity',
+        balance_normality: 'credit',
+        is_parent: false,
+        parent_path: 'Equity',
+        custom_data: { default_account: false }
+      });
+    }
+  }
+
+  return sections;
+}
+
+function enrichJobsResult(result) {
+  if (!result || !Array.isArray(result.results)) return result;
+  const counts = result.results.reduce((acc, job) => {
+    const status = job.status || 'unknown';
+    acc[status] = (acc[status] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    ...result,
+    summary: {
+      total_count: result.total_count ?? result.results.length,
+      returned_count: result.results.length,
+      page_status_counts: counts,
+      has_more: !!result.next,
+      note: result.next
+        ? `Showing ${result.results.length} jobs. Use the cursor, or fetchAll: true, to continue through the remaining jobs.`
+        : `Showing ${result.results.length} jobs.`
+    }
+  };
+}
+
+function enrichListAccountsResult(result) {
+  if (!result || !Array.isArray(result.results)) return result;
+  const sortedResults = [...result.results].sort((a, b) => {
+    const categoryA = normalizeAccountCategory(a.account_category);
+    const categoryB = normalizeAccountCategory(b.account_category);
+    const categoryDiff = categoryA.localeCompare(categoryB);
+    return categoryDiff !== 0 ? categoryDiff : String(a.name || '').localeCompare(String(b.name || ''));
+  });
+
+  const grouped = sortedResults.reduce((acc, account) => {
+    const category = normalizeAccountCategory(account.account_category);
+    acc[category] = acc[category] || [];
+    acc[category].push(account);
+    return acc;
+  }, {});
+
+  return {
+    ...result,
+    results: sortedResults,
+    grouped_view: grouped
+  };
+}
+
+async function executeFrontendStyleRawMetricLogs(args, { headers, baseUrl, fetchJson, sendRequest }) {
+  const rawMetricId = args.rawMetricId;
+  const rawMetricUrl = `${baseUrl}/rawmetric/${encodeURIComponent(rawMetricId)}`;
+  const rawMetric = await fetchJson(rawMetricUrl, headers);
+
+  if (!rawMetric?.api_slug) {
+    throw new Error(`Unable to resolve api_slug for raw metric ${rawMetricId}`);
+  }
+
+  const previewHeaders = {
+    ...headers,
+    apiversion: '20240301'
+  };
+
+  const payload = {
+    limit: args.limit ?? 20,
+    offset: args.offset ?? 0,
+    order_by: args.order_by ?? [{ column: 'timestamp', type: 'DESC' }],
+    aggregate_operation: args.aggregate_operation ?? null,
+    customer_mapping: null,
+    end_date_mapping: null,
+    start_date_mapping: null,
+    table_name: `raw_metric_${rawMetric.api_slug}`,
+    visual_query: {
+      groups: [
+        {
+          filters: Array.isArray(args.filters) ? args.filters : [],
+          logic: 'AND'
+        }
+      ],
+      logic: 'AND'
+    }
+  };
+
+  // The preview query only reads data, so it is safe to retry like a GET
+  const { response, text: responseText, attempts } = await sendRequest(`${baseUrl}/aggregate/visualquery/preview`, {
+    method: 'POST',
+    headers: previewHeaders,
+    body: JSON.stringify(payload)
+  }, {
+    label: 'getRawMetricLogs',
+    idempotent: true
+  });
+
+  if (!response.ok) {
+    throw createApiError(response.status, response.statusText, responseText, { attempts, retrySummary: describeAttempts(attempts) });
+  }
+
+  try {
+    return JSON.parse(responseText);
+  } catch (_error) {
+    return responseText;
+  }
+}
+
+async function enrichAccountingReportResult(reportType, result, { tool, headers, baseUrl, fetchJson, logger }) {
+  if (!result || !Array.isArray(result.results)) {
+    return result;
+  }
+
+  try {
+    const chartUrl = `${baseUrl}/accounting_new/chart_of_accounts`;
+    const chartData = await fetchJson(chartUrl, headers);
+    const chartAccounts = extractListPayload(chartData);
+    const accountLookup = new Map(
+      chartAccounts
+        .filter(account => account && account.id)
+        .map(account => [account.id, account])
+    );
+
+    const enrichedRows = result.results.map(row => {
+      const account = accountLookup.get(row.account_id) || {};
+      return {
+        ...row,
+        account_name: account.name || row.account_id || null,
+        account_description: account.description || null,
+        account_category: normalizeReportAccountCategory(reportType, account.account_category),
+        account_parent_path: account.parent_path || null,
+        balance_normality: account.balance_normality || null,
+        display_balance: toDisplayAmount(row.balance ?? 0),
+        display_debits: toDisplayAmount(row.debits ?? 0),
+        display_credits: toDisplayAmount(row.credits ?? 0)
+      };
+    });
+
+    let statementView = buildAccountingStatementView(reportType, enrichedRows, accountLookup);
+
+    if (reportType === 'balance_sheet') {
+      const params = new URLSearchParams();
+      if (headers.apiversion) params.set('apiversion', headers.apiversion);
+      const incomeStatementUrl = `${baseUrl}/accounting_new/income_statement/v2`;
+      const incomeStatement = await fetchJson(incomeStatementUrl, headers);
+      const incomeRows = Array.isArray(incomeStatement?.results) ? incomeStatement.results : [];
+      const retainedByPeriod = {};
+
+      incomeRows.forEach(row => {
+        const periodKey = buildPeriodKey(row);
+        const period = retainedByPeriod[periodKey] || {
+          interval_start: row.interval_start || null,
+          interval_end: row.interval_end || null,
+          balance: 0,
+          debits: 0,
+          credits: 0
+        };
+        period.balance += Number(row.balance || 0);
+        period.debits += Number(row.debits || 0);
+        period.credits += Number(row.credits || 0);
+        retainedByPeriod[periodKey] = period;
+      });
+
+      const retainedPeriods = summarizePeriods(
+        Object.fromEntries(
+          Object.entries(retainedByPeriod).map(([key, value]) => [
+            key,
+            {
+              ...value,
+              display_balance: toDisplayAmount(value.balance),
+              display_debits: toDisplayAmount(value.debits),
+              display_credits: toDisplayAmount(value.credits)
+            }
+          ])
+        )
+      );
+
+      const retainedAccount = {
+        account_id: 'Equity:Retained Earnings',
+        account_name: 'Retained Earnings (Derived)',
+        account_description: 'Derived from the companion income statement for MCP presentation.',
+        account_category: 'Liabilities & Equity',
+        parent_path: 'Equity',
+        balance_normality: 'credit',
+        periods: retainedPeriods,
+        total_balance: retainedPeriods.reduce((sum, period) => sum + Number(period.balance || 0), 0),
+        display_total_balance: toDisplayAmount(retainedPeriods.reduce((sum, period) => sum + Number(period.balance || 0), 0)),
+        total_debits: retainedPeriods.reduce((sum, period) => sum + Number(period.debits || 0), 0),
+        display_total_debits: toDisplayAmount(retainedPeriods.reduce((sum, period) => sum + Number(period.debits || 0), 0)),
+        total_credits: retainedPeriods.reduce((sum, period) => sum + Number(period.credits || 0), 0),
+        display_total_credits: toDisplayAmount(retainedPeriods.reduce((sum, period) => sum + Number(period.credits || 0), 0))
+      };
+
+      let liabEqSection = statementView.sections.find(section => section.category === 'Liabilities & Equity');
+      if (!liabEqSection) {
+        liabEqSection = {
+          category: 'Liabilities & Equity',
+          accounts: [],
+          totals_by_period: [],
+          total_balance: 0,
+          display_total_balance: 0,
+          total_debits: 0,
+          display_total_debits: 0,
+          total_credits: 0,
+          display_total_credits: 0
+        };
+        statementView.sections.push(liabEqSection);
+      }
+      liabEqSection.accounts.push(retainedAccount);
+    }
+
+    return {
+      ...result,
+      results: enrichedRows,
+      statement_view: statementView
+    };
+  } catch (error) {
+    logger.warn(`[${tool.name}] Failed to enrich accounting report output; returning raw report`, {
+      error: error.message
+    });
+    return result;
+  }
+}
+
+// Response transforms and request handlers for the accounting and usage event tools (see request-transforms.js)
+registerTransform('accountingStatement', {
+  phase: 'response',
+  requiredKeys: ['report'],
+  apply: (result, step, context) => enrichAccountingReportResult(step.report, result, context)
+});
+
+registerTransform('jobsSummary', {
+  phase: 'response',
+  apply: result => enrichJobsResult(result)
+});
+
+registerTransform('accountsByCategory', {
+  phase: 'response',
+  apply: result => enrichListAccountsResult(result)
+});
+
+registerTransform('chartOfAccountsView', {
+  phase: 'response',
+  apply: result => (Array.isArray(result)
+    ? { raw_accounts: result, chart_view: buildChartOfAccountsView(result) }
+    : result)
+});
+
+registerRequestHandler('rawMetricLogsPreview', {
+  run: (cleanArgs, context) => executeFrontendStyleRawMetricLogs(cleanArgs, context),
+  dryRunNote: 'This tool first looks up the raw metric by ID, then POSTs a preview query to /aggregate/visualquery/preview; the URL above is not called directly.'
+});
+
+// Helper function to convert OpenAPI args to Zod schema
+function convertArgsToZodSchema(args, tool = {}) {
+  const schemaObj = {};
+  
+  args.forEach(arg => {
+    schemaObj[arg.name] = buildArgZodType(arg);
+  });
+  
+  if (supportsPagination({ args })) {
+    schemaObj['fetchAll'] = z.boolean().optional()
+      .describe('If true, follow the `next` cursor server-side and return all pages merged into one `results` array (bounded by maxPages/maxRows)');
+    schemaObj['maxPages'] = z.number().int().positive().optional()
+      .describe('Maximum number of pages to fetch when paginating server-side');
+    schemaObj['maxRows'] = z.number().int().positive().optional()
+      .describe('Maximum number of rows to return when paginating server-side');
+    schemaObj['pageOffset'] = z.number().int().nonnegative().optional()
+      .describe('Rows to skip on the first page fetched. To continue a truncated fetch, pass pagination.resume.cursor as cursor and pagination.resume.page_offset here');
+  }
+
+  if (tool.idempotency) {
+    schemaObj['idempotencyKey'] = z.string().optional()
+      .describe('Optional idempotency key for this operation. Reuse the same key when retrying so the operation is applied only once; one is generated if omitted');
+  }
+
+  if (usesResponseCache(tool)) {
+    schemaObj['cache'] = z.enum(['bypass']).optional()
+      .describe('Set to "bypass" to skip cached reference data and fetch fresh data from the API; the fresh result replaces the cached one');
+  }
+
+  schemaObj['fields'] = z.string().optional()
+    .describe('Optional comma-separated field projection for the response, e.g. "results[].id,results[].status". Pagination keys (next, total_count) are always kept');
+
+  schemaObj['dryRun'] = z.boolean().optional()
+    .describe('If true, return the fully built HTTP request (method, URL, redacted headers, body) without sending it');
+
+  // Add __userContext as an optional object parameter for all tools
+  schemaObj['__userContext'] = userContextSchema;
+  
+  return schemaObj;
+}
+
+const userContextSchema = z.object({
+  userId: z.string().optional(),
+  authorization: z.string().optional(),
+  organization: z.string().optional(),
+  apiKey: z.string().optional(),
+  headers: z.object({}).optional(),
+  // Add approval support for human-in-the-loop workflow
+  approval: z.object({
+    approved: z.boolean(),
+    approvalToken: z.string().optional(),
+    modifiedArguments: z.record(z.any()).optional(),
+    originalArguments: z.record(z.any()).optional(),
+    // The organization ID as typed by the approver, required to approve a live write
+    confirmOrganization: z.string().optional(),
+    toolName: z.string().optional()
+  }).optional()
+}).optional().describe('Internal user context for multi-tenant authentication and approval workflow');
+
+// Resolve the organization and credentials for a call: user context first, then environment variables.
+// fromEnvironment is true when both the organization and the credential actually sent (see buildAPIRequest)
+// come from the environment variables.
+function resolveCredentials(userContext) {
+  const env = userContext?.fromRequestHeaders ? {} : process.env;
+  const contextAuthToken = userContext?.authorization ||
+                           userContext?.headers?.['authorization'] ||
+                           userContext?.headers?.['Authorization'];
+  const contextApiKey = userContext?.apiKey || userContext?.headers?.['x-api-key'];
+  const authToken = contextAuthToken || env.ZENSKAR_AUTH_TOKEN;
+  const sendsBearer = Boolean(authToken && (authToken.startsWith('eyJ') || userContext?.authType === 'bearer'));
+  return {
+    orgId: userContext?.organization || env.ZENSKAR_ORGANIZATION,
+    authToken,
+    apiKey: contextApiKey ||
+            env.ZENSKAR_API_KEY ||
+            env.ZENSKAR_AUTH_TOKEN, // Fallback: use AUTH_TOKEN as API key if it looks like one
+    fromEnvironment: !userContext?.organization && !(sendsBearer ? contextAuthToken : contextApiKey)
+  };
+}
+
+// Mask credentials so request headers can be shown or logged
+function redactHeaders(headers) {
+  const redacted = { ...headers };
+  Object.keys(redacted).forEach(key => {
+    if (['authorization', 'x-api-key', 'cookie'].includes(key.toLowerCase())) {
+      redacted[key] = '[REDACTED]';
+    }
+  });
+  return redacted;
+}
+
+// Dry-run can be requested per call (dryRun: true) or globally (MCP_DRY_RUN=true)
+function isDryRun(args) {
+  return args?.dryRun === true || process.env.MCP_DRY_RUN === 'true';
+}
+
+function buildDryRunResult(tool, request) {
+  let body = request.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (_error) {
+      // Leave non-JSON bodies as-is
+    }
+  }
+
+  const result = {
+    dry_run: true,
+    tool: tool.name,
+    method: request.method,
+    url: request.fullUrl,
+    headers: redactHeaders(request.headers),
+    body,
+    placement_notes: request.placementNotes
+  };
+
+  const handler = getRequestHandler(tool.requestTemplate?.handler);
+  if (handler?.dryRunNote) {
+    result.note = handler.dryRunNote;
+  }
+
+  return result;
+}
+
+const PAGINATION_ARGS = ['fetchAll', 'maxPages', 'maxRows', 'pageOffset'];
+
+// Cursor-paginated list tools are the ones that declare a `cursor` query argument
+function supportsPagination(tool) {
+  return (tool.args || []).some(arg => arg.name === 'cursor' && arg.position === 'query');
+}
+
+// Server-side pagination is opt-in per call; page and row caps are bounded by env ceilings
+function getPaginationOptions(tool, args) {
+  if (!supportsPagination(tool)) {
+    return null;
+  }
+  if (args.fetchAll !== true && args.maxPages === undefined && args.maxRows === undefined && args.pageOffset === undefined) {
+    return null;
+  }
+
+  const pageCeiling = Number(process.env.MCP_PAGINATION_MAX_PAGES) || 20;
+  const rowCeiling = Number(process.env.MCP_PAGINATION_MAX_ROWS) || 2000;
+
+  return {
+    maxPages: Math.min(args.maxPages || pageCeiling, pageCeiling),
+    maxRows: Math.min(args.maxRows || rowCeiling, rowCeiling),
+    pageOffset: args.pageOffset || 0
+  };
+}
+
+// Tools whose reads can come from the response cache: cached themselves (cache.ttlSeconds), or making
+// supplemental fetches (response transforms, request handlers) that may be
+function usesResponseCache(tool) {
+  return Boolean(tool.cache?.ttlSeconds || tool.responseTemplate?.transforms?.length || tool.requestTemplate?.handler);
+}
+
+// "/accounting_new/accounts/{accountId}/balance" -> a RegExp matching concrete paths of that endpoint
+function endpointToRegExp(endpoint) {
+  const source = String(endpoint)
+    .split(/\{[^}]+\}/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]+');
+  return new RegExp(`^${source}$`);
+}
+
+// Helper to map API types to form field types
+function getFieldType(apiType) {
+  switch (apiType) {
+    case 'string': return 'text';
+    case 'integer':
+    case 'number': return 'number';
+    case 'boolean': return 'checkbox';
+    default: return 'text';
+  }
+}
+
+// Map HTTP request headers (Authorization, x-api-key, organisation) onto the per-call user context.
+// Over HTTP these headers are the only credentials: any __userContext credentials from tool arguments are
+// dropped, so the model cannot redirect a call to a different tenant, and the server's own env var
+// credentials and profiles are never used (fromRequestHeaders), so an anonymous client cannot borrow them.
+// Returns null outside HTTP (stdio), where the env vars and profiles apply.
+function buildRequestUserContext(extra) {
+  const requestHeaders = extra?.requestInfo?.headers;
+  if (!requestHeaders) {
+    return null;
+  }
+
+  const readHeader = (name) => {
+    const value = requestHeaders[name];
+    return Array.isArray(value) ? value[0] : value;
+  };
+
+  const context = {};
+  const organization = readHeader('organisation') || readHeader('organization');
+  const authorization = readHeader('authorization');
+  const apiKey = readHeader('x-api-key');
+
+  if (organization) {
+    context.organization = organization;
+  }
+  if (authorization) {
+    const token = authorization.replace(/^Bearer\s+/i, '').trim();
+    if (token.startsWith('eyJ')) {
+      context.authorization = token;
+    } else if (!apiKey) {
+      context.apiKey = token;
+    }
+  }
+  if (apiKey) {
+    context.apiKey = apiKey;
+  }
+
+  return { ...context, fromRequestHeaders: true };
+}
+
+function applyRequestUserContext(args, extra) {
+  const requestContext = buildRequestUserContext(extra);
+  if (!requestContext) {
+    return;
+  }
+
+  const userContext = { ...(args.__userContext || {}) };
+  // Drop credentials from the arguments so they never mix with the tenant's headers
+  delete userContext.authorization;
+  delete userContext.apiKey;
+  delete userContext.organization;
+  if (userContext.headers) {
+    userContext.headers = { ...userContext.headers };
+    ['authorization', 'Authorization', 'x-api-key', 'organisation'].forEach(key => {
+      delete userContext.headers[key];
+    });
+  }
+
+  args.__userContext = { ...userContext, ...requestContext };
+}
+
+// Read-only mode and tool allow/deny lists. Patterns are a comma-separated string or a list of globs;
+// a leading "!" excludes, e.g. "list*,get*,!payInvoice". Defaults come from MCP_READ_ONLY and MCP_TOOLS.
+function resolveToolFilter({ readOnly = process.env.MCP_READ_ONLY === 'true', tools = process.env.MCP_TOOLS } = {}) {
+  const patterns = Array.isArray(tools) ? tools : (typeof tools === 'string' ? tools.split(',') : []);
+  return {
+    readOnly: readOnly === true || readOnly === 'true',
+    patterns: patterns.map(pattern => String(pattern).trim()).filter(Boolean)
+  };
+}
+
+// Split config tools into the ones to register and the ones filtered out (with the reason)
+function selectTools(tools, options) {
+  const includes = options.patterns.filter(pattern => !pattern.startsWith('!'));
+  const excludes = options.patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+  const enabled = [];
+  const filtered = [];
+
+  tools.forEach(tool => {
+    const method = (tool.requestTemplate?.method || 'GET').toUpperCase();
+    const excludedBy = excludes.find(pattern => matchesToolPattern(pattern, tool.name));
+
+    if (options.readOnly && method !== 'GET') {
+      filtered.push({ name: tool.name, reason: `read-only mode (${method})` });
+    } else if (options.readOnly && tool.mutating === true) {
+      filtered.push({ name: tool.name, reason: 'read-only mode (marked mutating)' });
+    } else if (excludedBy) {
+      filtered.push({ name: tool.name, reason: `excluded by !${excludedBy}` });
+    } else if (includes.length > 0 && !includes.some(pattern => matchesToolPattern(pattern, tool.name))) {
+      filtered.push({ name: tool.name, reason: 'not in include list' });
+    } else {
+      enabled.push(tool);
+    }
+  });
+
+  return { enabled, filtered };
+}
+
+// Writes are any non-GET tool plus GET tools marked `mutating` in the config (read-only mode filters the same set)
+function isMutatingTool(tool) {
+  return (tool.requestTemplate?.method || 'GET').toUpperCase() !== 'GET' || tool.mutating === true;
+}
+
+// Stored responses belong to the organization and credentials that produced them
+function getCallerScope(userContext) {
+  const { orgId, authToken, apiKey } = resolveCredentials(userContext);
+  return crypto.createHash('sha256').update(`${orgId || ''}|${authToken || ''}|${apiKey || ''}`).digest('hex');
+}
+
+const STORED_RESPONSE_PAGE_LIMIT = 500;
+
+function getResourceLabel(resource, item, id) {
+  const label = (resource.labelFields || []).map(field => item[field]).find(Boolean);
+  return label ? `${label} (${id})` : `${resource.name} ${id}`;
+}
+
+function withoutUserContext(args) {
+  const { __userContext, ...rest } = args;
+  return rest;
+}
+
+// A limit from the environment where 0 means unlimited, so only unset or malformed values use the default.
+// A typo must not read as NaN, which would silently turn the limit off.
+function readLimit(value, fallback) {
+  const limit = Number(value);
+  return value !== undefined && value.trim() !== '' && Number.isFinite(limit) && limit >= 0 ? limit : fallback;
+}
+
+// Shared state behind one embedded server: config, tool selection, stores and the injected fetch, logger
+// and hooks. Every McpServer it creates (one per stdio process or HTTP session) shares the same stores.
+//
+// options: { config, configPath, overlayPaths, toolFilter: { readOnly, tools }, fetch, logger, hooks, baseUrl,
+//            rateLimit: { ratePerSecond, burst, maxConcurrent }, profilesPath, profiles, allowLiveWrites,
+//            transformPlugins }
+// profiles is a parsed profiles file (see profiles.js); profilesPath defaults to MCP_PROFILES_FILE.
+// allowLiveWrites (default MCP_ALLOW_LIVE_WRITES=true) lets write tools run against production organizations.
+// transformPlugins (default MCP_TRANSFORM_PLUGINS) is a comma-separated list of plugin module paths.
+// Without `config`, the bundled mcp-config.json (or configPath) is loaded with overlayPaths merged over it.
+// Throws ConfigValidationError when a plugin fails to load or the config fails validation.
+function createServerRuntime({
+  config,
+  configPath = DEFAULT_CONFIG_PATH,
+  overlayPaths = [],
+  toolFilter,
+  fetch: fetchImpl,
+  logger: customLogger,
+  hooks = {},
+  baseUrl = process.env.ZENSKAR_API_BASE_URL || 'https://api.zenskar.com',
+  rateLimit = {},
+  profilesPath = process.env.MCP_PROFILES_FILE,
+  profiles,
+  allowLiveWrites = process.env.MCP_ALLOW_LIVE_WRITES === 'true',
+  transformPlugins = process.env.MCP_TRANSFORM_PLUGINS
+} = {}) {
+  // Levels (MCP_LOG_LEVEL), JSON lines (MCP_LOG_FORMAT=json), correlation IDs per tool call,
+  // and redaction of credentials and PII fields (MCP_LOG_REDACT_FIELDS)
+  const logger = customLogger ? adaptLogger(customLogger) : createLogger();
+
+  // Plugins first: the config may use the step types and handlers they register
+  const pluginErrors = loadTransformPlugins(transformPlugins);
+  if (pluginErrors.length > 0) {
+    throw new ConfigValidationError(pluginErrors);
+  }
+
+  let mcpConfig = config || loadConfig(configPath, overlayPaths);
+  const configErrors = validateConfig(mcpConfig);
+  if (configErrors.length > 0) {
+    throw new ConfigValidationError(formatConfigErrors(configErrors, mcpConfig));
+  }
+
+  const toolFilterOptions = resolveToolFilter(toolFilter);
+  let toolSelection = selectTools(mcpConfig.tools || [], toolFilterOptions);
+
+  // Initialize the sophisticated response processor
+  const responseProcessor = new ResponseProcessor({
+    maxTokens: Number(process.env.MCP_RESPONSE_MAX_TOKENS) || mcpConfig.responseShaping?.maxTokens,
+    dropKeys: mcpConfig.responseShaping?.dropKeys
+  });
+
+  // Approval tokens are signed with MCP_APPROVAL_SECRET; set it when running more than one server process
+  const approvalTokens = new ApprovalTokenService({
+    secret: process.env.MCP_APPROVAL_SECRET,
+    ttlSeconds: Number(process.env.MCP_APPROVAL_TTL_SECONDS) || undefined
+  });
+
+  // Recent idempotent calls, kept in memory and optionally on disk (MCP_IDEMPOTENCY_STORE)
+  const idempotencyStore = new IdempotencyStore({
+    windowSeconds: Number(process.env.MCP_IDEMPOTENCY_WINDOW_SECONDS) || undefined,
+    filePath: process.env.MCP_IDEMPOTENCY_STORE,
+    logger
+  });
+
+  // Oversized results, kept for follow-up getStoredResponse calls
+  const responseStore = new ResponseStore({
+    ttlSeconds: Number(process.env.MCP_RESPONSE_STORE_TTL_SECONDS) || undefined,
+    maxEntries: Number(process.env.MCP_RESPONSE_STORE_MAX_ENTRIES) || undefined,
+    maxBytes: Number(process.env.MCP_RESPONSE_STORE_MAX_BYTES) || undefined
+  });
+
+  // GET responses of tools with cache.ttlSeconds, per organization; MCP_CACHE=off disables it
+  const responseCache = new ResponseCache({
+    maxEntries: Number(process.env.MCP_CACHE_MAX_ENTRIES) || undefined
+  });
+  const cacheEnabled = process.env.MCP_CACHE !== 'off';
+
+  // Named credential profiles, and the profile each connected server switched to with useProfile
+  const profileStore = profiles ? new ProfileStore(profiles) : (profilesPath ? ProfileStore.load(profilesPath) : null);
+  const sessionProfiles = new WeakMap();
+
+  // Connected servers and their registered config tools, so a config reload can update them in place
+  const liveServers = new Map();
+
+  // Outbound requests per organization: MCP_RATE_LIMIT_PER_SECOND (0 = unlimited), MCP_RATE_LIMIT_BURST and
+  // MCP_MAX_CONCURRENT_REQUESTS (0 = unlimited)
+  const rateLimiter = new RateLimiter({
+    ratePerSecond: readLimit(process.env.MCP_RATE_LIMIT_PER_SECOND, 10),
+    burst: Number(process.env.MCP_RATE_LIMIT_BURST) || undefined,
+    maxConcurrent: readLimit(process.env.MCP_MAX_CONCURRENT_REQUESTS, 5),
+    ...rateLimit
+  });
+
+  // fetchWithRetry with the injected fetch implementation and this runtime's logger, behind the organization's
+  // rate limiter. Every outbound call goes through here, supplemental fetches and request handlers included.
+  // A request keeps its slot through its own retries, and its timeout only starts once it leaves the queue.
+  function sendRequest(url, init, options = {}) {
+    const organization = init.headers?.['organisation'] || '';
+    const label = options.label || init.method || 'GET';
+    return rateLimiter.run(organization, ({ queued, waitMs, queuedBehind }) => {
+      if (queued) {
+        logger.info(`[${label}] Waited ${waitMs}ms in the rate limit queue (${queuedBehind} request(s) ahead for this organization)`);
+      }
+      return fetchWithRetry(url, init, { logger, fetch: fetchImpl, ...options });
+    });
+  }
+
+  // The cached GET tool whose endpoint serves this URL, so supplemental fetches (the chart of accounts behind
+  // getBalanceSheet, say) share that tool's cache entries and TTL
+  function findCachedToolForUrl(url, requestBaseUrl = baseUrl) {
+    if (!url.startsWith(`${requestBaseUrl}/`)) {
+      return null;
+    }
+    const pathname = url.slice(requestBaseUrl.length).split('?')[0];
+    return (mcpConfig.tools || []).find(tool => tool.cache?.ttlSeconds &&
+      (tool.requestTemplate?.method || 'GET').toUpperCase() === 'GET' &&
+      endpointToRegExp(tool.requestTemplate.url).test(pathname)) || null;
+  }
+
+  // Serve a GET from the cache when cacheTool declares cache.ttlSeconds; otherwise (or when bypassed) call load()
+  // and store its result. Failed loads are never cached.
+  async function withResponseCache(cacheTool, url, headers, { bypassCache } = {}, load) {
+    const ttlSeconds = cacheTool?.cache?.ttlSeconds;
+    if (!cacheEnabled || !ttlSeconds) {
+      return load();
+    }
+    if (!bypassCache) {
+      const hit = responseCache.get(headers, url);
+      if (hit) {
+        logger.info(`[${cacheTool.name}] Served from cache (${Math.round(hit.ageMs / 1000)}s old, TTL ${ttlSeconds}s): ${url}`);
+        return hit.data;
+      }
+    }
+    const data = await load();
+    responseCache.set(headers, url, cacheTool.name, data, ttlSeconds);
+    return data;
+  }
+
+  // Drop cached reads made stale by a write: cache.invalidates lists tool-name globs, e.g. ["getChartOfAccounts", "list*Accounts"]
+  function invalidateCachedReads(tool, headers) {
+    const patterns = tool.cache?.invalidates;
+    if (!patterns?.length) {
+      return;
+    }
+    const dropped = responseCache.invalidate(headers['organisation'], patterns);
+    if (dropped > 0) {
+      logger.info(`[${tool.name}] Invalidated ${dropped} cached response(s) for ${patterns.join(', ')}`);
+    }
+  }
+
+  async function fetchJson(url, headers, { bypassCache, baseUrl: requestBaseUrl } = {}) {
+    return withResponseCache(findCachedToolForUrl(url, requestBaseUrl), url, headers, { bypassCache }, async () => {
+      const { response, text, attempts } = await sendRequest(url, { method: 'GET', headers }, {
+        label: 'supplemental-fetch'
+      });
+      if (!response.ok) {
+        const error = createApiError(response.status, response.statusText, text, { attempts, retrySummary: describeAttempts(attempts) });
+        error.message = `Supplemental fetch failed: ${error.message}`;
+        throw error;
+      }
+
+      try {
+        return JSON.parse(text);
+      } catch (_error) {
+        throw new ZenskarApiError(`Supplemental fetch returned non-JSON response: ${text}`, { category: 'server' });
+      }
+    });
+  }
+
+  // Build the HTTP request for a tool call without sending it.
+  // Besides method, URL, headers and body, it returns placementNotes describing every argument that was
+  // reshaped, defaulted, dropped or sent somewhere other than its declared position.
+  function buildAPIRequest(tool, args) {
+    // Extract user context from args (if provided)
+    const userContext = args.__userContext;
+    const cleanArgs = { ...args };
+    delete cleanArgs.__userContext; // Remove internal context from API args
+    delete cleanArgs.dryRun;
+    delete cleanArgs.fields;
+    delete cleanArgs.profile;
+    if (usesResponseCache(tool)) {
+      delete cleanArgs.cache;
+    }
+    if (supportsPagination(tool)) {
+      PAGINATION_ARGS.forEach(name => delete cleanArgs[name]);
+    }
+    if (tool.idempotency) {
+      delete cleanArgs.idempotencyKey;
+    }
+    const placementNotes = [];
+    
+    // Debug: Log what we received
+    logger.debug(`[${tool.name}] User context received:`, userContext ? {
+      hasUserId: !!userContext.userId,
+      hasAuthorization: !!userContext.authorization,
+      hasOrganization: !!userContext.organization
+    } : 'NO USER CONTEXT');
+    
+    // Build the request URL
+    let url = tool.requestTemplate?.url || '/';
+    const method = tool.requestTemplate?.method || 'GET';
+    
+    // Check if URL is absolute (starts with http/https) or relative
+    const isAbsoluteUrl = url.startsWith('http://') || url.startsWith('https://');
+    
+    logger.debug(`[${tool.name}] Executing ${method} request with args:`, JSON.stringify(cleanArgs, null, 2));
+    if (userContext) {
+      logger.debug(`[${tool.name}] Using user context:`, {
+        hasApiKey: !!userContext.apiKey,
+        hasOrganization: !!userContext.organization,
+        userId: userContext.userId
+      });
+    }
+    
+    // Replace path parameters
+    if (tool.args) {
+      tool.args.forEach(arg => {
+        if (arg.position === 'path' && cleanArgs[arg.name] !== undefined) {
+          if (!url.includes(`{${arg.name}}`)) {
+            placementNotes.push({ arg: arg.name, placement: 'dropped', reason: `No {${arg.name}} placeholder in the URL template` });
+          }
+          url = url.replace(`{${arg.name}}`, encodeURIComponent(cleanArgs[arg.name]));
+        }
+      });
+    }
+
+    // Build query parameters with intelligent handling
+    const queryParams = new URLSearchParams();
+    if (tool.args) {
+      tool.args.forEach(arg => {
+        if (arg.position === 'query' && cleanArgs[arg.name] !== undefined && cleanArgs[arg.name] !== null && cleanArgs[arg.name] !== '') {
+          // Handle different data types properly
+          if (typeof cleanArgs[arg.name] === 'boolean') {
+            queryParams.append(arg.name, cleanArgs[arg.name].toString());
+          } else if (Array.isArray(cleanArgs[arg.name])) {
+            // Handle array parameters
+            cleanArgs[arg.name].forEach(value => {
+              queryParams.append(arg.name, value);
+            });
+          } else {
+            queryParams.append(arg.name, cleanArgs[arg.name]);
+          }
+        }
+      });
+    }
+
+    // Handle additional parameters intelligently
+    Object.keys(cleanArgs).forEach(key => {
+      if (!queryParams.has(key) && cleanArgs[key] !== undefined && cleanArgs[key] !== null && cleanArgs[key] !== '') {
+        const isPathParam = tool.args?.some(arg => arg.position === 'path' && arg.name === key);
+        const isBodyParam = tool.args?.some(arg => arg.position === 'body' && arg.name === key);
+        
+        if (!isPathParam && !isBodyParam) {
+          placementNotes.push({ arg: key, placement: 'query', reason: 'Not declared in the tool config; sent as a query parameter' });
+          if (typeof cleanArgs[key] === 'boolean') {
+            queryParams.append(key, cleanArgs[key].toString());
+          } else if (Array.isArray(cleanArgs[key])) {
+            cleanArgs[key].forEach(value => {
+              queryParams.append(key, value);
+            });
+          } else {
+            queryParams.append(key, cleanArgs[key]);
+          }
+        }
+      }
+    });
+
+    if (queryParams.toString()) {
+      url += '?' + queryParams.toString();
+    }
+
+    // Build request body
+    let body = null;
+    if ((method === 'GET' || method === 'DELETE') && tool.args) {
+      tool.args.forEach(arg => {
+        if (arg.position === 'body' && cleanArgs[arg.name] !== undefined) {
+          placementNotes.push({ arg: arg.name, placement: 'dropped', reason: `Body arguments are not sent with ${method} requests` });
+        }
+      });
+    }
+    if (method !== 'GET' && method !== 'DELETE' && tool.args) {
+      let bodyParams = {};
+      tool.args.forEach(arg => {
+        if (arg.position === 'body' && cleanArgs[arg.name] !== undefined) {
+          bodyParams[arg.name] = cleanArgs[arg.name];
+        }
+      });
+
+      // Declared reshaping: address nesting, defaults, flattening, ClickHouse normalization (requestTemplate.transforms)
+      bodyParams = applyRequestTransforms(tool, bodyParams, {
+        tool,
+        cleanArgs,
+        userContext,
+        credentials: resolveCredentials(userContext),
+        placementNotes,
+        logger
+      });
+
+      if (Object.keys(bodyParams).length > 0) {
+        body = JSON.stringify(bodyParams);
+      } else if (method === 'PATCH' || method === 'POST' || method === 'PUT') {
+        // Always send at least an empty JSON body for non-GET methods
+        // Some endpoints (e.g., approveInvoice) require a body even when no body params are provided
+        body = '{}';
+      }
+    }
+
+    // Build headers with enhanced authentication
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Zenskar-MCP-Server/1.0.0',
+      'apiversion': '20230501'
+    };
+
+    // Use dynamic user context if available, fall back to environment variables for CLI/MCP usage
+    const { orgId, authToken, apiKey } = resolveCredentials(userContext);
+
+    if (orgId) {
+      headers['organisation'] = orgId;
+    } else {
+      logger.error(`[${tool.name}] SECURITY ERROR: No organization ID provided`);
+      throw new ZenskarApiError(userContext?.fromRequestHeaders
+        ? 'Organization ID is required: HTTP requests must send an organisation header.'
+        : 'Organization ID is required for API access. Set ZENSKAR_ORGANIZATION env var or provide in user context.', { category: 'auth' });
+    }
+
+    // Determine auth method: Bearer token for JWT, x-api-key for sandbox keys
+    if (authToken && (authToken.startsWith('eyJ') || userContext?.authType === 'bearer')) {
+      // JWT token - use Bearer auth
+      headers['Authorization'] = authToken.startsWith('Bearer ') ? authToken : `Bearer ${authToken}`;
+    } else if (apiKey) {
+      // API key (sandbox_* or other) - use x-api-key header
+      headers['x-api-key'] = apiKey;
+    } else {
+      logger.error(`[${tool.name}] SECURITY ERROR: No authorization provided`);
+      throw new ZenskarApiError(userContext?.fromRequestHeaders
+        ? 'Authorization is required: HTTP requests must send an Authorization or x-api-key header.'
+        : 'Authorization is required. Set ZENSKAR_AUTH_TOKEN (JWT) or ZENSKAR_API_KEY env var.', { category: 'auth' });
+    }
+
+    // Add any other headers from user context
+    if (userContext?.headers) {
+      Object.keys(userContext.headers).forEach(key => {
+        if (userContext.headers[key] && !headers[key.toLowerCase()]) {
+          headers[key] = userContext.headers[key];
+        }
+      });
+    }
+
+    logger.debug(`[${tool.name}] Using headers:`, {
+      hasOrganization: !!headers['organisation'],
+      hasAuthorization: !!headers['Authorization'],
+      hasApiKey: !!headers['x-api-key'],
+      source: userContext?.organization ? 'userContext' : 'env'
+    });
+
+    // Add custom headers from template (override any dynamic ones)
+    if (tool.requestTemplate?.headers) {
+      if (Array.isArray(tool.requestTemplate.headers)) {
+        // Handle array format
+        tool.requestTemplate.headers.forEach(header => {
+          headers[header.key] = header.value;
+        });
+      } else {
+        // Handle object format
+        Object.keys(tool.requestTemplate.headers).forEach(key => {
+          headers[key] = tool.requestTemplate.headers[key];
+        });
+      }
+    }
+    
+    // Build the full URL based on whether the URL is absolute or relative; a profile may point at another base URL
+    const requestBaseUrl = userContext?.baseUrl || baseUrl;
+    let fullUrl;
+    if (isAbsoluteUrl) {
+      // Use the URL as-is for absolute URLs (like generateContract)
+      fullUrl = url;
+      logger.debug(`[${tool.name}] Using absolute URL: ${fullUrl}`);
+    } else {
+      // Prepend base URL for relative URLs (like createContractPrompt)
+      fullUrl = requestBaseUrl + url;
+      logger.debug(`[${tool.name}] Using relative URL with base: ${requestBaseUrl} + ${url} = ${fullUrl}`);
+    }
+
+    return { method, fullUrl, baseUrl: requestBaseUrl, headers, body, cleanArgs, userContext, placementNotes };
+  }
+
+  // Per-tool timeout and retry overrides from requestTemplate.timeoutMs / requestTemplate.retries
+  function getToolRetryOptions(tool) {
+    const options = { label: tool.name };
+    if (tool.requestTemplate?.timeoutMs !== undefined) {
+      options.timeoutMs = tool.requestTemplate.timeoutMs;
+    }
+    if (tool.requestTemplate?.retries !== undefined) {
+      options.maxRetries = tool.requestTemplate.retries;
+    }
+    return options;
+  }
+
+  // Send one HTTP request for a tool and parse the response (JSON when possible, text otherwise)
+  async function sendAPIRequest(tool, { method, url, headers, body }, retryOverrides = {}) {
+    const startTime = Date.now();
+    const { response, text: responseText, attempts } = await sendRequest(url, {
+      method,
+      headers,
+      body
+    }, { ...getToolRetryOptions(tool), ...retryOverrides });
+
+    const duration = Date.now() - startTime;
+    const retrySummary = describeAttempts(attempts);
+    
+    logger.info(`[${tool.name}] Response received in ${duration}ms - Status: ${response.status}, Size: ${responseText.length} chars${retrySummary ? ` after ${retrySummary}` : ''}`);
+    logger.debug(`[${tool.name}] Raw response body:`, responseText);
+
+    if (!response.ok) {
+      logger.error(`[${tool.name}] API Error Response:`, responseText);
+      throw createApiError(response.status, response.statusText, responseText, { attempts, retrySummary });
+    }
+
+    try {
+      return JSON.parse(responseText);
+    } catch (e) {
+      logger.debug(`[${tool.name}] Failed to parse JSON response, returning as text`);
+      return responseText;
+    }
+  }
+
+  // Send a mutating request with an Idempotency-Key header. A repeat of the call inside the idempotency window
+  // (same organization, credentials and tool, plus the same idempotencyKey or, without one, the same arguments)
+  // returns the first call's result instead of being sent again. Scoping by the credentials too, as the response
+  // cache does, means a caller naming another organization without its credentials cannot read its results.
+  async function sendIdempotentRequest(tool, request, providedKey) {
+    const { scope } = ResponseCache.scopeOf(request.headers);
+    const call = idempotencyStore.identify(scope, tool.name, request.cleanArgs, providedKey);
+    const outcome = await idempotencyStore.run(call, key => sendAPIRequest(tool, {
+      method: request.method,
+      url: request.fullUrl,
+      headers: { ...request.headers, 'Idempotency-Key': key },
+      body: request.body
+    }, { idempotent: true }));
+
+    if (!outcome.replayed) {
+      logger.info(`[${tool.name}] Sent with idempotency key ${outcome.key}`);
+      return outcome.result;
+    }
+
+    logger.info(`[${tool.name}] Repeated call within the idempotency window; returning the first result (key ${outcome.key})`);
+    if (outcome.result && typeof outcome.result === 'object' && !Array.isArray(outcome.result)) {
+      return {
+        ...outcome.result,
+        idempotent_replay: {
+          idempotency_key: outcome.key,
+          first_executed_at: outcome.firstExecutedAt,
+          note: providedKey
+            ? 'A request with this idempotency key was already executed; the original result is returned and nothing was sent again. Use a new key for a new operation.'
+            : 'This identical request was already executed; the original result is returned and nothing was sent again. Pass a new idempotencyKey to perform the same operation again on purpose.'
+        }
+      };
+    }
+    return outcome.result;
+  }
+
+  // Turn a response's `next` value (a cursor or a full URL) into the URL of the next page
+  function buildNextPageUrl(currentUrl, next) {
+    if (!next || typeof next !== 'string') {
+      return null;
+    }
+
+    const nextUrl = new URL(currentUrl);
+    if (/^https?:\/\//i.test(next)) {
+      const linked = new URL(next);
+      if (linked.origin !== nextUrl.origin) {
+        logger.warn(`Refusing to follow pagination link to a different origin: ${linked.origin}`);
+        return null;
+      }
+      const cursor = linked.searchParams.get('cursor');
+      if (!cursor) {
+        return linked.toString();
+      }
+      nextUrl.searchParams.set('cursor', cursor);
+      return nextUrl.toString();
+    }
+
+    nextUrl.searchParams.set('cursor', next);
+    return nextUrl.toString();
+  }
+
+  // Follow `next` cursors and merge every page's `results` into one payload. pageOffset skips rows of the
+  // first page, so a truncated fetch resumes exactly where it stopped: from `resume`, the cursor of the page
+  // that was cut (null for the first page of the list) plus the rows of it already returned.
+  async function fetchAllPages(tool, request, { maxPages, maxRows, pageOffset = 0, bypassCache }) {
+    const results = [];
+    let url = request.fullUrl;
+    let pagesFetched = 0;
+    let lastPage = null;
+    let truncatedReason = null;
+    let resume = null;
+
+    while (url) {
+      const pageUrl = url;
+      const page = await withResponseCache(tool, pageUrl, request.headers, { bypassCache }, () => sendAPIRequest(tool, {
+        method: request.method,
+        url: pageUrl,
+        headers: request.headers,
+        body: request.body
+      }));
+      pagesFetched += 1;
+      lastPage = page;
+
+      if (!page || !Array.isArray(page.results)) {
+        // Not a paginated payload; hand it back unchanged
+        return page;
+      }
+
+      const skipped = pagesFetched === 1 ? pageOffset : 0;
+      const pageRows = page.results.slice(skipped);
+      const remaining = maxRows - results.length;
+      if (pageRows.length > remaining) {
+        results.push(...pageRows.slice(0, remaining));
+        truncatedReason = `maxRows (${maxRows}) reached`;
+        resume = { cursor: new URL(url).searchParams.get('cursor'), page_offset: skipped + remaining };
+        break;
+      }
+      results.push(...pageRows);
+
+      const nextUrl = buildNextPageUrl(url, page.next);
+      // A bare cursor, as mid-page, even when the API's next is a full URL
+      const nextCursor = nextUrl ? new URL(nextUrl).searchParams.get('cursor') : null;
+      if (nextUrl && results.length >= maxRows) {
+        truncatedReason = `maxRows (${maxRows}) reached`;
+        resume = { cursor: nextCursor, page_offset: 0 };
+        break;
+      }
+      if (nextUrl && pagesFetched >= maxPages) {
+        truncatedReason = `maxPages (${maxPages}) reached`;
+        resume = { cursor: nextCursor, page_offset: 0 };
+        break;
+      }
+      url = nextUrl;
+    }
+
+    logger.info(`[${tool.name}] Fetched ${pagesFetched} page(s), ${results.length} row(s)${truncatedReason ? ` - truncated: ${truncatedReason}` : ''}`);
+
+    const { results: _lastResults, next: _next, previous: _previous, ...pageMeta } = lastPage;
+    return {
+      ...pageMeta,
+      results,
+      // A plain cursor only resumes at a page boundary; mid-page, `pagination.resume` is the way on
+      next: resume && resume.page_offset === 0 ? resume.cursor : null,
+      pagination: {
+        pages_fetched: pagesFetched,
+        rows_returned: results.length,
+        max_pages: maxPages,
+        max_rows: maxRows,
+        truncated: !!truncatedReason,
+        truncated_reason: truncatedReason,
+        resume
+      }
+    };
+  }
+
+  // Enhanced API execution with better error handling and logging
+  async function executeAPICall(tool, args) {  
+    // Handle system tools that don't require API calls
+    if (tool.name === 'getCurrentDateTime') {
+      const now = new Date();
+      return {
+        currentDate: now.toISOString().split('T')[0],
+        currentDateTime: now.toISOString(),
+        timestamp: now.getTime(),
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        humanReadable: now.toLocaleString()
+      };
+    }
+    
+    // Debug: Log raw args received
+    logger.debug(`[${tool.name}] Raw args received:`, {
+      argKeys: Object.keys(args),
+      argValues: JSON.stringify(args, null, 2)
+    });
+
+    const request = buildAPIRequest(tool, args);
+    const { method, fullUrl, headers, body, cleanArgs } = request;
+
+    if (isDryRun(args)) {
+      logger.info(`[${tool.name}] Dry run: returning built ${method} request without sending it`);
+      return buildDryRunResult(tool, request);
+    }
+
+    logger.debug(`[${tool.name}] Making ${method} request to: ${fullUrl}`);
+    logger.info(`[${tool.name}] MULTI-TENANT SECURITY CHECK - Headers being sent:`, {
+      organization: headers['organisation'] || 'MISSING',
+      authMethod: headers['Authorization'] ? 'bearer' : (headers['x-api-key'] ? 'api-key' : 'none'),
+      headers: redactHeaders(headers)
+    });
+    
+    // cache: "bypass" applies to the tool's own request and to every supplemental fetch it makes
+    const bypassCache = args.cache === 'bypass';
+    const callFetchJson = (url, fetchHeaders) => fetchJson(url, fetchHeaders, { bypassCache, baseUrl: request.baseUrl });
+
+    try {
+      // Tools with a custom handler build their own upstream requests from the clean args
+      const handler = getRequestHandler(tool.requestTemplate?.handler);
+      if (handler) {
+        const result = await handler.run(cleanArgs, { tool, headers, baseUrl: request.baseUrl, fetchJson: callFetchJson, sendRequest, logger });
+        logger.debug(`[${tool.name}] Successfully processed ${tool.requestTemplate.handler} handler result`);
+        return result;
+      }
+
+      const pagination = getPaginationOptions(tool, args);
+      let result;
+      if (pagination) {
+        result = await fetchAllPages(tool, request, { ...pagination, bypassCache });
+      } else if (tool.idempotency) {
+        result = await sendIdempotentRequest(tool, request, args.idempotencyKey);
+      } else {
+        result = await withResponseCache(tool, fullUrl, headers, { bypassCache }, () => sendAPIRequest(tool, { method, url: fullUrl, headers, body }));
+      }
+
+      result = await applyResponseTransforms(tool, result, { tool, headers, baseUrl: request.baseUrl, fetchJson: callFetchJson, sendRequest, logger });
+      
+      // Apply response template if available
+      if (tool.responseTemplate?.prependBody) {
+        result = {
+          template_info: tool.responseTemplate.prependBody,
+          api_response: result
+        };
+      }
+
+      logger.debug(`[${tool.name}] Successfully processed response`);
+      return result;
+      
+    } catch (fetchError) {
+      // API errors are already classified. Failures from fetchWithRetry carry their attempts and are
+      // network errors or timeouts; anything else is a bug in a handler, transform or enrichment.
+      if (fetchError instanceof ZenskarApiError || fetchError.category) {
+        throw fetchError;
+      }
+      if (fetchError.attempts || fetchError.timedOut) {
+        logger.error(`[${tool.name}] Network error:`, fetchError);
+        const networkError = new Error(`Network error: ${fetchError.message}`);
+        networkError.attempts = fetchError.attempts || [];
+        networkError.timedOut = fetchError.timedOut;
+        throw networkError;
+      }
+      logger.error(`[${tool.name}] Internal error:`, { error: fetchError.message, stack: fetchError.stack });
+      const internalError = new ZenskarApiError(fetchError.message, { category: 'internal' });
+      internalError.cause = fetchError;
+      throw internalError;
+    } finally {
+      // Even a failed or timed-out write may have been applied, so related reads are dropped either way
+      invalidateCachedReads(tool, headers);
+    }
+  }
+
+  // Function to check if tool needs approval, from the tool's own needsApproval flag or the config approvalPolicy.
+  // Returns { required, policyRule, rejectionReason } and, for a verified approval, swaps in the approved arguments.
+  function checkNeedsApproval(tool, args) {
+    const policyRule = evaluateApprovalPolicy(mcpConfig.approvalPolicy, tool, args);
+    const liveWrite = describeLiveWrite(tool, args);
+    if (!tool.needsApproval && !policyRule && !liveWrite) {
+      return { required: false };
+    }
+    
+    // Check if this is a re-execution after approval
+    const userContext = args.__userContext;
+    const approval = userContext?.approval;
+    if (approval && approval.approved === true) {
+      const currentArgs = { ...args };
+      delete currentArgs.__userContext;
+      const originalArgs = approval.originalArguments || currentArgs;
+
+      // The token must have been issued for this tool and the exact arguments shown to the approver
+      const verification = approvalTokens.verify(approval.approvalToken, tool.name, originalArgs);
+      if (!verification.valid) {
+        logger.warn(`[${tool.name}] Approval rejected: ${verification.reason}`);
+        return { required: true, policyRule, liveWrite, rejectionReason: verification.reason };
+      }
+
+      logger.info(`[${tool.name}] Tool was approved by user with a valid approval token`);
+
+      // The token only covers the arguments it was issued for. Edited arguments are validated like a fresh
+      // call and then need an approval of their own, whose token is bound to exactly what will run.
+      if (approval.modifiedArguments) {
+        const modifiedArgs = validateModifiedArguments(tool, originalArgs, approval.modifiedArguments);
+        if (hashArguments(modifiedArgs) !== hashArguments(originalArgs)) {
+          replaceArguments(args, modifiedArgs);
+          const reason = 'The approver changed the arguments, so the changed arguments need their own approval';
+          logger.info(`[${tool.name}] ${reason}`);
+          return {
+            required: true,
+            policyRule: evaluateApprovalPolicy(mcpConfig.approvalPolicy, tool, modifiedArgs),
+            liveWrite: describeLiveWrite(tool, args),
+            rejectionReason: reason
+          };
+        }
+      }
+      replaceArguments(args, originalArgs);
+
+      // A live write also needs the organization ID, typed by the approver
+      const approvedLiveWrite = describeLiveWrite(tool, args);
+      if (approvedLiveWrite && approval.confirmOrganization !== approvedLiveWrite.organization) {
+        const reason = approval.confirmOrganization === undefined
+          ? 'This write goes to a live organization; the approver must type its ID as approval.confirmOrganization'
+          : 'approval.confirmOrganization does not match the organization this call runs against';
+        logger.warn(`[${tool.name}] Approval rejected: ${reason}`);
+        return { required: true, policyRule, liveWrite: approvedLiveWrite, rejectionReason: reason };
+      }
+
+      return { required: false }; // Skip approval, execute with approved args
+    }
+
+    if (liveWrite) {
+      logger.info(`[${tool.name}] Approval required for a write to ${liveWrite.target}`);
+      return { required: true, policyRule, liveWrite };
+    }
+
+    if (policyRule) {
+      logger.info(`[${tool.name}] Approval required by policy rule: ${policyRule.name || 'unnamed'}`);
+      return { required: true, policyRule };
+    }
+    
+    // If needsApproval is a function, evaluate it
+    if (typeof tool.needsApproval === 'function') {
+      return { required: !!tool.needsApproval(args) };
+    }
+    
+    // If it's a boolean true, always needs approval
+    return { required: tool.needsApproval === true };
+  }
+
+  // Check the approver's edited arguments against the tool schema, as the call's own arguments were. The profile
+  // cannot be edited: an approval is for one organization. An edit that leaves it out keeps the approved one.
+  function validateModifiedArguments(tool, originalArgs, modifiedArguments) {
+    if (!modifiedArguments || typeof modifiedArguments !== 'object' || Array.isArray(modifiedArguments)) {
+      throw new ZenskarApiError(`Invalid modified arguments for ${tool.name}`, {
+        category: 'validation',
+        fieldErrors: [{ field: 'modifiedArguments', message: 'must be an object of tool arguments' }]
+      });
+    }
+    if (modifiedArguments.profile !== undefined && modifiedArguments.profile !== originalArgs.profile) {
+      throw new ZenskarApiError(`Invalid modified arguments for ${tool.name}`, {
+        category: 'validation',
+        fieldErrors: [{ field: 'modifiedArguments.profile', message: 'cannot differ from the approved profile' }]
+      });
+    }
+    const { __userContext, ...edited } = modifiedArguments;
+    const parsed = z.object(catchFieldErrors(buildToolInputSchema(tool))).parse({
+      ...edited,
+      ...(originalArgs.profile ? { profile: originalArgs.profile } : {})
+    });
+    const fieldErrors = getFieldErrors(parsed);
+    if (fieldErrors) {
+      throw new ZenskarApiError(`Invalid modified arguments for ${tool.name}`, {
+        category: 'validation',
+        fieldErrors: fieldErrors.map(error => ({ ...error, field: error.field ? `modifiedArguments.${error.field}` : 'modifiedArguments' }))
+      });
+    }
+    return Object.fromEntries(Object.entries(parsed).filter(([, value]) => value !== undefined));
+  }
+
+  // Replace a call's tool arguments in place, keeping its __userContext
+  function replaceArguments(args, replacement) {
+    const savedUserContext = args.__userContext;
+    Object.keys(args).forEach(key => {
+      if (key !== '__userContext') {
+        delete args[key];
+      }
+    });
+    Object.assign(args, replacement);
+    args.__userContext = savedUserContext;
+  }
+
+  // Function to generate approval request
+  function generateApprovalRequest(tool, args, approvalCheck = {}) {
+    const { policyRule, liveWrite, rejectionReason } = approvalCheck;
+    const cleanArgs = { ...args };
+    delete cleanArgs.__userContext;
+
+    // Bind the approval to the tool name and the exact arguments shown to the approver
+    const { token, expiresAt } = approvalTokens.issue(tool.name, cleanArgs);
+    
+    return {
+      type: 'approval_required',
+      toolName: tool.name,
+      toolDescription: tool.description,
+      arguments: cleanArgs,
+      approvalToken: token,
+      approvalExpiresAt: expiresAt,
+      ...(rejectionReason ? { previousApprovalRejected: rejectionReason } : {}),
+      ...(policyRule ? { policy: { rule: policyRule.name || null, reason: policyRule.reason || null } } : {}),
+      // The approval UI must ask the approver to type the organization ID and send it as approval.confirmOrganization
+      ...(liveWrite ? { liveWrite: { target: liveWrite.target, confirmOrganizationRequired: true } } : {}),
+      approvalConfig: tool.approvalConfig || {
+        title: `Approve ${tool.name}`,
+        description: policyRule?.reason
+          ? `${policyRule.reason} ${tool.description}`
+          : `This action requires your approval: ${tool.description}`,
+        warningText: 'Please review the parameters carefully before proceeding.',
+        confirmText: 'Approve',
+        cancelText: 'Cancel',
+        ...(policyRule?.approvalConfig || {})
+      },
+      // Generate field definitions for the frontend
+      fields: (tool.args || []).map(arg => ({
+        name: arg.name,
+        label: arg.description || arg.name,
+        type: getFieldType(arg.type),
+        required: arg.required || false,
+        value: cleanArgs[arg.name],
+        sensitive: tool.approvalConfig?.sensitiveFields?.includes(arg.name) || false
+      }))
+    };
+  }
+
+  // Run a tool's API call between the embedder's hooks:
+  // hooks.beforeCall({ tool, args, userContext }) may return replacement args, or throw to reject the call;
+  // hooks.afterCall({ tool, args, userContext, result, error, durationMs }) may return a replacement result.
+  // (hooks.onApprovalRequest({ tool, approvalRequest, userContext }) is called from the tool handler instead.)
+  async function executeWithHooks(tool, args) {
+    const userContext = args.__userContext;
+    let callArgs = args;
+    if (hooks.beforeCall) {
+      const replacedArgs = await hooks.beforeCall({ tool, args: withoutUserContext(args), userContext });
+      if (replacedArgs) {
+        callArgs = { ...replacedArgs, __userContext: userContext };
+      }
+    }
+
+    const callStart = Date.now();
+    let result;
+    try {
+      result = await executeAPICall(tool, callArgs);
+    } catch (error) {
+      if (hooks.afterCall) {
+        await hooks.afterCall({ tool, args: withoutUserContext(callArgs), userContext, error, durationMs: Date.now() - callStart });
+      }
+      throw error;
+    }
+
+    if (!hooks.afterCall) {
+      return result;
+    }
+    const replacedResult = await hooks.afterCall({ tool, args: withoutUserContext(callArgs), userContext, result, durationMs: Date.now() - callStart });
+    return replacedResult === undefined ? result : replacedResult;
+  }
+
+  // Pick the profile for a call and record it as args.profile, so an approval only covers the organization it
+  // was requested for: the per-call `profile` argument, else the session's useProfile choice, else the profiles
+  // file default when the call carries no credentials of its own. Credentials from HTTP headers always win.
+  function selectProfile(server, args, extra) {
+    if (!profileStore) {
+      return;
+    }
+    if (buildRequestUserContext(extra)) {
+      if (args.profile) {
+        throw new ZenskarApiError('The profile argument cannot be combined with credentials sent in HTTP headers', { category: 'validation' });
+      }
+      return;
+    }
+    const userContext = args.__userContext;
+    const hasOwnCredentials = Boolean(userContext?.organization || userContext?.apiKey || userContext?.authorization);
+    const name = args.profile || sessionProfiles.get(server) || (hasOwnCredentials ? null : profileStore.defaultName);
+    if (name) {
+      args.profile = name;
+    }
+  }
+
+  // Replace the call's organization and credentials with those of args.profile, plus its base URL and environment
+  function applyProfileCredentials(args) {
+    if (!profileStore || !args.profile) {
+      return;
+    }
+    const profile = profileStore.get(args.profile);
+    if (!profile) {
+      throw new ZenskarApiError(`Unknown profile "${args.profile}"; available profiles: ${profileStore.names.join(', ')}`, { category: 'validation' });
+    }
+    let credential;
+    try {
+      credential = profileStore.readCredential(profile);
+    } catch (error) {
+      throw new ZenskarApiError(error.message, { category: 'auth' });
+    }
+    // Mask the profile credential in logs too; custom loggers with their own runWithContext may lack addSecret
+    logger.addSecret?.(credential);
+
+    const { authorization, apiKey, organization, ...rest } = args.__userContext || {};
+    args.__userContext = {
+      ...rest,
+      organization: profile.organization,
+      ...(profile.auth === 'bearer' ? { authorization: credential, authType: 'bearer' } : { apiKey: credential }),
+      profile: profile.name,
+      baseUrl: profile.baseUrl,
+      environment: profile.environment
+    };
+  }
+
+  // The credentials a profile would send, for environment detection; a missing credential is reported later
+  function readProfileCredentials(profile) {
+    let credential = null;
+    try {
+      credential = profileStore.readCredential(profile);
+    } catch (_error) {
+      // applyProfileCredentials turns this into an auth error
+    }
+    return profile.auth === 'bearer' ? { authToken: credential, authType: 'bearer' } : { apiKey: credential };
+  }
+
+  // The organization, profile and environment a call runs against. The environment is the profile's declared
+  // one (or ZENSKAR_ENVIRONMENT's, only for calls sent with the env var credentials), else detected from the
+  // API key prefix or the base URL.
+  function describeCallContext(args) {
+    const profile = profileStore && args.profile ? profileStore.get(args.profile) : null;
+    const credentials = profile ? readProfileCredentials(profile) : resolveCredentials(args.__userContext);
+    const detected = detectEnvironment({
+      declared: profile ? profile.environment : (credentials.fromEnvironment ? process.env.ZENSKAR_ENVIRONMENT : undefined),
+      ...credentials,
+      baseUrl: profile?.baseUrl || baseUrl
+    });
+    return {
+      organization: profile?.organization || credentials.orgId || null,
+      profile: profile?.name || null,
+      environment: detected.environment,
+      environmentSource: detected.source
+    };
+  }
+
+  // A write to a production organization, or one whose environment cannot be told: { organization, target },
+  // else null. Dry runs send nothing and never count.
+  function describeLiveWrite(tool, args) {
+    if (!isMutatingTool(tool) || isDryRun(args)) {
+      return null;
+    }
+    const context = describeCallContext(args);
+    if (!isLiveEnvironment(context.environment)) {
+      return null;
+    }
+    const target = context.environment === 'production'
+      ? `production organization ${context.organization || '(not set)'}`
+      : `organization ${context.organization || '(not set)'}, whose environment could not be determined,`;
+    return { organization: context.organization, target };
+  }
+
+  // Live writes are refused unless the server allows them. Even then they need a human approval in which the
+  // approver types the organization ID (see checkNeedsApproval): the model sees the ID in every result label,
+  // so a typed confirmation only counts when it comes with an approval token the model never sees.
+  function enforceLiveWriteGuard(tool, args) {
+    const liveWrite = describeLiveWrite(tool, args);
+    if (liveWrite && !allowLiveWrites) {
+      throw new ZenskarApiError(`${tool.name} writes to ${liveWrite.target} and live writes are disabled on this server`, { category: 'live_write_blocked' });
+    }
+  }
+
+  // A line naming the organization (and profile and environment) a call runs against
+  function formatContextLabel(args) {
+    const context = describeCallContext(args);
+    const environmentSources = { 'key prefix': 'from the API key prefix', 'base URL': 'from the base URL' };
+    const details = [
+      context.profile && `profile ${context.profile}`,
+      `environment ${context.environment}${environmentSources[context.environmentSource] ? ` ${environmentSources[context.environmentSource]}` : ''}`
+    ].filter(Boolean);
+    return `Zenskar organization: ${context.organization || 'not set'}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+  }
+
+  // Append the context label to a tool result, so neither the model nor the user can lose track of which
+  // account a result came from
+  function withContextLabel(result, args) {
+    return { ...result, content: [...result.content, { type: 'text', text: formatContextLabel(args) }] };
+  }
+
+  // The args a profile tool's result is labeled with: the session's profile, or the HTTP header credentials
+  function getSessionContextArgs(server, extra) {
+    const args = {};
+    applyRequestUserContext(args, extra);
+    selectProfile(server, args, extra);
+    return args;
+  }
+
+  // The Zod shape of a configured tool's arguments, plus profile when profiles are configured
+  function buildToolInputSchema(tool) {
+    const inputSchema = convertArgsToZodSchema(tool.args || [], tool);
+    if (profileStore && profileStore.names.length > 0) {
+      inputSchema['profile'] = z.enum(profileStore.names).optional()
+        .describe('Credential profile to run this call with (see listProfiles); defaults to the profile chosen with useProfile');
+    }
+    return inputSchema;
+  }
+
+  // Register tools from config with enhanced error handling. Returns the registered tools by name.
+  function registerConfiguredTools(server, tools = toolSelection.enabled) {
+    const registered = new Map();
+
+    tools.forEach(tool => {
+      logger.debug(`Registering tool: ${tool.name}`);
+      
+      const inputSchema = buildToolInputSchema(tool);
+
+      const registeredTool = server.registerTool(
+        tool.name,
+        {
+          title: tool.name,
+          description: tool.description,
+          // Invalid arguments reach the handler as field errors instead of a protocol error
+          inputSchema: catchFieldErrors(inputSchema)
+        },
+        async (args, extra) => logger.runWithContext({ tool: tool.name }, async () => {
+          const executionStart = Date.now();
+          applyRequestUserContext(args, extra);
+          let tokenUsageStatus = 'success';
+          let tokenUsageReason = null;
+          let requestTokens = 0;
+          let responseTokens = 0;
+          let limitRequested = null;
+          let limitApplied = null;
+          
+          try {
+            logger.debug(`[${tool.name}] Tool execution started`);
+
+            // Schema violations are reported per field, before approval or any HTTP call
+            const fieldErrors = getFieldErrors(args);
+            if (fieldErrors) {
+              throw new ZenskarApiError(`Invalid arguments for ${tool.name}`, { category: 'validation', fieldErrors });
+            }
+            
+            // Debug: Check what args are received
+            logger.debug(`[${tool.name}] Raw args received:`, {
+              argKeys: Object.keys(args),
+              hasUserContextInArgs: !!args.__userContext,
+              userContextInArgs: args.__userContext,
+              approvedInArgs: args.__userContext?.approval?.approved
+            });
+            
+            // The profile is fixed before the approval check so an approval cannot be replayed against another org
+            selectProfile(server, args, extra);
+            enforceLiveWriteGuard(tool, args);
+
+            // Check if this tool needs approval and hasn't been approved yet. Dry runs send nothing, so they
+            // skip the check entirely and never redeem an approval token they carry.
+            const approvalCheck = isDryRun(args) ? { required: false } : checkNeedsApproval(tool, args);
+            const userContext = args.__userContext;
+            
+            logger.info(`[${tool.name}] Approval check:`, {
+              needsApproval: approvalCheck.required,
+              policyRule: approvalCheck.policyRule?.name || null,
+              rejectionReason: approvalCheck.rejectionReason || null,
+              hasUserContext: !!userContext,
+              userContextKeys: userContext ? Object.keys(userContext) : [],
+              approvedValue: userContext?.approval?.approved
+            });
+            
+            if (approvalCheck.required) {
+              logger.info(`[${tool.name}] Tool requires approval, generating approval request`);
+              const approvalRequest = generateApprovalRequest(tool, args, approvalCheck);
+
+              // The text the model reads never carries the approval token, so the model cannot approve its own
+              // call. With hooks.onApprovalRequest the token only goes to the embedder's approval UI; without it,
+              // the token travels in the structured approvalRequest and the host must strip it (see README).
+              const { approvalToken, ...visibleRequest } = approvalRequest;
+              if (hooks.onApprovalRequest) {
+                await hooks.onApprovalRequest({ tool, approvalRequest, userContext: args.__userContext });
+              }
+              
+              return withContextLabel({
+                content: [{
+                  type: "text",
+                  text: JSON.stringify(visibleRequest, null, 2)
+                }],
+                isApprovalRequired: true,
+                approvalRequest: hooks.onApprovalRequest ? visibleRequest : approvalRequest
+              }, args);
+            }
+
+            // Approved arguments may name a different profile than the call did
+            applyProfileCredentials(args);
+            enforceLiveWriteGuard(tool, args);
+            
+            // Extract user context for token usage tracking
+            const userId = userContext?.userId || 'unknown';
+            const chatId = userContext?.chatId || null; // Use NULL for direct MCP calls
+            
+            // Estimate request tokens (rough approximation)
+            const argsString = JSON.stringify(args);
+            requestTokens = Math.ceil(argsString.length / 4); // Rough token estimation
+            
+            // Validate and enforce limits on tool arguments
+            const limitsValidation = validateToolLimits(tool.name, args);
+            
+            if (!limitsValidation.valid) {
+              const feedback = generateTokenUsageFeedback(tool.name, args);
+              logger.error(`[${tool.name}] Tool execution blocked due to limits:`, limitsValidation.errors);
+              
+              // Log blocked token usage
+              tokenUsageStatus = 'blocked';
+              tokenUsageReason = limitsValidation.errors.join('; ');
+              responseTokens = 200; // Estimated tokens for error message
+              
+              try {
+                await tokenUsageMonitor.logUsage({
+                  userId,
+                  chatId,
+                  tool: tool.name,
+                  requestTokens,
+                  responseTokens,
+                  totalTokens: requestTokens + responseTokens,
+                  status: tokenUsageStatus,
+                  reason: tokenUsageReason,
+                  limitRequested: args.limit,
+                  limitApplied: null
+                });
+              } catch (monitorError) {
+                logger.error(`[${tool.name}] Failed to log token usage:`, monitorError);
+              }
+              
+              return withContextLabel({
+                content: [{
+                  type: "text",
+                  text: `I'm sorry, but this request is too large to process efficiently. To get better results, please try:\n\n` +
+                        `• Using smaller numbers when asking for lists (try 10-20 items instead of larger amounts)\n` +
+                        `• Being more specific with your search criteria\n` +
+                        `• Breaking your request into smaller parts\n\n` +
+                        `For example, instead of asking for all customers, try asking for "customers created this month" or "customers from a specific region."`
+                }],
+                isError: true
+              }, args);
+            }
+            
+            // Use adjusted args with enforced limits
+            const adjustedArgs = limitsValidation.adjustedArgs;
+
+            // Track limit adjustments
+            if (args.limit && adjustedArgs.limit && args.limit !== adjustedArgs.limit) {
+              limitRequested = args.limit;
+              limitApplied = adjustedArgs.limit;
+            }
+            
+            // Log token usage feedback
+            const tokenFeedback = generateTokenUsageFeedback(tool.name, adjustedArgs);
+            logger.info(`[${tool.name}] Token usage assessment:`, {
+              estimatedTokens: tokenFeedback.message,
+              severity: tokenFeedback.severity,
+              suggestions: tokenFeedback.suggestions,
+              originalArgs: JSON.stringify(args),
+              adjustedArgs: JSON.stringify(adjustedArgs)
+            });
+            
+            // Execute API call with validated and adjusted arguments
+            const rawResult = await executeWithHooks(tool, adjustedArgs);
+            
+            // Process the response with intelligent optimization
+            const processedResult = responseProcessor.processResponse(rawResult, tool.name, {
+              fields: args.fields,
+              dropKeys: tool.responseTemplate?.dropKeys,
+              maxTokens: tool.responseTemplate?.maxTokens,
+              storeOverflow: payload => responseStore.put(getCallerScope(args.__userContext), tool.name, payload)
+            });
+            
+            const executionTime = Date.now() - executionStart;
+            logger.info(`[${tool.name}] Tool execution completed in ${executionTime}ms`);
+            
+            // Add user-friendly notice for large responses
+            let responseText = typeof processedResult === 'string' ? processedResult : JSON.stringify(processedResult, null, 2);
+            
+            // Check if response was truncated
+            if (limitsValidation.warnings.length > 0 || tokenFeedback.severity === 'warning') {
+              tokenUsageStatus = 'truncated';
+              tokenUsageReason = 'Response optimized due to size limits';
+              
+              const warningText = `\n\n---\n**📋 Response Summary:**\n` +
+                                `Your request returned a large amount of data, so I've shown you a summary with the most relevant information. ` +
+                                `If you need more specific details, try asking for:\n\n` +
+                                `• Specific items by ID or name\n` +
+                                `• Data from a particular time period\n` +
+                                `• Filtered results based on status or category\n\n` +
+                                `This helps ensure faster and more focused results.`;
+              responseText = responseText + warningText;
+            }
+            
+            // Estimate response tokens
+            responseTokens = Math.ceil(responseText.length / 4);
+            
+            // Log successful token usage
+            try {
+              await tokenUsageMonitor.logUsage({
+                userId,
+                chatId,
+                tool: tool.name,
+                requestTokens,
+                responseTokens,
+                totalTokens: requestTokens + responseTokens,
+                status: tokenUsageStatus,
+                reason: tokenUsageReason,
+                limitRequested,
+                limitApplied
+              });
+            } catch (monitorError) {
+              logger.error(`[${tool.name}] Failed to log token usage:`, monitorError);
+            }
+            
+            return withContextLabel({
+              content: [{
+                type: "text",
+                text: responseText
+              }]
+            }, args);
+          } catch (error) {
+            const executionTime = Date.now() - executionStart;
+            logger.error(`[${tool.name}] Tool execution failed after ${executionTime}ms:`, error);
+            
+            // Log failed token usage
+            const userContext = args.__userContext;
+            const userId = userContext?.userId || 'unknown';
+            const chatId = userContext?.chatId || null; // Use NULL for direct MCP calls
+            
+            const errorPayload = buildErrorPayload(tool.name, error);
+            const errorMessage = formatErrorText(errorPayload);
+            
+            responseTokens = Math.ceil(errorMessage.length / 4);
+            
+            try {
+              await tokenUsageMonitor.logUsage({
+                userId,
+                chatId,
+                tool: tool.name,
+                requestTokens,
+                responseTokens,
+                totalTokens: requestTokens + responseTokens,
+                status: 'blocked',
+                reason: `Execution failed: ${error.message}`,
+                limitRequested,
+                limitApplied
+              });
+            } catch (monitorError) {
+              logger.error(`[${tool.name}] Failed to log token usage:`, monitorError);
+            }
+            
+            return withContextLabel({
+              content: [{
+                type: "text",
+                text: errorMessage
+              }],
+              structuredContent: { error: errorPayload },
+              isError: true
+            }, args);
+          }
+        })
+      );
+
+      registered.set(tool.name, registeredTool);
+    });
+
+    return registered;
+  }
+
+  // Read a slice of a stored oversized response: a JSON path into it and/or an item range of a list
+  function readStoredResponse(args) {
+    const entry = responseStore.get(args.handle, getCallerScope(args.__userContext));
+    if (!entry) {
+      throw new ZenskarApiError(`Stored response ${args.handle} was not found or has expired. Call the original tool again.`, { category: 'not_found' });
+    }
+
+    let value;
+    try {
+      value = resolveJsonPath(entry.data, args.path);
+    } catch (error) {
+      throw new ZenskarApiError(error.message, { category: 'validation' });
+    }
+
+    const result = {
+      handle: args.handle,
+      tool: entry.toolName,
+      path: args.path || '$',
+      expires_at: new Date(entry.expiresAt).toISOString()
+    };
+
+    if (Array.isArray(value)) {
+      const offset = args.offset || 0;
+      const limit = Math.min(args.limit || 50, STORED_RESPONSE_PAGE_LIMIT);
+      const items = responseProcessor.shapePayload(value.slice(offset, offset + limit), { fields: args.fields });
+      return {
+        ...result,
+        total_items: value.length,
+        offset,
+        returned_items: items.length,
+        next_offset: offset + items.length < value.length ? offset + items.length : null,
+        items
+      };
+    }
+
+    return { ...result, value: responseProcessor.shapePayload(value, { fields: args.fields }) };
+  }
+
+  function registerStoredResponseTool(server) {
+    const toolName = 'getStoredResponse';
+    server.registerTool(
+      toolName,
+      {
+        title: toolName,
+        description: 'Read part of a response that was too large to return in full. Use the handle from _truncation.stored_response, then a JSON path (e.g. "results[3].line_items") and/or offset/limit to page through a list. Does not call the Zenskar API.',
+        inputSchema: {
+          handle: z.string().describe('Handle from _truncation.stored_response.handle'),
+          path: z.string().optional()
+            .describe('JSON path inside the stored response, e.g. "results" or "results[3].line_items". Defaults to the whole response'),
+          offset: z.number().int().min(0).optional().describe('Index of the first list item to return when the path points at a list'),
+          limit: z.number().int().positive().max(STORED_RESPONSE_PAGE_LIMIT).optional()
+            .describe('Number of list items to return (default 50)'),
+          fields: z.string().optional()
+            .describe('Optional comma-separated field projection applied to the value or to each list item, e.g. "id,status"'),
+          __userContext: userContextSchema
+        }
+      },
+      async (args, extra) => logger.runWithContext({ tool: toolName }, async () => {
+        applyRequestUserContext(args, extra);
+        try {
+          // Handles belong to the credentials that stored them, which may come from the session's profile
+          selectProfile(server, args, extra);
+          applyProfileCredentials(args);
+          const slice = readStoredResponse(args);
+          const text = responseProcessor.processResponse(slice, toolName, {
+            // A slice that is still too large points back at the same handle
+            storeOverflow: () => ({ handle: args.handle, expiresAt: slice.expires_at })
+          });
+          return withContextLabel({ content: [{ type: 'text', text }] }, args);
+        } catch (error) {
+          logger.warn(`[${toolName}] Failed to read stored response`, { error: error.message });
+          const errorPayload = buildErrorPayload(toolName, error);
+          return withContextLabel({
+            content: [{ type: 'text', text: formatErrorText(errorPayload) }],
+            structuredContent: { error: errorPayload },
+            isError: true
+          }, args);
+        }
+      })
+    );
+  }
+
+  // listProfiles and useProfile: inspect the profiles file and switch this session's default profile
+  function registerProfileTools(server) {
+    server.registerTool(
+      'listProfiles',
+      {
+        title: 'listProfiles',
+        description: 'List the credential profiles configured for this server (organization, environment, base URL, auth type) and which one this session uses by default. Secrets are never shown. Does not call the Zenskar API.',
+        inputSchema: {}
+      },
+      async (_args, extra) => {
+        const active = sessionProfiles.get(server) || profileStore.defaultName;
+        const listing = {
+          active_profile: active,
+          default_profile: profileStore.defaultName,
+          profiles: profileStore.names.map(name => profileStore.describe(profileStore.get(name)))
+        };
+        return withContextLabel({ content: [{ type: 'text', text: JSON.stringify(listing, null, 2) }] }, getSessionContextArgs(server, extra));
+      }
+    );
+
+    server.registerTool(
+      'useProfile',
+      {
+        title: 'useProfile',
+        description: 'Switch the credential profile that later tool calls in this session use when they do not pass a profile argument. Does not call the Zenskar API.',
+        inputSchema: {
+          profile: z.enum(profileStore.names).describe('Name of the profile to use, as shown by listProfiles')
+        }
+      },
+      async ({ profile: name }, extra) => {
+        const profile = profileStore.get(name);
+        sessionProfiles.set(server, name);
+        logger.info(`Session switched to profile ${name} (organization ${profile.organization})`);
+        const described = profileStore.describe(profile);
+        const warning = described.credential_available ? '' : ` Warning: its credential (${profile.credential}) is not available, so calls will fail until it is set.`;
+        return withContextLabel({
+          content: [{
+            type: 'text',
+            text: `Now using profile ${name}: organization ${profile.organization}${profile.environment ? `, environment ${profile.environment}` : ''}.${warning}`
+          }]
+        }, getSessionContextArgs(server, extra));
+      }
+    );
+  }
+
+  // Resources (mcpConfig.resources) are read and listed through the configured tools, so they share
+  // executeAPICall's auth, headers, retries and response shaping. The context label follows the JSON as
+  // a separate plain-text entry, so the JSON stays parseable.
+  async function readResourceThroughTool(server, tool, uri, args, extra) {
+    applyRequestUserContext(args, extra);
+    selectProfile(server, args, extra);
+    applyProfileCredentials(args);
+    const result = await executeWithHooks(tool, args);
+    const text = responseProcessor.processResponse(result, tool.name, {
+      storeOverflow: payload => responseStore.put(getCallerScope(args.__userContext), tool.name, payload)
+    });
+    return {
+      contents: [
+        { uri: uri.href, mimeType: 'application/json', text },
+        { uri: uri.href, mimeType: 'text/plain', text: formatContextLabel(args) }
+      ]
+    };
+  }
+
+  async function listResourcesThroughTool(server, resource, tool, extra) {
+    const listLimit = Number(process.env.MCP_RESOURCE_LIST_LIMIT) || 100;
+    const args = supportsPagination(tool) ? { fetchAll: true, maxRows: listLimit } : {};
+    applyRequestUserContext(args, extra);
+
+    try {
+      selectProfile(server, args, extra);
+      applyProfileCredentials(args);
+      const items = extractListPayload(await executeWithHooks(tool, args)).slice(0, listLimit);
+      return {
+        resources: items
+          .filter(item => item && item.id)
+          .map(item => ({
+            uri: resource.uriTemplate.replace(/\{[^}]+\}/, encodeURIComponent(item.id)),
+            name: getResourceLabel(resource, item, item.id),
+            mimeType: 'application/json'
+          }))
+      };
+    } catch (error) {
+      // A failing list must not break resources/list for every other resource type
+      logger.warn(`[resources] Could not list ${resource.name} resources via ${tool.name}`, { error: error.message });
+      return { resources: [] };
+    }
+  }
+
+  function registerConfiguredResources(server) {
+    const enabledTools = new Map(toolSelection.enabled.map(tool => [tool.name, tool]));
+
+    (mcpConfig.resources || []).forEach(resource => {
+      const readTool = enabledTools.get(resource.readTool);
+      if (!readTool) {
+        logger.debug(`Skipping resource ${resource.name}: tool ${resource.readTool} is not enabled`);
+        return;
+      }
+      const metadata = { title: resource.name, description: resource.description, mimeType: 'application/json' };
+
+      if (resource.uri) {
+        server.registerResource(resource.name, resource.uri, metadata, async (uri, extra) =>
+          logger.runWithContext({ resource: resource.name }, () => readResourceThroughTool(server, readTool, uri, {}, extra))
+        );
+        return;
+      }
+
+      const listTool = enabledTools.get(resource.listTool);
+      const template = new ResourceTemplate(resource.uriTemplate, {
+        list: listTool ? extra => listResourcesThroughTool(server, resource, listTool, extra) : undefined
+      });
+      server.registerResource(resource.name, template, metadata, async (uri, variables, extra) =>
+        logger.runWithContext({ resource: resource.name }, async () => {
+          const args = {};
+          Object.entries(variables).forEach(([name, value]) => {
+            args[name] = decodeURIComponent(Array.isArray(value) ? value[0] : value);
+          });
+          return readResourceThroughTool(server, readTool, uri, args, extra);
+        })
+      );
+    });
+  }
+
+  // Switch to a new config (default: re-read configPath and the overlays), then add, replace or remove changed
+  // tools on every live server. The SDK sends tools/list_changed to connected clients for each change.
+  // Resources and prompts keep the definitions they were registered with.
+  function reloadConfig(newConfig) {
+    let nextConfig = newConfig;
+    try {
+      nextConfig = nextConfig || loadConfig(configPath, overlayPaths);
+    } catch (error) {
+      logger.error('Config reload failed; keeping the current tools', { error: error.message });
+      return;
+    }
+    const configErrors = validateConfig(nextConfig);
+    if (configErrors.length > 0) {
+      logger.error('Reloaded config is invalid; keeping the current tools', { errors: formatConfigErrors(configErrors, nextConfig) });
+      return;
+    }
+
+    const previous = new Map(toolSelection.enabled.map(tool => [tool.name, JSON.stringify(tool)]));
+    mcpConfig = nextConfig;
+    // TTLs and endpoints may have changed
+    responseCache.clear();
+    toolSelection = selectTools(mcpConfig.tools || [], toolFilterOptions);
+
+    const enabledNames = new Set(toolSelection.enabled.map(tool => tool.name));
+    const removed = [...previous.keys()].filter(name => !enabledNames.has(name));
+    const changed = toolSelection.enabled.filter(tool => previous.get(tool.name) !== JSON.stringify(tool));
+
+    liveServers.forEach((registered, server) => {
+      [...removed, ...changed.map(tool => tool.name)].forEach(name => {
+        registered.get(name)?.remove();
+        registered.delete(name);
+      });
+      registerConfiguredTools(server, changed).forEach((registeredTool, name) => registered.set(name, registeredTool));
+    });
+
+    logger.info(`Config reloaded: ${changed.length} tool(s) added or changed, ${removed.length} removed`, {
+      changed: changed.map(tool => tool.name),
+      removed
+    });
+  }
+
+  // Create a fully registered MCP server instance (one per stdio process or HTTP session)
+  function createMcpServer() {
+    const server = new McpServer({
+      name: mcpConfig.server?.name || "zenskar-api-server",
+      version: "1.0.0"
+    });
+
+    liveServers.set(server, registerConfiguredTools(server));
+    // Chain any handler already installed rather than replacing it
+    const previousOnClose = server.server.onclose;
+    server.server.onclose = () => {
+      liveServers.delete(server);
+      previousOnClose?.();
+    };
+    registerStoredResponseTool(server);
+    if (profileStore && profileStore.names.length > 0) {
+      registerProfileTools(server);
+    }
+    registerConfiguredResources(server);
+    registerFinancePrompts(server, {
+      isToolEnabled: name => toolSelection.enabled.some(tool => tool.name === name)
+    });
+    return server;
+  }
+
+  return {
+    get config() {
+      return mcpConfig;
+    },
+    get toolSelection() {
+      return toolSelection;
+    },
+    logger,
+    approvalTokens,
+    profiles: profileStore,
+    allowLiveWrites,
+    createMcpServer,
+    reloadConfig
+  };
+}
+
+// Build a fully registered McpServer; with `transport`, it is connected before being returned.
+// Accepts the createServerRuntime options plus { transport }.
+async function createZenskarServer({ transport, ...options } = {}) {
+  const server = createServerRuntime(options).createMcpServer();
+  if (transport) {
+    await server.connect(transport);
+  }
+  return server;
+}
+
+module.exports = {
+  createZenskarServer,
+  createServerRuntime,
+  DEFAULT_CONFIG_PATH,
+  registerTransform,
+  registerRequestHandler,
+  createRecordingFetch,
+  createReplayFetch,
+  startStubServer
+};
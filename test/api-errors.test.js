@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ZenskarApiError, classifyStatus, parseErrorBody, createApiError, buildErrorPayload, formatErrorText } = require('../src/api-errors.js');
+const { createStubFetch, setEnv, connectClient } = require('./helpers.js');
+
+test('HTTP statuses map to error categories', () => {
+  const categories = [400, 401, 403, 404, 409, 408, 422, 429, 500, 503, 418, null].map(classifyStatus);
+  assert.deepStrictEqual(categories, [
+    'validation', 'auth', 'permission', 'not_found', 'conflict', 'timeout', 'validation', 'rate_limited', 'server', 'server', 'validation', 'unknown'
+  ]);
+});
+
+test('field errors are read from each error body shape the API returns', () => {
+  assert.deepStrictEqual(parseErrorBody(JSON.stringify({ detail: 'Customer not found' })).message, 'Customer not found');
+
+  const fastApi = parseErrorBody(JSON.stringify({ detail: [{ loc: ['body', 'address', 'city'], msg: 'field required' }] }));
+  assert.deepStrictEqual(fastApi.fieldErrors, [{ field: 'address.city', message: 'field required' }]);
+  assert.strictEqual(fastApi.message, 'address.city: field required');
+
+  const keyed = parseErrorBody(JSON.stringify({ message: 'Invalid input', errors: { email: ['is invalid', 'is taken'] } }));
+  assert.strictEqual(keyed.message, 'Invalid input');
+  assert.deepStrictEqual(keyed.fieldErrors.map(entry => entry.message), ['is invalid', 'is taken']);
+
+  const text = parseErrorBody('<html>Bad Gateway</html>');
+  assert.strictEqual(text.message, '<html>Bad Gateway</html>');
+  assert.deepStrictEqual(text.fieldErrors, []);
+});
+
+test('an API error payload carries the category, field errors and a remediation', () => {
+  const error = createApiError(422, 'Unprocessable Entity', JSON.stringify({ detail: [{ loc: ['body', 'amount'], msg: 'must be positive' }] }));
+  const payload = buildErrorPayload('createPayment', error);
+
+  assert.strictEqual(payload.category, 'validation');
+  assert.strictEqual(payload.status, 422);
+  assert.deepStrictEqual(payload.field_errors, [{ field: 'amount', message: 'must be positive' }]);
+  assert.match(payload.remediation, /field_errors/);
+  assert.match(formatErrorText(payload), /Category: validation \(HTTP 422\)\nField errors:\n- amount: must be positive\nHow to fix: /);
+});
+
+test('errors without a status are classified as timeout, network or unknown', () => {
+  assert.strictEqual(buildErrorPayload('t', Object.assign(new Error('slow'), { timedOut: true, attempts: [{}] })).category, 'timeout');
+  assert.strictEqual(buildErrorPayload('t', Object.assign(new Error('refused'), { attempts: [{}, {}] })).category, 'network');
+  assert.strictEqual(buildErrorPayload('t', new Error('odd')).category, 'unknown');
+  assert.strictEqual(buildErrorPayload('t', new ZenskarApiError('no org', { category: 'auth' })).category, 'auth');
+});
+
+test('a failed tool call returns the structured error to the client', async () => {
+  const restoreEnv = setEnv({ ZENSKAR_ORGANIZATION: 'org1', ZENSKAR_API_KEY: 'sandbox_key', ZENSKAR_AUTH_TOKEN: undefined });
+  const stubFetch = createStubFetch(() => ({ status: 404, json: { detail: 'Customer not found' } }));
+  const session = await connectClient({ fetch: stubFetch, toolFilter: { tools: 'getCustomerById' } });
+  try {
+    const result = await session.client.callTool({ name: 'getCustomerById', arguments: { customerId: 'cus_missing' } });
+    assert.strictEqual(result.isError, true);
+    assert.strictEqual(result.structuredContent.error.category, 'not_found');
+    assert.strictEqual(result.structuredContent.error.status, 404);
+    assert.match(result.content[0].text, /Customer not found/);
+  } finally {
+    await session.close();
+    restoreEnv();
+  }
+});
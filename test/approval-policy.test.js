@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { evaluateApprovalPolicy, matchesToolPattern } = require('../src/approval-policy.js');
+const { loadConfig } = require('../src/config-loader.js');
+
+const deleteCustomer = { name: 'deleteCustomer', requestTemplate: { method: 'DELETE' } };
+const refundPayment = { name: 'refundPayment', requestTemplate: { method: 'POST' } };
+const listCustomers = { name: 'listCustomers', requestTemplate: { method: 'GET' } };
+
+test('tool patterns match whole names with * and ?', () => {
+  assert.ok(matchesToolPattern('delete*', 'deleteCustomer'));
+  assert.ok(matchesToolPattern('void?nvoice', 'voidInvoice'));
+  assert.ok(!matchesToolPattern('delete', 'deleteCustomer'));
+  assert.ok(!matchesToolPattern('list.*', 'listCustomers'));
+});
+
+test('the first rule whose method, tools and conditions all match applies', () => {
+  const policy = {
+    rules: [
+      { name: 'deletes', match: { methods: ['DELETE'] } },
+      { name: 'large-refund', match: { tools: ['refund*'], conditions: [{ arg: 'refund_amount', op: 'gt', value: 100000 }] } }
+    ]
+  };
+
+  assert.strictEqual(evaluateApprovalPolicy(policy, deleteCustomer, {}).name, 'deletes');
+  assert.strictEqual(evaluateApprovalPolicy(policy, refundPayment, { refund_amount: 150000 }).name, 'large-refund');
+  assert.strictEqual(evaluateApprovalPolicy(policy, refundPayment, { refund_amount: 5000 }), null);
+  assert.strictEqual(evaluateApprovalPolicy(policy, listCustomers, {}), null);
+  assert.strictEqual(evaluateApprovalPolicy(undefined, deleteCustomer, {}), null);
+});
+
+test('conditions read nested args and support every operator', () => {
+  const matches = (condition, args) => Boolean(evaluateApprovalPolicy({ rules: [{ match: { conditions: [condition] } }] }, refundPayment, args));
+
+  assert.ok(matches({ arg: 'payment.currency', op: 'in', value: ['USD', 'EUR'] }, { payment: { currency: 'EUR' } }));
+  assert.ok(!matches({ arg: 'payment.currency', op: 'notIn', value: ['USD', 'EUR'] }, { payment: { currency: 'EUR' } }));
+  assert.ok(matches({ arg: 'memo', op: 'exists' }, { memo: 'x' }));
+  assert.ok(matches({ arg: 'memo', op: 'missing' }, { memo: '' }));
+  assert.ok(matches({ arg: 'status', value: 'paid' }, { status: 'paid' }));
+  assert.ok(matches({ arg: 'status', op: 'ne', value: 'paid' }, { status: 'draft' }));
+  assert.ok(matches({ arg: 'amount', op: 'gte', value: 10 }, { amount: 10 }));
+  assert.ok(matches({ arg: 'amount', op: 'lt', value: 10 }, { amount: 9 }));
+  assert.ok(matches({ arg: 'amount', op: 'lte', value: 10 }, { amount: 10 }));
+  assert.ok(matches({ arg: 'email', op: 'matches', value: '@example\\.com$' }, { email: 'a@example.com' }));
+  assert.throws(() => matches({ arg: 'amount', op: 'between', value: 1 }, { amount: 1 }), /Unknown approval policy operator/);
+});
+
+test('the bundled policy covers every DELETE tool in the bundled config', () => {
+  const config = loadConfig(path.join(__dirname, '..', 'src', 'mcp-config.json'));
+  const uncovered = config.tools
+    .filter(tool => (tool.requestTemplate?.method || 'GET').toUpperCase() === 'DELETE')
+    .filter(tool => !tool.needsApproval && !evaluateApprovalPolicy(config.approvalPolicy, tool, {}))
+    .map(tool => tool.name);
+  assert.deepStrictEqual(uncovered, []);
+});
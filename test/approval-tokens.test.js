@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ApprovalTokenService = require('../src/approval-tokens.js');
+const { hashArguments } = require('../src/approval-tokens.js');
+const { createStubFetch, setEnv, connectClient, parseResult } = require('./helpers.js');
+
+const PAYMENT_A = '00000000-0000-4000-8000-00000000000a';
+const PAYMENT_B = '00000000-0000-4000-8000-00000000000b';
+const refund = { paymentId: PAYMENT_A, refund_amount: 200000, refund_destination: 'source', writeoff_invoices: false };
+const approve = (approvalToken, extra = {}) => ({ __userContext: { approval: { approved: true, approvalToken, ...extra } } });
+
+test('hashArguments ignores key order and undefined values', () => {
+  assert.strictEqual(hashArguments({ a: 1, b: { c: 2 } }), hashArguments({ b: { c: 2 }, a: 1, d: undefined }));
+  assert.notStrictEqual(hashArguments({ a: 1 }), hashArguments({ a: 2 }));
+});
+
+test('a token is bound to its tool and arguments and redeemable once', () => {
+  const service = new ApprovalTokenService({ secret: 'test-secret' });
+  const { token } = service.issue('refundPayment', refund);
+
+  assert.match(service.verify(token, 'deleteCustomer', refund).reason, /issued for refundPayment/);
+  assert.match(service.verify(token, 'refundPayment', { ...refund, refund_amount: 9999 }).reason, /Arguments differ/);
+  assert.deepStrictEqual(service.verify(token, 'refundPayment', { ...refund }), { valid: true });
+  assert.match(service.verify(token, 'refundPayment', refund).reason, /already been used/);
+});
+
+test('tokens signed with another secret or expired are rejected', () => {
+  const service = new ApprovalTokenService({ secret: 'test-secret' });
+  const { token } = new ApprovalTokenService({ secret: 'other-secret' }).issue('refundPayment', refund);
+  assert.match(service.verify(token, 'refundPayment', refund).reason, /signature is invalid/);
+
+  const expiring = new ApprovalTokenService({ secret: 'test-secret', ttlSeconds: -1 });
+  const expired = expiring.issue('refundPayment', refund).token;
+  assert.match(expiring.verify(expired, 'refundPayment', refund).reason, /expired/);
+});
+
+test.describe('approval flow', () => {
+  let restoreEnv;
+  let session;
+  let stubFetch;
+
+  test.beforeEach(async () => {
+    restoreEnv = setEnv({ ZENSKAR_ORGANIZATION: 'org1', ZENSKAR_API_KEY: 'sandbox_key', ZENSKAR_AUTH_TOKEN: undefined, KEY_B: 'sandbox_b' });
+    stubFetch = createStubFetch(() => ({ json: { id: 'refund_1' } }));
+    session = await connectClient({
+      fetch: stubFetch,
+      toolFilter: { tools: 'refundPayment' },
+      profiles: {
+        default: 'a',
+        profiles: {
+          a: { organization: 'orgA', auth: 'apiKey', credential: 'env:ZENSKAR_API_KEY', environment: 'sandbox' },
+          b: { organization: 'orgB', auth: 'apiKey', credential: 'env:KEY_B', environment: 'sandbox' }
+        }
+      }
+    });
+  });
+
+  test.afterEach(async () => {
+    await session.close();
+    restoreEnv();
+  });
+
+  const callRefund = args => session.client.callTool({ name: 'refundPayment', arguments: args });
+
+  test('runs the approved arguments once and does not call the API before approval', async () => {
+    const first = await callRefund(refund);
+    assert.strictEqual(first.isApprovalRequired, true);
+    assert.strictEqual(stubFetch.calls.length, 0);
+
+    const approved = await callRefund({ ...refund, ...approve(first.approvalRequest.approvalToken) });
+    assert.ok(!approved.isError && !approved.isApprovalRequired);
+    assert.strictEqual(stubFetch.calls.length, 1);
+    assert.match(stubFetch.calls[0].url, new RegExp(PAYMENT_A));
+
+    const replayed = await callRefund({ ...refund, ...approve(first.approvalRequest.approvalToken) });
+    assert.strictEqual(replayed.isApprovalRequired, true);
+    assert.match(parseResult(replayed).previousApprovalRejected, /already been used/);
+  });
+
+  test('arguments changed by the approver need their own approval before they run', async () => {
+    const first = await callRefund(refund);
+    const changed = { ...refund, paymentId: PAYMENT_B, refund_amount: 150000 };
+    const modified = await callRefund({ ...refund, ...approve(first.approvalRequest.approvalToken, { modifiedArguments: changed }) });
+
+    assert.strictEqual(modified.isApprovalRequired, true);
+    // The approval request carries the arguments as parsed, default profile included
+    assert.deepStrictEqual(modified.approvalRequest.arguments, { ...changed, profile: 'a' });
+    assert.strictEqual(stubFetch.calls.length, 0);
+
+    const reapproved = await callRefund({ ...changed, ...approve(modified.approvalRequest.approvalToken) });
+    assert.ok(!reapproved.isError && !reapproved.isApprovalRequired);
+    assert.strictEqual(stubFetch.calls.length, 1);
+    assert.match(stubFetch.calls[0].url, new RegExp(PAYMENT_B));
+    assert.strictEqual(JSON.parse(stubFetch.calls[0].body).refund_amount, 150000);
+  });
+
+  test('modified arguments identical to the approved ones run on the same token', async () => {
+    const first = await callRefund(refund);
+    const result = await callRefund({ ...refund, ...approve(first.approvalRequest.approvalToken, { modifiedArguments: { ...refund } }) });
+    assert.ok(!result.isError && !result.isApprovalRequired);
+    assert.strictEqual(stubFetch.calls.length, 1);
+  });
+
+  test('modified arguments are validated against the tool schema', async () => {
+    const first = await callRefund(refund);
+    const result = await callRefund({
+      ...refund,
+      ...approve(first.approvalRequest.approvalToken, { modifiedArguments: { ...refund, paymentId: 'not-a-uuid' } })
+    });
+    assert.strictEqual(result.isError, true);
+    assert.match(result.content[0].text, /modifiedArguments\.paymentId/);
+    assert.strictEqual(stubFetch.calls.length, 0);
+  });
+
+  test('modified arguments cannot switch the profile', async () => {
+    const first = await callRefund({ ...refund, profile: 'a' });
+    const result = await callRefund({
+      ...refund,
+      profile: 'a',
+      ...approve(first.approvalRequest.approvalToken, { modifiedArguments: { ...refund, profile: 'b' } })
+    });
+    assert.strictEqual(result.isError, true);
+    assert.match(result.content[0].text, /modifiedArguments\.profile/);
+    assert.strictEqual(stubFetch.calls.length, 0);
+  });
+});
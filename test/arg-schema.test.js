@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { z } = require('zod');
+const { buildArgZodType, catchFieldErrors, getFieldErrors } = require('../src/arg-schema.js');
+const { createStubFetch, setEnv, connectClient } = require('./helpers.js');
+
+const parse = (spec, value) => buildArgZodType(spec).safeParse(value);
+
+test('formats, enums and bounds are enforced', () => {
+  assert.ok(parse({ type: 'string', format: 'date' }, '2026-01-31').success);
+  assert.ok(!parse({ type: 'string', format: 'date' }, '31/01/2026').success);
+  assert.ok(parse({ type: 'string', format: 'date-time' }, '2026-01-31T00:00:00').success);
+  assert.ok(!parse({ type: 'string', format: 'uuid' }, 'abc').success);
+  assert.ok(!parse({ type: 'string', format: 'email' }, 'nobody').success);
+  assert.ok(parse({ enum: ['draft', 'paid'] }, 'paid').success);
+  assert.ok(!parse({ enum: [1, 2] }, 3).success);
+  assert.ok(!parse({ type: 'integer', minimum: 1 }, 0).success);
+  assert.ok(!parse({ type: 'integer' }, 1.5).success);
+  assert.ok(!parse({ type: 'number', maximum: 10 }, 11).success);
+});
+
+test('nested objects and arrays are typed and keep unlisted keys', () => {
+  const spec = {
+    type: 'array',
+    items: { type: 'object', properties: { quantity: { type: 'integer', required: true } } }
+  };
+  assert.deepStrictEqual(parse(spec, [{ quantity: 2, note: 'kept' }]).data, [{ quantity: 2, note: 'kept' }]);
+  assert.ok(!parse(spec, [{ note: 'no quantity' }]).success);
+});
+
+test('args are optional unless required', () => {
+  assert.ok(parse({ type: 'string' }, undefined).success);
+  assert.ok(!parse({ type: 'string', required: true }, undefined).success);
+});
+
+test('invalid fields become field errors with their paths instead of a parse failure', () => {
+  const schema = z.object(catchFieldErrors({
+    start_date: buildArgZodType({ type: 'string', format: 'date', required: true }),
+    lines: buildArgZodType({ type: 'array', items: { type: 'object', properties: { amount: { type: 'number', required: true } } } }),
+    memo: buildArgZodType({ type: 'string' })
+  }));
+
+  const parsed = schema.parse({ lines: [{ amount: 'ten' }], memo: 'ok' });
+  assert.strictEqual(parsed.memo, 'ok');
+  assert.deepStrictEqual(getFieldErrors(parsed), [
+    { field: 'start_date', message: 'is required' },
+    { field: 'lines[0].amount', message: 'Expected number, received string' }
+  ]);
+  assert.strictEqual(getFieldErrors(schema.parse({ start_date: '2026-01-01' })), null);
+});
+
+test('a tool call with invalid args gets a validation error result and no API request', async () => {
+  const restoreEnv = setEnv({ ZENSKAR_ORGANIZATION: 'org1', ZENSKAR_API_KEY: 'sandbox_key', ZENSKAR_AUTH_TOKEN: undefined });
+  const stubFetch = createStubFetch();
+  const session = await connectClient({ fetch: stubFetch, toolFilter: { tools: 'refundPayment' } });
+  try {
+    const { tools } = await session.client.listTools();
+    assert.ok(tools[0].inputSchema.required.includes('paymentId'));
+
+    const result = await session.client.callTool({ name: 'refundPayment', arguments: { paymentId: 'not-a-uuid', refund_amount: 10 } });
+    assert.strictEqual(result.isError, true);
+    assert.strictEqual(result.structuredContent.error.category, 'validation');
+    const fields = result.structuredContent.error.field_errors.map(error => error.field);
+    assert.ok(fields.includes('paymentId'));
+    assert.strictEqual(stubFetch.calls.length, 0);
+  } finally {
+    await session.close();
+    restoreEnv();
+  }
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mergeConfigs, loadConfig } = require('../src/config-loader.js');
+const { ConfigValidationError } = require('../src/config-validator.js');
+
+const base = {
+  server: { name: 'zenskar', version: '1' },
+  tools: [
+    { name: 'listCustomers', description: 'List customers', args: [{ name: 'limit', type: 'number' }, { name: 'cursor', type: 'string' }] },
+    { name: 'deleteCustomer', description: 'Delete a customer' }
+  ]
+};
+
+test('named entries merge by name and new names are appended', () => {
+  const merged = mergeConfigs(base, {
+    tools: [
+      { name: 'listCustomers', description: 'Customers, newest first', args: [{ name: 'limit', default: 50 }] },
+      { name: 'listProducts', description: 'List products' }
+    ]
+  });
+
+  assert.deepStrictEqual(merged.tools.map(tool => tool.name), ['listCustomers', 'deleteCustomer', 'listProducts']);
+  assert.strictEqual(merged.tools[0].description, 'Customers, newest first');
+  assert.deepStrictEqual(merged.tools[0].args, [{ name: 'limit', type: 'number', default: 50 }, { name: 'cursor', type: 'string' }]);
+  assert.deepStrictEqual(base.tools[0].args[0], { name: 'limit', type: 'number' });
+});
+
+test('objects merge key by key and scalars replace', () => {
+  const merged = mergeConfigs(base, { server: { version: '2' } });
+  assert.deepStrictEqual(merged.server, { name: 'zenskar', version: '2' });
+});
+
+test('an empty overlay list leaves a named list unchanged', () => {
+  assert.deepStrictEqual(mergeConfigs(base, { tools: [] }).tools, base.tools);
+  assert.deepStrictEqual(mergeConfigs(base, { tools: [{ name: 'listCustomers', args: [] }] }).tools[0].args, base.tools[0].args);
+});
+
+test('an overlay entry without a name in a named list is an error', () => {
+  assert.throws(
+    () => mergeConfigs(base, { tools: [{ description: 'no name' }] }),
+    error => error instanceof ConfigValidationError && /\$\.tools\[0\]/.test(error.lines[0])
+  );
+});
+
+test.describe('loadConfig', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-loader-'));
+    fs.writeFileSync(path.join(dir, 'base.json'), JSON.stringify(base));
+  });
+
+  test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const writeOverlay = (name, overlay) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, JSON.stringify(overlay));
+    return filePath;
+  };
+
+  test('"disabled": true removes a named entry at any depth', () => {
+    const overlay = writeOverlay('overlay.json', {
+      tools: [{ name: 'deleteCustomer', disabled: true }, { name: 'listCustomers', args: [{ name: 'cursor', disabled: true }] }]
+    });
+    const config = loadConfig(path.join(dir, 'base.json'), [overlay]);
+    assert.deepStrictEqual(config.tools.map(tool => tool.name), ['listCustomers']);
+    assert.deepStrictEqual(config.tools[0].args.map(arg => arg.name), ['limit']);
+  });
+
+  test('overlays apply in order', () => {
+    const first = writeOverlay('first.json', { tools: [{ name: 'listCustomers', description: 'first' }] });
+    const second = writeOverlay('second.json', { tools: [{ name: 'listCustomers', description: 'second' }] });
+    assert.strictEqual(loadConfig(path.join(dir, 'base.json'), [first, second]).tools[0].description, 'second');
+  });
+
+  test('merge errors name the overlay file', () => {
+    const overlay = writeOverlay('bad.json', { tools: [{ description: 'no name' }] });
+    assert.throws(
+      () => loadConfig(path.join(dir, 'base.json'), [overlay]),
+      error => error.lines[0].startsWith(`${overlay}: $.tools[0]`)
+    );
+  });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ConfigValidationError, validateConfig, formatConfigErrors } = require('../src/config-validator.js');
+const { loadConfig } = require('../src/config-loader.js');
+const { createServerRuntime } = require('../src/zenskar-server.js');
+const { quietLogger } = require('./helpers.js');
+
+const SERVER = path.join(__dirname, '..', 'src', 'server.js');
+const BUNDLED = path.join(__dirname, '..', 'src', 'mcp-config.json');
+
+const tool = overrides => ({
+  name: 'getWidget',
+  description: 'Get a widget',
+  args: [{ name: 'widgetId', type: 'string', position: 'path', required: true }],
+  requestTemplate: { url: '/widgets/{widgetId}', method: 'GET' },
+  ...overrides
+});
+const messagesFor = config => formatConfigErrors(validateConfig(config), config);
+
+test('the bundled config is valid', () => {
+  assert.deepStrictEqual(validateConfig(loadConfig(BUNDLED)), []);
+});
+
+test('errors carry the JSON path and the tool name', () => {
+  const config = {
+    tools: [
+      tool(),
+      tool({ name: 'listWidgets', args: [{ name: 'limit', type: 'int', position: 'query' }], requestTemplate: { url: '/widgets', method: 'FETCH' } })
+    ]
+  };
+  assert.deepStrictEqual(messagesFor(config), [
+    '$.tools[1].requestTemplate.method: unknown method "FETCH"; expected one of GET, POST, PUT, PATCH, DELETE (tool listWidgets)',
+    '$.tools[1].args[0].type: unknown type "int"; expected one of string, integer, number, boolean, object, array (tool listWidgets)'
+  ]);
+});
+
+test('url placeholders and path args must match, and GET tools cannot have body args', () => {
+  const config = {
+    tools: [tool({
+      args: [{ name: 'id', type: 'string', position: 'path' }, { name: 'note', type: 'string', position: 'body' }]
+    })]
+  };
+  const messages = messagesFor(config).join('\n');
+  assert.match(messages, /\$\.tools\[0\]\.args\[1\]\.position: body arg "note" on a GET request is never sent/);
+  assert.match(messages, /\$\.tools\[0\]\.requestTemplate\.url: placeholder \{widgetId\} has no arg with position "path"/);
+  assert.match(messages, /\$\.tools\[0\]\.args\[0\]\.position: path arg "id" has no \{id\} placeholder in the url/);
+});
+
+test('duplicate tools, unknown policy operators and dangling resource tools are reported', () => {
+  const config = {
+    tools: [tool(), tool()],
+    approvalPolicy: { rules: [{ name: 'r', match: { conditions: [{ arg: 'amount', op: 'between' }] } }] },
+    resources: [{ name: 'widget', uriTemplate: 'zenskar://widgets/{id}', readTool: 'getGadget' }]
+  };
+  const paths = validateConfig(config).map(error => error.path);
+  assert.deepStrictEqual(paths, ['$.tools[1].name', '$.resources[0].readTool', '$.approvalPolicy.rules[0].match.conditions[0].op']);
+});
+
+test('a server is not created from an invalid config', () => {
+  assert.throws(
+    () => createServerRuntime({ logger: quietLogger, config: { tools: [tool({ description: 7 })] } }),
+    error => error instanceof ConfigValidationError && error.lines[0] === '$.tools[0].description: must be a string (tool getWidget)'
+  );
+});
+
+test('validate-config exits non-zero and lists the errors', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-config-'));
+  const file = path.join(dir, 'config.json');
+  try {
+    fs.writeFileSync(file, JSON.stringify({ tools: [tool({ requestTemplate: { url: '/widgets/{widgetId}' } })] }));
+    assert.throws(
+      () => execFileSync(process.execPath, [SERVER, 'validate-config', file], { stdio: 'pipe' }),
+      error => error.status === 1 && /1 error\(s\)\n  \$\.tools\[0\]\.requestTemplate\.method/.test(error.stderr.toString())
+    );
+    assert.match(execFileSync(process.execPath, [SERVER, 'validate-config'], { stdio: 'pipe' }).toString(), /OK \(\d+ tools\)/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStubFetch, setEnv, connectClient, parseResult } = require('./helpers.js');
+
+test.describe('dry run', () => {
+  let restoreEnv;
+  let session;
+  let stubFetch;
+
+  test.beforeEach(async () => {
+    restoreEnv = setEnv({ ZENSKAR_ORGANIZATION: 'org1', ZENSKAR_API_KEY: 'sandbox_key', ZENSKAR_AUTH_TOKEN: undefined, MCP_DRY_RUN: undefined });
+    stubFetch = createStubFetch();
+    session = await connectClient({ fetch: stubFetch, toolFilter: { tools: 'createCustomer,deleteCustomer' } });
+  });
+
+  test.afterEach(async () => {
+    await session.close();
+    restoreEnv();
+  });
+
+  test('returns the built request with redacted credentials and sends nothing', async () => {
+    const result = await session.client.callTool({
+      name: 'createCustomer',
+      arguments: { customer_name: 'Acme', external_id: 'acme-1', dryRun: true }
+    });
+    const preview = parseResult(result);
+
+    assert.strictEqual(preview.dry_run, true);
+    assert.strictEqual(preview.method, 'POST');
+    assert.strictEqual(preview.url, 'https://api.sandbox.test/customer');
+    assert.strictEqual(preview.body.customer_name, 'Acme');
+    assert.strictEqual(preview.body.dryRun, undefined);
+    assert.strictEqual(preview.headers.organisation, 'org1');
+    assert.strictEqual(preview.headers['x-api-key'], '[REDACTED]');
+    assert.strictEqual(stubFetch.calls.length, 0);
+  });
+
+  test('a dry run of a tool that needs approval previews without an approval request', async () => {
+    const result = await session.client.callTool({ name: 'deleteCustomer', arguments: { customerId: 'cus_1', dryRun: true } });
+    assert.notStrictEqual(result.isApprovalRequired, true);
+    assert.strictEqual(parseResult(result).method, 'DELETE');
+    assert.strictEqual(stubFetch.calls.length, 0);
+  });
+
+  test('MCP_DRY_RUN=true turns every call into a dry run', async () => {
+    setEnv({ MCP_DRY_RUN: 'true' });
+    const result = await session.client.callTool({ name: 'createCustomer', arguments: { customer_name: 'Acme', external_id: 'acme-1' } });
+    assert.strictEqual(parseResult(result).dry_run, true);
+    assert.strictEqual(stubFetch.calls.length, 0);
+  });
+});
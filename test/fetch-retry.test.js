@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fetchWithRetry, describeAttempts, parseRetryAfter } = require('../src/fetch-retry.js');
+
+const fast = { baseDelayMs: 1, maxDelayMs: 50, timeoutMs: 1000, maxRetries: 3 };
+
+// fetch() answering with the given statuses in turn (the last one repeats); an Error entry is thrown instead
+function sequenceFetch(outcomes) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push(init.method || 'GET');
+    const outcome = outcomes[Math.min(calls.length - 1, outcomes.length - 1)];
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    const { status, headers } = typeof outcome === 'number' ? { status: outcome } : outcome;
+    return new Response(JSON.stringify({ status }), { status, headers });
+  };
+  fetchImpl.calls = calls;
+  return fetchImpl;
+}
+
+const connectionRefused = () => Object.assign(new Error('connect failed'), { code: 'ECONNREFUSED' });
+const connectionReset = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+test('transient statuses on a GET are retried until one succeeds', async () => {
+  const fetchImpl = sequenceFetch([503, 502, 200]);
+  const { response, text, attempts } = await fetchWithRetry('https://api.test/x', {}, { ...fast, fetch: fetchImpl });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(JSON.parse(text), { status: 200 });
+  assert.deepStrictEqual(attempts.map(attempt => attempt.status), [503, 502, 200]);
+});
+
+test('retries stop at maxRetries and the last response is returned', async () => {
+  const fetchImpl = sequenceFetch([500]);
+  const { response, attempts } = await fetchWithRetry('https://api.test/x', {}, { ...fast, maxRetries: 2, fetch: fetchImpl });
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual(fetchImpl.calls.length, 3);
+  assert.match(describeAttempts(attempts), /^3 attempts \(#1 HTTP 500 in \d+ms, retried after \d+ms; /);
+});
+
+test('client errors are not retried', async () => {
+  const fetchImpl = sequenceFetch([404, 200]);
+  const { response } = await fetchWithRetry('https://api.test/x', {}, { ...fast, fetch: fetchImpl });
+  assert.strictEqual(response.status, 404);
+  assert.strictEqual(fetchImpl.calls.length, 1);
+});
+
+test('a POST is only resent when the server provably did not process it', async () => {
+  const rejected = sequenceFetch([429, 200]);
+  assert.strictEqual((await fetchWithRetry('https://api.test/x', { method: 'POST' }, { ...fast, fetch: rejected })).response.status, 200);
+
+  const serverError = sequenceFetch([503, 200]);
+  assert.strictEqual((await fetchWithRetry('https://api.test/x', { method: 'POST' }, { ...fast, fetch: serverError })).response.status, 503);
+
+  const refused = sequenceFetch([connectionRefused(), 200]);
+  assert.strictEqual((await fetchWithRetry('https://api.test/x', { method: 'POST' }, { ...fast, fetch: refused })).response.status, 200);
+
+  const reset = sequenceFetch([connectionReset(), 200]);
+  await assert.rejects(fetchWithRetry('https://api.test/x', { method: 'POST' }, { ...fast, fetch: reset }), /socket hang up \(ECONNRESET\)/);
+});
+
+test('a POST marked idempotent is retried like a GET', async () => {
+  const fetchImpl = sequenceFetch([503, 200]);
+  const { response } = await fetchWithRetry('https://api.test/x', { method: 'POST' }, { ...fast, idempotent: true, fetch: fetchImpl });
+  assert.strictEqual(response.status, 200);
+});
+
+test('Retry-After sets the delay, and one over maxDelayMs ends the retries', async () => {
+  const honoured = sequenceFetch([{ status: 429, headers: { 'retry-after': '0' } }, 200]);
+  const { attempts } = await fetchWithRetry('https://api.test/x', {}, { ...fast, fetch: honoured });
+  assert.strictEqual(attempts[0].retryInMs, 0);
+
+  const tooLong = sequenceFetch([{ status: 429, headers: { 'retry-after': '120' } }, 200]);
+  const { response } = await fetchWithRetry('https://api.test/x', {}, { ...fast, fetch: tooLong });
+  assert.strictEqual(response.status, 429);
+  assert.strictEqual(tooLong.calls.length, 1);
+});
+
+test('an attempt that exceeds timeoutMs is aborted', async () => {
+  const hanging = (url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  });
+  await assert.rejects(
+    fetchWithRetry('https://api.test/x', { method: 'POST' }, { ...fast, timeoutMs: 20, fetch: hanging }),
+    error => error.timedOut === true && /timed out after 20ms/.test(error.message)
+  );
+});
+
+test('Retry-After accepts seconds and HTTP dates', () => {
+  assert.strictEqual(parseRetryAfter('3'), 3000);
+  assert.strictEqual(parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+  assert.ok(parseRetryAfter(new Date(Date.now() + 60000).toUTCString()) > 50000);
+  assert.strictEqual(parseRetryAfter('soon'), null);
+  assert.strictEqual(parseRetryAfter(null), null);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { FINANCE_PROMPTS } = require('../src/finance-prompts.js');
+const { loadConfig } = require('../src/config-loader.js');
+const { connectClient } = require('./helpers.js');
+
+test('every tool a prompt walks through exists in the bundled config', () => {
+  const config = loadConfig(path.join(__dirname, '..', 'src', 'mcp-config.json'));
+  const toolNames = new Set(config.tools.map(tool => tool.name));
+  FINANCE_PROMPTS.forEach(prompt => {
+    assert.deepStrictEqual(prompt.tools.filter(name => !toolNames.has(name)), [], prompt.name);
+  });
+});
+
+test('month-end close fills in the first and last day of the month', async () => {
+  const session = await connectClient();
+  try {
+    const { prompts } = await session.client.listPrompts();
+    assert.deepStrictEqual(prompts.map(prompt => prompt.name).sort(), FINANCE_PROMPTS.map(prompt => prompt.name).sort());
+
+    const { messages } = await session.client.getPrompt({ name: 'month-end-close', arguments: { month: '2024-02' } });
+    const text = messages[0].content.text;
+    assert.match(text, /2024-02 \(2024-02-01 to 2024-02-29\)/);
+    assert.doesNotMatch(text, /tools are disabled/);
+  } finally {
+    await session.close();
+  }
+});
+
+test('steps that need disabled tools are called out', async () => {
+  const session = await connectClient({ toolFilter: { readOnly: true, tools: '!getBalanceSheet' } });
+  try {
+    const { messages } = await session.client.getPrompt({ name: 'month-end-close', arguments: { month: '2024-02' } });
+    assert.match(messages[0].content.text, /these tools are disabled on this server, .*: getBalanceSheet\.$/);
+  } finally {
+    await session.close();
+  }
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecordingFetch, createReplayFetch, startStubServer } = require('../src/fixtures.js');
+const { createStubFetch } = require('./helpers.js');
+
+const API = 'https://api.zenskar.com';
+
+test.describe('fixture record and replay', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  });
+
+  test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const readFixtures = () => fs.readdirSync(dir).map(name => ({ name, ...JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')) }));
+
+  test('a recorded request replays with the same status and body', async () => {
+    let count = 0;
+    const record = createRecordingFetch({ dir, fetch: createStubFetch(() => ({ json: { results: [{ id: 'cus_1' }], call: ++count } })) });
+    const recorded = await (await record(`${API}/customers?limit=10`, { method: 'GET' })).json();
+
+    const replay = createReplayFetch({ dir });
+    const response = await replay('http://127.0.0.1:4010/customers?limit=10', { method: 'GET' });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), recorded);
+    assert.match(readFixtures()[0].name, /^GET_customers_[0-9a-f]{8}\.json$/);
+  });
+
+  test('repeated requests replay their responses in order, then the last one', async () => {
+    let count = 0;
+    const record = createRecordingFetch({ dir, fetch: createStubFetch(() => ({ json: { call: ++count } })) });
+    await record(`${API}/invoices`, { method: 'GET' });
+    await record(`${API}/invoices`, { method: 'GET' });
+
+    const replay = createReplayFetch({ dir });
+    const calls = [];
+    for (let index = 0; index < 3; index += 1) {
+      calls.push((await (await replay(`${API}/invoices`, { method: 'GET' })).json()).call);
+    }
+    assert.deepStrictEqual(calls, [1, 2, 2]);
+  });
+
+  test('requests with different bodies get their own fixtures', async () => {
+    const record = createRecordingFetch({ dir, fetch: createStubFetch(({ body }) => ({ json: { echoed: JSON.parse(body).name } })) });
+    await record(`${API}/customers`, { method: 'POST', body: JSON.stringify({ name: 'Acme' }) });
+    await record(`${API}/customers`, { method: 'POST', body: JSON.stringify({ name: 'Globex' }) });
+
+    const replay = createReplayFetch({ dir });
+    const response = await replay(`${API}/customers`, { method: 'POST', body: JSON.stringify({ name: 'Globex' }) });
+    assert.deepStrictEqual(await response.json(), { echoed: 'Globex' });
+    assert.strictEqual(readFixtures().length, 2);
+  });
+
+  test('credentials and PII fields are redacted in fixture files', async () => {
+    const record = createRecordingFetch({
+      dir,
+      fetch: createStubFetch(() => ({ json: { id: 'cus_1', email: 'jane@example.com', token: 'Bearer abc.def.ghi' } }))
+    });
+    await record(`${API}/customers`, {
+      method: 'POST',
+      headers: { 'x-api-key': 'sandbox_secret' },
+      body: JSON.stringify({ email: 'jane@example.com', api_key: 'sandbox_secret' })
+    });
+
+    const text = fs.readFileSync(path.join(dir, readFixtures()[0].name), 'utf8');
+    assert.doesNotMatch(text, /jane@example\.com|sandbox_secret|abc\.def\.ghi/);
+    assert.match(text, /cus_1/);
+  });
+
+  test('a request with no fixture answers 501 naming the expected file', async () => {
+    const response = await createReplayFetch({ dir })(`${API}/products`, { method: 'GET' });
+    assert.strictEqual(response.status, 501);
+    assert.match((await response.json()).detail, /No recorded fixture for GET \/products/);
+  });
+
+  test('the stub server serves recorded fixtures over HTTP', async () => {
+    const record = createRecordingFetch({ dir, fetch: createStubFetch(() => ({ json: { results: [] } })) });
+    await record(`${API}/plans?limit=5`, { method: 'GET' });
+
+    const server = await startStubServer({ dir, port: 0, logger: { error() {} } });
+    try {
+      const { port } = server.address();
+      const found = await fetch(`http://127.0.0.1:${port}/plans?limit=5`);
+      const missing = await fetch(`http://127.0.0.1:${port}/plans?limit=6`);
+      assert.deepStrictEqual(await found.json(), { results: [] });
+      assert.strictEqual(missing.status, 501);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateTools, mergeGeneratedTools } = require('../src/generate-config.js');
+
+const spec = {
+  openapi: '3.0.3',
+  components: {
+    schemas: {
+      Metric: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', description: 'Metric name' },
+          status: { anyOf: [{ type: 'string', enum: ['active', 'archived'] }, { type: 'null' }] },
+          started_at: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  },
+  paths: {
+    '/metrics/{metric_id}': {
+      parameters: [{ name: 'metric_id', in: 'path', schema: { type: 'string', format: 'uuid' } }],
+      get: {
+        operationId: 'getMetric',
+        summary: 'Get',
+        parameters: [{ name: 'expand', in: 'query', schema: { type: 'boolean' } }, { name: 'x-trace', in: 'header', schema: { type: 'string' } }]
+      }
+    },
+    '/metrics': {
+      post: {
+        summary: 'Create',
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Metric' } } } }
+      }
+    }
+  }
+};
+
+test('operations become tools with typed path, query and body args', () => {
+  const { tools, warnings } = generateTools(spec);
+  assert.deepStrictEqual(warnings, []);
+  assert.deepStrictEqual(tools.map(tool => tool.name), ['getMetric', 'postMetrics']);
+
+  const [getMetric, postMetrics] = tools;
+  assert.deepStrictEqual(getMetric.args.map(arg => [arg.name, arg.position, arg.required]), [
+    ['metric_id', 'path', true],
+    ['expand', 'query', false]
+  ]);
+  assert.strictEqual(getMetric.args[0].format, 'uuid');
+  assert.deepStrictEqual(postMetrics.requestTemplate, { url: '/metrics', method: 'POST', headers: { 'Content-Type': 'application/json' } });
+  assert.deepStrictEqual(postMetrics.args.find(arg => arg.name === 'status').enum, ['active', 'archived']);
+  assert.strictEqual(postMetrics.args.find(arg => arg.name === 'name').required, true);
+});
+
+test('include and exclude filter operations by operationId', () => {
+  assert.deepStrictEqual(generateTools(spec, { include: ['get*'] }).tools.map(tool => tool.name), ['getMetric']);
+  assert.deepStrictEqual(generateTools(spec, { exclude: ['get*'] }).tools.map(tool => tool.name), ['postMetrics']);
+  assert.throws(() => generateTools({ swagger: '2.0' }), /OpenAPI 3/);
+});
+
+test.describe('merging into an existing config', () => {
+  const existingTools = [
+    {
+      name: 'createRawMetric',
+      description: 'Create a usage event schema, called a raw metric in the API.',
+      needsApproval: true,
+      args: [
+        { name: 'name', type: 'string', description: 'Human-friendly name', position: 'body' },
+        { name: 'dataschema', type: 'object', description: 'Event fields', position: 'body' },
+        { name: 'legacy_flag', type: 'boolean', description: 'No longer used', position: 'body' }
+      ],
+      requestTemplate: {
+        url: '/metrics',
+        method: 'POST',
+        timeoutMs: 60000,
+        transforms: [{ type: 'jsonString', field: 'dataschema' }]
+      }
+    },
+    {
+      name: 'getMetricById',
+      description: 'Get a metric',
+      args: [{ name: 'metricId', type: 'string', position: 'path', required: true }],
+      requestTemplate: { url: '/metrics/{metricId}', method: 'GET' }
+    },
+    { name: 'getCurrentDateTime', description: 'Local tool', args: [], requestTemplate: { url: 'https://time.example/now', method: 'GET' } }
+  ];
+  const merged = mergeGeneratedTools(existingTools, generateTools(spec).tools);
+  const byName = name => merged.tools.find(tool => tool.name === name);
+
+  test('matching tools keep their names, path parameter names and hand-written settings', () => {
+    assert.deepStrictEqual(merged.updated.sort(), ['createRawMetric', 'getMetricById']);
+    assert.deepStrictEqual(merged.added, []);
+    assert.deepStrictEqual(merged.tools.map(tool => tool.name), ['createRawMetric', 'getMetricById', 'getCurrentDateTime']);
+
+    const getMetric = byName('getMetricById');
+    assert.strictEqual(getMetric.requestTemplate.url, '/metrics/{metricId}');
+    assert.strictEqual(getMetric.args[0].name, 'metricId');
+
+    const create = byName('createRawMetric');
+    assert.strictEqual(create.needsApproval, true);
+    assert.strictEqual(create.requestTemplate.timeoutMs, 60000);
+    assert.strictEqual(byName('getCurrentDateTime'), existingTools[2]);
+  });
+
+  test('hand-written descriptions win over the spec summaries', () => {
+    const create = byName('createRawMetric');
+    assert.strictEqual(create.description, existingTools[0].description);
+    assert.strictEqual(create.args.find(arg => arg.name === 'name').description, 'Human-friendly name');
+    assert.strictEqual(create.args.find(arg => arg.name === 'started_at').description, 'started at');
+  });
+
+  test('args missing from the spec are kept while a transform uses them, and reported otherwise', () => {
+    const names = byName('createRawMetric').args.map(arg => arg.name);
+    assert.ok(names.includes('dataschema'));
+    assert.ok(!names.includes('legacy_flag'));
+    assert.deepStrictEqual(merged.droppedArgs, [{ tool: 'createRawMetric', arg: 'legacy_flag' }]);
+  });
+});
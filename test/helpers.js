@@ -0,0 +1,59 @@
+// Shared setup for the server tests: an in-process MCP client connected to a server whose fetch() is a stub
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { createServerRuntime } = require('../src/zenskar-server.js');
+
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// fetch() answering every request with respond({ method, url, headers, body }) -> { status, json }.
+// Requests are kept in fetch.calls.
+function createStubFetch(respond = () => ({ json: {} })) {
+  const stubFetch = async (url, init = {}) => {
+    const call = { method: init.method || 'GET', url: String(url), headers: init.headers || {}, body: init.body };
+    stubFetch.calls.push(call);
+    const { status = 200, json = {} } = respond(call) || {};
+    return new Response(JSON.stringify(json), { status, headers: { 'content-type': 'application/json' } });
+  };
+  stubFetch.calls = [];
+  return stubFetch;
+}
+
+// Credentials the server reads over stdio; returns a function that restores the previous values
+function setEnv(values) {
+  const previous = {};
+  Object.entries(values).forEach(([key, value]) => {
+    previous[key] = process.env[key];
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  });
+  return () => setEnv(previous);
+}
+
+// Connect a client to a fresh runtime built with options (createServerRuntime options)
+async function connectClient(options = {}) {
+  const runtime = createServerRuntime({ logger: quietLogger, baseUrl: 'https://api.sandbox.test', ...options });
+  const server = runtime.createMcpServer();
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return {
+    client,
+    runtime,
+    close: async () => {
+      await client.close();
+      await server.close();
+    }
+  };
+}
+
+// The JSON payload of a tool result, skipping any text before it
+function parseResult(result) {
+  const text = result.content[0].text;
+  return JSON.parse(text.slice(text.indexOf('{')));
+}
+
+module.exports = { quietLogger, createStubFetch, setEnv, connectClient, parseResult };
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { startHttpServer } = require('../src/http-server.js');
+const { createServerRuntime } = require('../src/zenskar-server.js');
+const { quietLogger, createStubFetch, setEnv } = require('./helpers.js');
+
+test.describe('HTTP transport', () => {
+  let restoreEnv;
+  let httpServer;
+  let stubFetch;
+  let baseUrl;
+
+  test.before(async () => {
+    // Server credentials that HTTP callers must never borrow
+    restoreEnv = setEnv({ ZENSKAR_ORGANIZATION: 'server_org', ZENSKAR_API_KEY: 'sandbox_server', ZENSKAR_AUTH_TOKEN: undefined });
+    stubFetch = createStubFetch(() => ({ json: { results: [] } }));
+    const runtime = createServerRuntime({
+      fetch: stubFetch,
+      logger: quietLogger,
+      baseUrl: 'https://api.sandbox.test',
+      toolFilter: { tools: 'listCustomers' }
+    });
+    httpServer = await startHttpServer({ createServer: runtime.createMcpServer, logger: quietLogger, port: 0 });
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  test.after(async () => {
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+    restoreEnv();
+  });
+
+  // Call listCustomers in a new session sending headers; returns the result and the API requests it made
+  async function callWithHeaders(headers, args = {}) {
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    await client.connect(new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`), { requestInit: { headers } }));
+    const before = stubFetch.calls.length;
+    try {
+      const result = await client.callTool({ name: 'listCustomers', arguments: args });
+      return { result, sent: stubFetch.calls.slice(before) };
+    } finally {
+      await client.close();
+    }
+  }
+
+  test('each request uses the credentials in its own headers', async () => {
+    const { result, sent } = await callWithHeaders({ organisation: 'tenant_org', 'x-api-key': 'sandbox_tenant' });
+    assert.ok(!result.isError);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].headers.organisation, 'tenant_org');
+    assert.strictEqual(sent[0].headers['x-api-key'], 'sandbox_tenant');
+  });
+
+  for (const [label, headers] of [
+    ['no credentials', {}],
+    ['an organisation header only', { organisation: 'tenant_org' }],
+    ['an API key only', { 'x-api-key': 'sandbox_tenant' }]
+  ]) {
+    test(`a request with ${label} gets an auth error instead of the server's credentials`, async () => {
+      const { result, sent } = await callWithHeaders(headers);
+      assert.strictEqual(result.isError, true);
+      assert.strictEqual(result.structuredContent.error.category, 'auth');
+      assert.strictEqual(sent.length, 0);
+    });
+  }
+
+  test('credentials in __userContext are ignored over HTTP', async () => {
+    const { result, sent } = await callWithHeaders(
+      { organisation: 'tenant_org', 'x-api-key': 'sandbox_tenant' },
+      { __userContext: { organization: 'other_org', apiKey: 'sandbox_other' } }
+    );
+    assert.ok(!result.isError);
+    assert.strictEqual(sent[0].headers.organisation, 'tenant_org');
+    assert.strictEqual(sent[0].headers['x-api-key'], 'sandbox_tenant');
+  });
+
+  test('the health endpoint reports ok', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).status, 'ok');
+  });
+
+  test('a request without a session that is not an initialize request is rejected', async () => {
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    assert.strictEqual(response.status, 400);
+  });
+});
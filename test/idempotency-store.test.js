@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IdempotencyStore = require('../src/idempotency-store.js');
+const ResponseCache = require('../src/response-cache.js');
+const { createStubFetch, setEnv, connectClient } = require('./helpers.js');
+
+const args = { paymentId: '00000000-0000-4000-8000-00000000000a', refund_amount: 2000 };
+
+test('a repeated call in the window replays the first result under the same key', async () => {
+  const store = new IdempotencyStore();
+  let executions = 0;
+  const execute = async key => ({ executions: ++executions, key });
+
+  const first = await store.run(store.identify('org1|creds', 'refundPayment', args), execute);
+  const second = await store.run(store.identify('org1|creds', 'refundPayment', { ...args }), execute);
+
+  assert.strictEqual(first.replayed, false);
+  assert.strictEqual(second.replayed, true);
+  assert.strictEqual(second.key, first.key);
+  assert.deepStrictEqual(second.result, first.result);
+  assert.strictEqual(executions, 1);
+});
+
+test('the same arguments in another scope are a separate call', async () => {
+  const store = new IdempotencyStore();
+  let executions = 0;
+  const execute = async () => ++executions;
+
+  const orgA = ResponseCache.scopeOf({ organisation: 'orgA', 'x-api-key': 'key-a' }).scope;
+  const orgB = ResponseCache.scopeOf({ organisation: 'orgB', 'x-api-key': 'key-b' }).scope;
+  const orgAOtherKey = ResponseCache.scopeOf({ organisation: 'orgA', 'x-api-key': 'key-a2' }).scope;
+
+  await store.run(store.identify(orgA, 'refundPayment', args), execute);
+  const inOrgB = await store.run(store.identify(orgB, 'refundPayment', args), execute);
+  const withOtherCredentials = await store.run(store.identify(orgAOtherKey, 'refundPayment', args), execute);
+
+  assert.strictEqual(inOrgB.replayed, false);
+  assert.strictEqual(withOtherCredentials.replayed, false);
+  assert.strictEqual(executions, 3);
+});
+
+test('a caller key reused with different arguments is a conflict', async () => {
+  const store = new IdempotencyStore();
+  await store.run(store.identify('org1', 'refundPayment', args, 'key-1'), async () => 'done');
+
+  await assert.rejects(
+    store.run(store.identify('org1', 'refundPayment', { ...args, refund_amount: 3000 }, 'key-1'), async () => 'again'),
+    error => error.category === 'conflict' && /key-1/.test(error.message)
+  );
+});
+
+test('a failed call keeps its key for the retry', async () => {
+  const store = new IdempotencyStore();
+  const identity = store.identify('org1', 'refundPayment', args);
+  const keys = [];
+
+  await assert.rejects(store.run(identity, async key => {
+    keys.push(key);
+    throw new Error('network down');
+  }));
+  const retried = await store.run(identity, async key => {
+    keys.push(key);
+    return 'ok';
+  });
+
+  assert.strictEqual(retried.replayed, false);
+  assert.strictEqual(keys[0], keys[1]);
+});
+
+test('completed calls survive a restart when a store file is set', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-')), 'store.json');
+  const identity = new IdempotencyStore().identify('org1', 'refundPayment', args);
+
+  await new IdempotencyStore({ filePath }).run(identity, async () => ({ id: 'refund_1' }));
+  const replayed = await new IdempotencyStore({ filePath }).run(identity, async () => ({ id: 'refund_2' }));
+
+  assert.strictEqual(replayed.replayed, true);
+  assert.deepStrictEqual(replayed.result, { id: 'refund_1' });
+  fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+});
+
+test('the server sends the same refund once per organization', async () => {
+  const restoreEnv = setEnv({ ZENSKAR_ORGANIZATION: 'orgA', ZENSKAR_API_KEY: 'sandbox_a', ZENSKAR_AUTH_TOKEN: undefined });
+  const stubFetch = createStubFetch(() => ({ json: { id: 'refund_1' } }));
+  const session = await connectClient({ fetch: stubFetch, toolFilter: { tools: 'refundPayment' } });
+  const refund = { ...args, refund_destination: 'source', writeoff_invoices: false };
+  try {
+    await session.client.callTool({ name: 'refundPayment', arguments: refund });
+    await session.client.callTool({ name: 'refundPayment', arguments: refund });
+    assert.strictEqual(stubFetch.calls.length, 1);
+
+    setEnv({ ZENSKAR_ORGANIZATION: 'orgB', ZENSKAR_API_KEY: 'sandbox_b' });
+    await session.client.callTool({ name: 'refundPayment', arguments: refund });
+    assert.strictEqual(stubFetch.calls.length, 2);
+    assert.strictEqual(stubFetch.calls[1].headers.organisation, 'orgB');
+  } finally {
+    await session.close();
+    restoreEnv();
+  }
+});
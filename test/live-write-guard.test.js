@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStubFetch, setEnv, connectClient, parseResult } = require('./helpers.js');
+
+const approve = (approvalToken, extra = {}) => ({ __userContext: { approval: { approved: true, approvalToken, ...extra } } });
+const deleteArgs = { customerId: 'cus_1' };
+
+test.describe('live-write guard', () => {
+  let restoreEnv;
+  let session;
+  let stubFetch;
+
+  const connect = async ({ environment, allowLiveWrites }) => {
+    restoreEnv = setEnv({
+      ZENSKAR_ORGANIZATION: 'org_live',
+      ZENSKAR_API_KEY: 'live_key',
+      ZENSKAR_AUTH_TOKEN: undefined,
+      ZENSKAR_ENVIRONMENT: environment,
+      MCP_DRY_RUN: undefined
+    });
+    stubFetch = createStubFetch(() => ({ json: {} }));
+    session = await connectClient({ fetch: stubFetch, allowLiveWrites, toolFilter: { tools: 'deleteCustomer,listCustomers' } });
+  };
+
+  test.afterEach(async () => {
+    await session.close();
+    restoreEnv();
+  });
+
+  const callDelete = args => session.client.callTool({ name: 'deleteCustomer', arguments: args });
+
+  test('production writes are refused unless live writes are allowed', async () => {
+    await connect({ environment: 'production', allowLiveWrites: false });
+    const result = await callDelete(deleteArgs);
+    assert.strictEqual(result.isError, true);
+    assert.match(result.content[0].text, /live writes are disabled/);
+    assert.strictEqual(stubFetch.calls.length, 0);
+  });
+
+  test('reads and dry runs against production are not guarded', async () => {
+    await connect({ environment: 'production', allowLiveWrites: false });
+    const read = await session.client.callTool({ name: 'listCustomers', arguments: {} });
+    const dryRun = await callDelete({ ...deleteArgs, dryRun: true });
+    assert.ok(!read.isError);
+    assert.strictEqual(parseResult(dryRun).dry_run, true);
+    assert.strictEqual(stubFetch.calls.length, 1);
+  });
+
+  test('an allowed live write needs an approval with the organization ID typed in', async () => {
+    await connect({ environment: 'production', allowLiveWrites: true });
+    const first = await callDelete(deleteArgs);
+    assert.strictEqual(first.isApprovalRequired, true);
+    assert.deepStrictEqual(first.approvalRequest.liveWrite, {
+      target: 'production organization org_live',
+      confirmOrganizationRequired: true
+    });
+
+    const unconfirmed = await callDelete({ ...deleteArgs, ...approve(first.approvalRequest.approvalToken) });
+    assert.strictEqual(unconfirmed.isApprovalRequired, true);
+
+    const mistyped = await callDelete({ ...deleteArgs, ...approve(unconfirmed.approvalRequest.approvalToken, { confirmOrganization: 'org_other' }) });
+    assert.strictEqual(mistyped.isApprovalRequired, true);
+    assert.match(parseResult(mistyped).previousApprovalRejected, /organization/i);
+    assert.strictEqual(stubFetch.calls.length, 0);
+
+    const confirmed = await callDelete({ ...deleteArgs, ...approve(mistyped.approvalRequest.approvalToken, { confirmOrganization: 'org_live' }) });
+    assert.ok(!confirmed.isError && !confirmed.isApprovalRequired);
+    assert.strictEqual(stubFetch.calls.length, 1);
+    assert.strictEqual(stubFetch.calls[0].method, 'DELETE');
+  });
+
+  test('a typed organization ID without an approval token does not confirm', async () => {
+    await connect({ environment: 'production', allowLiveWrites: true });
+    const result = await callDelete({ ...deleteArgs, __userContext: { approval: { approved: true, confirmOrganization: 'org_live' } } });
+    assert.strictEqual(result.isApprovalRequired, true);
+    assert.strictEqual(stubFetch.calls.length, 0);
+  });
+
+  test('sandbox writes need no organization confirmation', async () => {
+    await connect({ environment: 'sandbox', allowLiveWrites: false });
+    const first = await callDelete(deleteArgs);
+    assert.strictEqual(first.isApprovalRequired, true);
+    assert.strictEqual(first.approvalRequest.liveWrite, undefined);
+
+    const approved = await callDelete({ ...deleteArgs, ...approve(first.approvalRequest.approvalToken) });
+    assert.ok(!approved.isError && !approved.isApprovalRequired);
+    assert.strictEqual(stubFetch.calls.length, 1);
+  });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger, adaptLogger, createRedactor, DEFAULT_PII_FIELDS } = require('../src/logger.js');
+const { setEnv } = require('./helpers.js');
+
+// A logger writing into an array instead of stderr
+function capture(options = {}) {
+  const lines = [];
+  const logger = createLogger({ level: 'debug', write: line => lines.push(line), ...options });
+  return { logger, lines };
+}
+
+test('credential keys and PII fields are redacted at any depth', () => {
+  const redact = createRedactor(DEFAULT_PII_FIELDS);
+  const redacted = redact({
+    headers: { Authorization: 'Bearer abc', 'x-api-key': 'k', organisation: 'org1' },
+    customers: [{ name: 'Acme', email: 'ap@acme.test', phone: null }]
+  });
+  assert.deepStrictEqual(redacted, {
+    headers: { Authorization: '[REDACTED]', 'x-api-key': '[REDACTED]', organisation: 'org1' },
+    customers: [{ name: 'Acme', email: '[REDACTED]', phone: null }]
+  });
+});
+
+test('credentials inside free text and JSON strings are masked', () => {
+  const restoreEnv = setEnv({ ZENSKAR_API_KEY: 'prodkey-0123456789' });
+  try {
+    const redact = createRedactor(DEFAULT_PII_FIELDS);
+    assert.strictEqual(redact('sent Bearer abc.def with prodkey-0123456789'), 'sent Bearer [REDACTED] with [REDACTED]');
+    assert.strictEqual(redact('key sandbox_a1b2c3d4e5f6g7h8 in sandbox_mode'), 'key [REDACTED] in sandbox_mode');
+    assert.strictEqual(redact('token eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl'), 'token [REDACTED]');
+    assert.deepStrictEqual(JSON.parse(redact('{"api_key":"abc","id":1}')), { api_key: '[REDACTED]', id: 1 });
+  } finally {
+    restoreEnv();
+  }
+});
+
+test('lines below the level are dropped', () => {
+  const { logger, lines } = capture({ level: 'warn' });
+  logger.info('quiet');
+  logger.warn('loud');
+  assert.strictEqual(lines.length, 1);
+  assert.match(lines[0], /\[MCP-WARN\] loud$/);
+  assert.strictEqual(logger.isDebugEnabled(), false);
+});
+
+test('JSON output carries the level, the correlation ID and redacted data', async () => {
+  const { logger, lines } = capture({ format: 'json' });
+  await logger.runWithContext({ tool: 'listCustomers' }, async () => {
+    logger.info('calling', { headers: { 'x-api-key': 'secret' } });
+  });
+  const entry = JSON.parse(lines[0]);
+  assert.strictEqual(entry.level, 'info');
+  assert.strictEqual(entry.tool, 'listCustomers');
+  assert.match(entry.correlationId, /^[0-9a-f-]{36}$/);
+  assert.deepStrictEqual(entry.data, { headers: { 'x-api-key': '[REDACTED]' } });
+});
+
+test('secrets added at runtime are masked in later lines', () => {
+  const { logger, lines } = capture();
+  logger.addSecret('profile-credential-123');
+  logger.error('request with profile-credential-123 failed');
+  assert.match(lines[0], /request with \[REDACTED\] failed/);
+});
+
+test('an adapted logger still redacts what it forwards', () => {
+  const received = [];
+  const logger = adaptLogger({ info: (...args) => received.push(args), debug() {}, warn() {}, error() {} });
+  logger.info('Bearer abc.def', { password: 'p' });
+  assert.deepStrictEqual(received, [['Bearer [REDACTED]', { password: '[REDACTED]' }]]);
+});
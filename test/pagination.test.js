@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStubFetch, setEnv, connectClient, parseResult } = require('./helpers.js');
+
+const BASE_URL = 'https://api.sandbox.test';
+const ROWS = Array.from({ length: 9 }, (_, index) => ({ id: `c${index}` }));
+
+// Pages of three rows; the cursor is the index of the page's first row. nextStyle picks how `next` is sent.
+function pagedCustomers(nextStyle) {
+  return createStubFetch(({ url }) => {
+    const cursor = new URL(url).searchParams.get('cursor');
+    const start = cursor ? Number(cursor.slice(1)) : 0;
+    const nextCursor = start + 3 < ROWS.length ? `c${start + 3}` : null;
+    const next = nextCursor && nextStyle === 'url' ? `${BASE_URL}/customers?limit=3&cursor=${nextCursor}` : nextCursor;
+    return { json: { results: ROWS.slice(start, start + 3), next } };
+  });
+}
+
+test.describe('server-side pagination', () => {
+  let restoreEnv;
+
+  test.beforeEach(() => {
+    restoreEnv = setEnv({ ZENSKAR_ORGANIZATION: 'org1', ZENSKAR_API_KEY: 'sandbox_key', ZENSKAR_AUTH_TOKEN: undefined });
+  });
+
+  test.afterEach(() => restoreEnv());
+
+  async function listCustomers(stubFetch, args) {
+    const session = await connectClient({ fetch: stubFetch, baseUrl: BASE_URL, toolFilter: { tools: 'listCustomers' } });
+    try {
+      const payload = parseResult(await session.client.callTool({ name: 'listCustomers', arguments: args }));
+      return payload.api_response || payload;
+    } finally {
+      await session.close();
+    }
+  }
+
+  const ids = payload => payload.results.map(row => row.id).join(',');
+
+  test('fetchAll follows next through every page', async () => {
+    const payload = await listCustomers(pagedCustomers('cursor'), { fetchAll: true });
+    assert.strictEqual(ids(payload), ROWS.map(row => row.id).join(','));
+    assert.strictEqual(payload.pagination.pages_fetched, 3);
+    assert.strictEqual(payload.pagination.truncated, false);
+    assert.strictEqual(payload.next, null);
+  });
+
+  for (const nextStyle of ['cursor', 'url']) {
+    test(`a fetch cut at a page boundary resumes from a bare cursor (next as ${nextStyle})`, async () => {
+      const payload = await listCustomers(pagedCustomers(nextStyle), { maxPages: 1 });
+      assert.strictEqual(ids(payload), 'c0,c1,c2');
+      assert.deepStrictEqual(payload.pagination.resume, { cursor: 'c3', page_offset: 0 });
+      assert.strictEqual(payload.next, 'c3');
+
+      const resumed = await listCustomers(pagedCustomers(nextStyle), { cursor: payload.next, maxPages: 1 });
+      assert.strictEqual(ids(resumed), 'c3,c4,c5');
+    });
+
+    test(`a fetch cut mid-page resumes at the first row not returned (next as ${nextStyle})`, async () => {
+      const payload = await listCustomers(pagedCustomers(nextStyle), { maxRows: 4 });
+      assert.strictEqual(ids(payload), 'c0,c1,c2,c3');
+      assert.deepStrictEqual(payload.pagination.resume, { cursor: 'c3', page_offset: 1 });
+      assert.strictEqual(payload.next, null);
+
+      const { cursor, page_offset: pageOffset } = payload.pagination.resume;
+      const resumed = await listCustomers(pagedCustomers(nextStyle), { cursor, pageOffset, maxRows: 10 });
+      assert.strictEqual(ids(resumed), 'c4,c5,c6,c7,c8');
+    });
+  }
+
+  test('a first page cut mid-page resumes without a cursor', async () => {
+    const payload = await listCustomers(pagedCustomers('cursor'), { maxRows: 2 });
+    assert.deepStrictEqual(payload.pagination.resume, { cursor: null, page_offset: 2 });
+
+    const resumed = await listCustomers(pagedCustomers('cursor'), { pageOffset: 2, maxRows: 3 });
+    assert.strictEqual(ids(resumed), 'c2,c3,c4');
+  });
+
+  test('a next link to another origin is not followed', async () => {
+    const stubFetch = createStubFetch(() => ({ json: { results: ROWS.slice(0, 3), next: 'https://elsewhere.example/customers?cursor=c3' } }));
+    const payload = await listCustomers(stubFetch, { fetchAll: true });
+    assert.strictEqual(stubFetch.calls.length, 1);
+    assert.strictEqual(payload.pagination.truncated, false);
+  });
+});
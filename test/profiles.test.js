@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProfileStore, ProfilesError } = require('../src/profiles.js');
+const { createStubFetch, setEnv, connectClient } = require('./helpers.js');
+
+const profilesData = {
+  default: 'acme-sandbox',
+  profiles: {
+    'acme-sandbox': { organization: 'org_a', auth: 'apiKey', credential: 'env:TEST_ACME_KEY', environment: 'sandbox' },
+    'globex-sandbox': {
+      organization: 'org_b',
+      auth: 'bearer',
+      credential: 'env:TEST_GLOBEX_TOKEN',
+      baseUrl: 'https://globex.sandbox.test/',
+      environment: 'sandbox'
+    }
+  }
+};
+
+test('profiles files with inline secrets or an unknown default are rejected', () => {
+  assert.throws(
+    () => new ProfileStore({ default: 'prod', profiles: { acme: { organization: 'org_a', auth: 'apiKey', credential: 'sk_live_123' } } }),
+    error => error instanceof ProfilesError && error.lines.length === 2 &&
+      /^profiles\.acme\.credential: .*inline secrets are not accepted$/.test(error.lines[0]) &&
+      error.lines[1] === 'default: unknown profile "prod"'
+  );
+});
+
+test('credentials are read from env vars or files next to the profiles file, and never described', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+  const restoreEnv = setEnv({ TEST_ACME_KEY: 'acme-secret', TEST_GLOBEX_TOKEN: undefined });
+  try {
+    fs.writeFileSync(path.join(dir, 'initech.jwt'), 'initech-token\n');
+    fs.writeFileSync(path.join(dir, 'profiles.json'), JSON.stringify({
+      profiles: {
+        ...profilesData.profiles,
+        initech: { organization: 'org_c', auth: 'bearer', credential: 'file:initech.jwt' }
+      }
+    }));
+    const store = ProfileStore.load(path.join(dir, 'profiles.json'));
+
+    assert.strictEqual(store.readCredential(store.get('acme-sandbox')), 'acme-secret');
+    assert.strictEqual(store.readCredential(store.get('initech')), 'initech-token');
+    assert.throws(() => store.readCredential(store.get('globex-sandbox')), /credential env:TEST_GLOBEX_TOKEN is not set/);
+
+    const described = store.describe(store.get('acme-sandbox'));
+    assert.strictEqual(described.credential_available, true);
+    assert.ok(!JSON.stringify(described).includes('acme-secret'));
+    assert.strictEqual(store.describe(store.get('globex-sandbox')).base_url, 'https://globex.sandbox.test');
+  } finally {
+    restoreEnv();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test.describe('profile selection in tool calls', () => {
+  const config = {
+    tools: [{ name: 'listTags', description: 'List tags', args: [], requestTemplate: { url: '/tags', method: 'GET' } }]
+  };
+  let restoreEnv;
+  let session;
+  let stubFetch;
+
+  test.beforeEach(async () => {
+    restoreEnv = setEnv({
+      ZENSKAR_ORGANIZATION: undefined,
+      ZENSKAR_API_KEY: undefined,
+      ZENSKAR_AUTH_TOKEN: undefined,
+      TEST_ACME_KEY: 'acme-secret',
+      TEST_GLOBEX_TOKEN: 'globex-token'
+    });
+    stubFetch = createStubFetch(() => ({ json: { results: [] } }));
+    session = await connectClient({ config, fetch: stubFetch, profiles: profilesData });
+  });
+
+  test.afterEach(async () => {
+    await session.close();
+    restoreEnv();
+  });
+
+  test('calls use the default profile and say which organization they ran against', async () => {
+    const result = await session.client.callTool({ name: 'listTags', arguments: {} });
+    const [call] = stubFetch.calls;
+    assert.strictEqual(call.headers.organisation, 'org_a');
+    assert.strictEqual(call.headers['x-api-key'], 'acme-secret');
+    assert.match(result.content.at(-1).text, /Zenskar organization: org_a \(.*profile acme-sandbox.*\)/);
+  });
+
+  test('the profile argument switches one call, useProfile switches the session', async () => {
+    await session.client.callTool({ name: 'listTags', arguments: { profile: 'globex-sandbox' } });
+    await session.client.callTool({ name: 'listTags', arguments: {} });
+    assert.deepStrictEqual(stubFetch.calls.map(call => call.headers.organisation), ['org_b', 'org_a']);
+    assert.ok(stubFetch.calls[0].url.startsWith('https://globex.sandbox.test/tags'));
+    assert.match(stubFetch.calls[0].headers.Authorization, /globex-token/);
+
+    await session.client.callTool({ name: 'useProfile', arguments: { profile: 'globex-sandbox' } });
+    await session.client.callTool({ name: 'listTags', arguments: {} });
+    assert.strictEqual(stubFetch.calls.at(-1).headers.organisation, 'org_b');
+
+    const listing = await session.client.callTool({ name: 'listProfiles', arguments: {} });
+    assert.strictEqual(JSON.parse(listing.content[0].text).active_profile, 'globex-sandbox');
+    assert.ok(!listing.content.some(item => /acme-secret|globex-token/.test(item.text)));
+  });
+});
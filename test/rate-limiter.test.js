@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../src/rate-limiter.js');
+
+// A task that stays in flight until release() is called
+function heldTask(log, name) {
+  let release;
+  const done = new Promise(resolve => {
+    release = resolve;
+  });
+  const task = info => {
+    log.push({ name, ...info });
+    return done.then(() => name);
+  };
+  return { task, release: () => release() };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('requests over the concurrency limit wait in order for a free slot', async () => {
+  const limiter = new RateLimiter({ ratePerSecond: 0, maxConcurrent: 2 });
+  const log = [];
+  const tasks = ['a', 'b', 'c', 'd'].map(name => heldTask(log, name));
+  const results = tasks.map(({ task }) => limiter.run('org1', task));
+
+  await tick();
+  assert.deepStrictEqual(log.map(entry => entry.name), ['a', 'b']);
+
+  tasks[1].release();
+  await tick();
+  assert.deepStrictEqual(log.map(entry => entry.name), ['a', 'b', 'c']);
+  assert.strictEqual(log[2].queued, true);
+  assert.strictEqual(log[2].queuedBehind, 2);
+
+  tasks.forEach(({ release }) => release());
+  assert.deepStrictEqual(await Promise.all(results), ['a', 'b', 'c', 'd']);
+});
+
+test('requests over the burst wait for the next token', async () => {
+  const limiter = new RateLimiter({ ratePerSecond: 20, burst: 2, maxConcurrent: 0 });
+  const log = [];
+  const startedAt = Date.now();
+  await Promise.all([1, 2, 3].map(name => limiter.run('org1', info => log.push({ name, at: Date.now() - startedAt, ...info }))));
+
+  assert.deepStrictEqual(log.map(entry => entry.queued), [false, false, true]);
+  // One token every 50ms at 20 per second
+  assert.ok(log[2].at >= 40, `third request started after ${log[2].at}ms`);
+  assert.ok(log[2].waitMs >= 40);
+});
+
+test('each organization has its own limits', async () => {
+  const limiter = new RateLimiter({ ratePerSecond: 0, maxConcurrent: 1 });
+  const log = [];
+  const first = heldTask(log, 'org1-a');
+  const running = limiter.run('org1', first.task);
+  const other = limiter.run('org2', () => 'org2-a');
+
+  assert.strictEqual(await other, 'org2-a');
+  first.release();
+  assert.strictEqual(await running, 'org1-a');
+});
+
+test('a failing request frees its slot and rejects its caller', async () => {
+  const limiter = new RateLimiter({ ratePerSecond: 0, maxConcurrent: 1 });
+  const failing = limiter.run('org1', async () => {
+    throw new Error('boom');
+  });
+  const next = limiter.run('org1', () => 'next');
+
+  await assert.rejects(failing, /boom/);
+  assert.strictEqual(await next, 'next');
+});
+
+test('with both limits off every request starts right away', async () => {
+  const limiter = new RateLimiter({ ratePerSecond: 0, maxConcurrent: 0 });
+  assert.strictEqual(limiter.enabled, false);
+  const infos = await Promise.all([1, 2, 3].map(() => limiter.run('org1', info => info)));
+  infos.forEach(info => assert.deepStrictEqual(info, { queued: false, waitMs: 0, queuedBehind: 0 }));
+});
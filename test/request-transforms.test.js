@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { applyRequestTransforms, describeStepProblems } = require('../src/request-transforms.js');
+const { ConfigValidationError } = require('../src/config-validator.js');
+const { createServerRuntime } = require('../src/zenskar-server.js');
+const { quietLogger, createStubFetch, setEnv, connectClient } = require('./helpers.js');
+
+const SERVER = path.join(__dirname, '..', 'src', 'server.js');
+
+test('built-in steps run in order and leave placement notes', () => {
+  const tool = {
+    name: 'createCustomer',
+    requestTemplate: {
+      transforms: [
+        { type: 'nestPrefix', prefix: 'address_', target: 'address', fields: ['line1', 'city'] },
+        { type: 'defaultFromContext', field: 'organization_id', source: 'organization' },
+        { type: 'forceValue', field: 'column_order', value: ['timestamp'], reason: 'Only timestamp ordering is supported' }
+      ]
+    }
+  };
+  const context = { tool, credentials: { orgId: 'org1' }, placementNotes: [] };
+  const body = applyRequestTransforms(tool, { name: 'Acme', address_line1: '1 Main St', address_city: 'Pune', column_order: ['id'] }, context);
+
+  assert.deepStrictEqual(body, {
+    name: 'Acme',
+    address: { line1: '1 Main St', city: 'Pune' },
+    organization_id: 'org1',
+    column_order: ['timestamp']
+  });
+  assert.deepStrictEqual(context.placementNotes.map(note => note.arg), ['address_*', 'organization_id', 'column_order']);
+  assert.strictEqual(context.placementNotes[2].reason, 'Only timestamp ordering is supported');
+});
+
+test('step problems name the unknown type, the wrong phase or the missing key', () => {
+  assert.match(describeStepProblems({ type: 'upperCase' }, 'request')[0], /^unknown transform type "upperCase"; expected one of nestPrefix,/);
+  assert.deepStrictEqual(describeStepProblems({ type: 'jobsSummary' }, 'request'), [
+    'transform "jobsSummary" runs on responses and cannot be used in requestTemplate'
+  ]);
+  assert.deepStrictEqual(describeStepProblems({ type: 'nestPrefix', prefix: 'a_' }, 'request'), ['transform "nestPrefix" needs "target"']);
+  assert.deepStrictEqual(describeStepProblems({ type: 'flattenArg', field: 'event' }, 'request'), []);
+});
+
+test.describe('transform plugins', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transform-plugins-'));
+  const pluginPath = path.join(dir, 'upper-case.js');
+  const configPath = path.join(dir, 'config.json');
+  fs.writeFileSync(pluginPath, `module.exports = function register({ registerTransform }) {
+  registerTransform('testUpperCaseField', {
+    phase: 'request',
+    requiredKeys: ['field'],
+    apply: (body, step) => ({ ...body, [step.field]: body[step.field].toUpperCase() })
+  });
+};
+`);
+  const config = {
+    tools: [{
+      name: 'createTag',
+      description: 'Create a tag',
+      args: [{ name: 'label', type: 'string', position: 'body', required: true }],
+      requestTemplate: { url: '/tags', method: 'POST', transforms: [{ type: 'testUpperCaseField', field: 'label' }] }
+    }]
+  };
+  fs.writeFileSync(configPath, JSON.stringify(config));
+
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('validate-config takes --transform-plugins before the file', () => {
+    const run = args => execFileSync(process.execPath, [SERVER, 'validate-config', ...args], { stdio: 'pipe', timeout: 30000 }).toString();
+    assert.throws(() => run([configPath]), error => /unknown transform type "testUpperCaseField"/.test(error.stderr.toString()));
+    assert.match(run(['--transform-plugins', pluginPath, configPath]), /config\.json: OK \(1 tools\)/);
+  });
+
+  test('a plugin step reshapes the request body', async () => {
+    const restoreEnv = setEnv({ ZENSKAR_ORGANIZATION: 'org1', ZENSKAR_API_KEY: 'sandbox_key', ZENSKAR_AUTH_TOKEN: undefined });
+    const stubFetch = createStubFetch(() => ({ json: { id: 'tag_1' } }));
+    const session = await connectClient({ config, fetch: stubFetch, transformPlugins: pluginPath });
+    try {
+      const result = await session.client.callTool({ name: 'createTag', arguments: { label: 'vip' } });
+      assert.ok(!result.isError, result.content[0].text);
+      assert.deepStrictEqual(JSON.parse(stubFetch.calls[0].body), { label: 'VIP' });
+    } finally {
+      await session.close();
+      restoreEnv();
+    }
+  });
+
+  test('a plugin that fails to load is reported as a config error', () => {
+    assert.throws(
+      () => createServerRuntime({ config, logger: quietLogger, transformPlugins: path.join(dir, 'missing.js') }),
+      error => error instanceof ConfigValidationError && /^transform plugin .*missing\.js: Cannot find module/.test(error.lines[0])
+    );
+  });
+});
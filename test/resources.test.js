@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStubFetch, setEnv, connectClient } = require('./helpers.js');
+
+test.describe('MCP resources', () => {
+  let restoreEnv;
+  let session;
+  let stubFetch;
+
+  test.beforeEach(async () => {
+    restoreEnv = setEnv({ ZENSKAR_ORGANIZATION: 'org1', ZENSKAR_API_KEY: 'sandbox_key', ZENSKAR_AUTH_TOKEN: undefined });
+    stubFetch = createStubFetch(({ url }) => {
+      const { pathname } = new URL(url);
+      if (pathname === '/customer') {
+        return { json: { results: [{ id: 'cus 1', customer_name: 'Acme' }, { id: 'cus_2', external_id: 'ext-2' }, { name: 'no id' }], next: null } };
+      }
+      if (pathname.startsWith('/customers/')) {
+        return { json: { id: decodeURIComponent(pathname.split('/')[2]), customer_name: 'Acme' } };
+      }
+      return { status: 500, json: { detail: 'boom' } };
+    });
+    session = await connectClient({ fetch: stubFetch, toolFilter: { tools: 'listCustomers,getCustomerById,listInvoices' } });
+  });
+
+  test.afterEach(async () => {
+    await session.close();
+    restoreEnv();
+  });
+
+  test('only resources whose read tool is enabled are registered', async () => {
+    const { resourceTemplates } = await session.client.listResourceTemplates();
+    assert.deepStrictEqual(resourceTemplates.map(template => template.uriTemplate), ['zenskar://customers/{customerId}']);
+  });
+
+  test('listing goes through the list tool and labels entries by their label fields', async () => {
+    const { resources } = await session.client.listResources();
+    assert.deepStrictEqual(resources.map(({ uri, name }) => ({ uri, name })), [
+      { uri: 'zenskar://customers/cus%201', name: 'Acme (cus 1)' },
+      { uri: 'zenskar://customers/cus_2', name: 'ext-2 (cus_2)' }
+    ]);
+  });
+
+  test('reading a URI calls the read tool with the decoded ID', async () => {
+    const { contents } = await session.client.readResource({ uri: 'zenskar://customers/cus%201' });
+    const payload = JSON.parse(contents[0].text);
+    assert.deepStrictEqual(payload.api_response || payload, { id: 'cus 1', customer_name: 'Acme' });
+    assert.strictEqual(contents[0].mimeType, 'application/json');
+    assert.match(contents[1].text, /^Zenskar organization: org1/);
+    assert.strictEqual(new URL(stubFetch.calls.at(-1).url).pathname, '/customers/cus%201');
+  });
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ResponseCache = require('../src/response-cache.js');
+const { createStubFetch, setEnv, connectClient } = require('./helpers.js');
+
+const acme = { organisation: 'acme', 'x-api-key': 'key-1' };
+const URL_TAXES = 'https://api.test/tax_categories';
+
+test('entries are scoped to the organization and credentials and handed out as copies', () => {
+  const cache = new ResponseCache();
+  cache.set(acme, URL_TAXES, 'listTaxCategories', { results: ['gst'] }, 60);
+
+  const hit = cache.get(acme, URL_TAXES);
+  assert.deepStrictEqual(hit.data, { results: ['gst'] });
+  hit.data.results.push('vat');
+  assert.deepStrictEqual(cache.get(acme, URL_TAXES).data, { results: ['gst'] });
+
+  assert.strictEqual(cache.get({ ...acme, 'x-api-key': 'key-2' }, URL_TAXES), null);
+  assert.strictEqual(cache.get({ organisation: 'globex', 'x-api-key': 'key-1' }, URL_TAXES), null);
+});
+
+test('expired entries are dropped and the oldest entry is evicted when full', () => {
+  const cache = new ResponseCache({ maxEntries: 2 });
+  cache.set(acme, `${URL_TAXES}?expired`, 'listTaxCategories', {}, 0);
+  assert.strictEqual(cache.get(acme, `${URL_TAXES}?expired`), null);
+
+  ['a', 'b', 'c'].forEach(page => cache.set(acme, `${URL_TAXES}?page=${page}`, 'listTaxCategories', { page }, 60));
+  assert.strictEqual(cache.get(acme, `${URL_TAXES}?page=a`), null);
+  assert.strictEqual(cache.get(acme, `${URL_TAXES}?page=c`).data.page, 'c');
+});
+
+test('invalidation drops matching tools for every caller in the organization only', () => {
+  const cache = new ResponseCache();
+  const otherCaller = { organisation: 'acme', Authorization: 'Bearer t' };
+  const globex = { organisation: 'globex', 'x-api-key': 'key-1' };
+  cache.set(acme, 'https://api.test/accounts', 'listAccounts', {}, 60);
+  cache.set(otherCaller, 'https://api.test/accounts', 'listAccounts', {}, 60);
+  cache.set(acme, 'https://api.test/products', 'listProducts', {}, 60);
+  cache.set(globex, 'https://api.test/accounts', 'listAccounts', {}, 60);
+
+  assert.strictEqual(cache.invalidate('acme', ['list*Accounts']), 2);
+  assert.ok(cache.get(acme, 'https://api.test/products'));
+  assert.ok(cache.get(globex, 'https://api.test/accounts'));
+});
+
+test.describe('cached tool calls', () => {
+  const config = {
+    tools: [
+      {
+        name: 'listTags',
+        description: 'List tags',
+        args: [],
+        requestTemplate: { url: '/tags', method: 'GET' },
+        cache: { ttlSeconds: 300 }
+      },
+      {
+        name: 'createTag',
+        description: 'Create a tag',
+        args: [{ name: 'label', type: 'string', position: 'body', required: true }],
+        requestTemplate: { url: '/tags', method: 'POST' },
+        cache: { invalidates: ['listTags'] }
+      }
+    ]
+  };
+  let restoreEnv;
+  let session;
+  let stubFetch;
+  const getCount = () => stubFetch.calls.filter(call => call.method === 'GET').length;
+
+  test.beforeEach(async () => {
+    restoreEnv = setEnv({ ZENSKAR_ORGANIZATION: 'org1', ZENSKAR_API_KEY: 'sandbox_key', ZENSKAR_AUTH_TOKEN: undefined, MCP_CACHE: undefined });
+    stubFetch = createStubFetch(({ method }) => ({ json: method === 'GET' ? { results: [] } : { id: 'tag_1' } }));
+    session = await connectClient({ config, fetch: stubFetch });
+  });
+
+  test.afterEach(async () => {
+    await session.close();
+    restoreEnv();
+  });
+
+  test('a repeated read is served from the cache unless bypassed', async () => {
+    await session.client.callTool({ name: 'listTags', arguments: {} });
+    await session.client.callTool({ name: 'listTags', arguments: {} });
+    assert.strictEqual(getCount(), 1);
+
+    await session.client.callTool({ name: 'listTags', arguments: { cache: 'bypass' } });
+    assert.strictEqual(getCount(), 2);
+  });
+
+  test('a related write clears the cached read', async () => {
+    await session.client.callTool({ name: 'listTags', arguments: {} });
+    const created = await session.client.callTool({ name: 'createTag', arguments: { label: 'vip' } });
+    assert.ok(!created.isError, created.content[0].text);
+    await session.client.callTool({ name: 'listTags', arguments: {} });
+    assert.strictEqual(getCount(), 2);
+  });
+
+  test('only cached tools take the cache argument', async () => {
+    const { tools } = await session.client.listTools();
+    const cacheArgs = tools.filter(tool => tool.inputSchema.properties.cache).map(tool => tool.name);
+    assert.deepStrictEqual(cacheArgs, ['listTags']);
+  });
+});
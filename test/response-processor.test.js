@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ResponseProcessor = require('../src/response-processor.js');
+
+const page = {
+  results: Array.from({ length: 50 }, (_, index) => ({ id: `inv_${index}`, status: 'paid', notes: 'x'.repeat(200), _links: {} })),
+  next: 'cursor_2',
+  total_count: 120
+};
+
+const shapeResponse = (data, options = {}, processorOptions = {}) =>
+  JSON.parse(new ResponseProcessor(processorOptions).processResponse(data, 'listInvoices', options));
+
+test('fields projects the payload and keeps pagination metadata', () => {
+  const shaped = shapeResponse(page, { fields: 'results[].id,results[].status' });
+  assert.deepStrictEqual(Object.keys(shaped).sort(), ['next', 'results', 'total_count']);
+  assert.deepStrictEqual(shaped.results[0], { id: 'inv_0', status: 'paid' });
+  assert.strictEqual(shaped.next, 'cursor_2');
+});
+
+test('a leading [] projects a top-level array', () => {
+  assert.deepStrictEqual(shapeResponse([{ id: 1, name: 'a' }, { id: 2, name: 'b' }], { fields: '[].id' }), [{ id: 1 }, { id: 2 }]);
+});
+
+test('drop keys from the config and the call are removed at any depth', () => {
+  const shaped = shapeResponse({ template_info: 'Invoices', api_response: page }, { dropKeys: ['notes'] }, { dropKeys: ['_links'] });
+  assert.strictEqual(shaped.template_info, 'Invoices');
+  assert.deepStrictEqual(shaped.api_response.results[0], { id: 'inv_0', status: 'paid' });
+});
+
+test('an oversized response drops whole list items and stays valid JSON', () => {
+  const shaped = shapeResponse(page, {}, { maxTokens: 1000 });
+  const kept = shaped.results.length;
+
+  assert.ok(kept > 0 && kept < 50);
+  // The budget covers the payload; the truncation note comes on top
+  const { _truncation, ...payload } = shaped;
+  assert.ok(JSON.stringify(payload, null, 2).length <= 4000);
+  assert.deepStrictEqual(shaped._truncation.arrays, [{
+    array_path: 'results',
+    kept_items: kept,
+    omitted_items: 50 - kept,
+    last_kept_id: `inv_${kept - 1}`
+  }]);
+});
+
+test('stored overflow gives a handle and where the omitted items start', () => {
+  const shaped = shapeResponse(page, { storeOverflow: () => ({ handle: 'resp_1', expiresAt: 'later' }) }, { maxTokens: 1000 });
+  assert.strictEqual(shaped._truncation.stored_response.handle, 'resp_1');
+  assert.deepStrictEqual(shaped._truncation.arrays[0].resume, { path: 'results', offset: shaped.results.length });
+});
+
+test('a payload with no list to shorten becomes a valid text preview', () => {
+  const shaped = shapeResponse({ document: 'y'.repeat(10000) }, {}, { maxTokens: 1000 });
+  assert.strictEqual(shaped._truncation.original_chars, JSON.stringify({ document: 'y'.repeat(10000) }).length);
+  assert.strictEqual(typeof shaped.preview, 'string');
+});
+
+test('plain text is cut by length', () => {
+  const text = new ResponseProcessor({ maxTokens: 10 }).processResponse('z'.repeat(100), 'getPdf');
+  assert.ok(text.startsWith('z'.repeat(40)));
+  assert.match(text, /\[Response truncated due to length\]$/);
+});
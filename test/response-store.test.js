@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ResponseStore = require('../src/response-store.js');
+const { resolveJsonPath, describeStructure } = require('../src/response-store.js');
+const { createStubFetch, setEnv, connectClient, parseResult } = require('./helpers.js');
+
+test('a stored response is only readable in the scope that stored it', () => {
+  const store = new ResponseStore();
+  const { handle } = store.put('scope-a', 'listInvoices', { results: [1, 2] });
+  assert.deepStrictEqual(store.get(handle, 'scope-a').data, { results: [1, 2] });
+  assert.strictEqual(store.get(handle, 'scope-b'), null);
+  assert.strictEqual(store.get('resp_unknown', 'scope-a'), null);
+});
+
+test('the oldest entries are evicted to stay within maxEntries and maxBytes', () => {
+  const store = new ResponseStore({ maxEntries: 2, maxBytes: 100 });
+  const first = store.put('s', 't', 'a').handle;
+  const second = store.put('s', 't', 'b').handle;
+  const third = store.put('s', 't', 'c').handle;
+  assert.strictEqual(store.get(first, 's'), null);
+  assert.ok(store.get(second, 's') && store.get(third, 's'));
+
+  assert.strictEqual(store.put('s', 't', 'x'.repeat(200)), null);
+  store.put('s', 't', 'y'.repeat(96));
+  assert.strictEqual(store.get(third, 's'), null);
+});
+
+test('expired entries are dropped', () => {
+  const store = new ResponseStore({ ttlSeconds: -1 });
+  const { handle } = store.put('s', 't', {});
+  assert.strictEqual(store.get(handle, 's'), null);
+});
+
+test('JSON paths resolve keys and indexes', () => {
+  const data = { results: [{ line_items: [{ id: 'li_1' }] }] };
+  assert.deepStrictEqual(resolveJsonPath(data, 'results[0].line_items[0]'), { id: 'li_1' });
+  assert.strictEqual(resolveJsonPath(data, '$'), data);
+  assert.throws(() => resolveJsonPath(data, 'results[1]'), /does not exist/);
+});
+
+test('describeStructure gives keys, types and list lengths without contents', () => {
+  assert.deepStrictEqual(describeStructure({ results: [{ id: 'a' }], note: 'z'.repeat(100) }), {
+    type: 'object',
+    properties: {
+      results: { type: 'array', length: 1, items: { type: 'object', keys: 1 } },
+      note: { type: 'string', length: 100 }
+    }
+  });
+});
+
+test('an oversized tool result can be read back with getStoredResponse in the same organization only', async () => {
+  const restoreEnv = setEnv({
+    ZENSKAR_ORGANIZATION: 'org1',
+    ZENSKAR_API_KEY: 'sandbox_key',
+    ZENSKAR_AUTH_TOKEN: undefined,
+    MCP_RESPONSE_MAX_TOKENS: '500'
+  });
+  const rows = Array.from({ length: 40 }, (_, index) => ({ id: `cus_${index}`, notes: 'n'.repeat(100) }));
+  const stubFetch = createStubFetch(() => ({ json: { results: rows, next: null } }));
+  const session = await connectClient({ fetch: stubFetch, toolFilter: { tools: 'listCustomers' } });
+  try {
+    const truncated = parseResult(await session.client.callTool({ name: 'listCustomers', arguments: {} }));
+    const { handle } = truncated._truncation.stored_response;
+    const { path, offset } = truncated._truncation.arrays[0].resume;
+    assert.match(handle, /^resp_/);
+
+    const readStored = args => session.client.callTool({ name: 'getStoredResponse', arguments: { handle, ...args } });
+    const rest = parseResult(await readStored({ path, offset, limit: 2, fields: 'id' }));
+    assert.strictEqual(rest.total_items, 40);
+    assert.deepStrictEqual(rest.items, [{ id: `cus_${offset}` }, { id: `cus_${offset + 1}` }]);
+    assert.strictEqual(stubFetch.calls.length, 1);
+
+    setEnv({ ZENSKAR_ORGANIZATION: 'org2' });
+    const otherOrg = await readStored({ path });
+    assert.strictEqual(otherOrg.isError, true);
+    assert.strictEqual(otherOrg.structuredContent.error.category, 'not_found');
+  } finally {
+    await session.close();
+    restoreEnv();
+  }
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createServerRuntime } = require('../src/zenskar-server.js');
+const { quietLogger, connectClient } = require('./helpers.js');
+
+const select = toolFilter => createServerRuntime({ logger: quietLogger, toolFilter }).toolSelection;
+const enabledNames = toolFilter => select(toolFilter).enabled.map(tool => tool.name);
+
+test('read-only mode keeps only GET tools that are not marked mutating', () => {
+  const { enabled, filtered } = select({ readOnly: true });
+  assert.ok(enabled.length > 0);
+  enabled.forEach(tool => {
+    assert.strictEqual((tool.requestTemplate?.method || 'GET').toUpperCase(), 'GET');
+    assert.notStrictEqual(tool.mutating, true);
+  });
+  const deleteCustomer = filtered.find(entry => entry.name === 'deleteCustomer');
+  assert.strictEqual(deleteCustomer.reason, 'read-only mode (DELETE)');
+});
+
+test('an include list keeps only the matching tools', () => {
+  assert.deepStrictEqual(enabledNames({ tools: 'listCustomers,getCustomerById' }).sort(), ['getCustomerById', 'listCustomers']);
+  assert.ok(enabledNames({ tools: ['list*'] }).every(name => name.startsWith('list')));
+});
+
+test('exclusions win over inclusions and name the pattern', () => {
+  const { enabled, filtered } = select({ tools: 'list*,!listCustomers' });
+  assert.ok(!enabled.some(tool => tool.name === 'listCustomers'));
+  assert.ok(enabled.some(tool => tool.name === 'listProducts'));
+  assert.deepStrictEqual(filtered.find(entry => entry.name === 'listCustomers'), { name: 'listCustomers', reason: 'excluded by !listCustomers' });
+});
+
+test('filtered tools are not registered with the MCP server', async () => {
+  const session = await connectClient({ toolFilter: { readOnly: true, tools: '*Customer*' } });
+  try {
+    const { tools } = await session.client.listTools();
+    const names = tools.map(tool => tool.name);
+    assert.ok(names.includes('listCustomers'));
+    assert.ok(!names.includes('deleteCustomer'));
+    assert.ok(!names.includes('createCustomer'));
+  } finally {
+    await session.close();
+  }
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { createZenskarServer } = require('../src/zenskar-server.js');
+const { quietLogger, createStubFetch, setEnv, connectClient, parseResult } = require('./helpers.js');
+
+const getTool = (name, url) => ({
+  name,
+  description: `GET ${url}`,
+  args: [{ name: 'limit', type: 'integer', position: 'query' }],
+  requestTemplate: { url, method: 'GET' }
+});
+const config = { tools: [getTool('listWidgets', '/widgets')] };
+
+test('requiring the module starts nothing', () => {
+  const output = execFileSync(process.execPath, ['-e', "require('./src/zenskar-server.js')"], {
+    cwd: path.join(__dirname, '..'),
+    stdio: 'pipe',
+    timeout: 30000
+  });
+  assert.strictEqual(output.toString(), '');
+});
+
+test('createZenskarServer connects the transport and runs calls through the injected fetch and hooks', async () => {
+  const restoreEnv = setEnv({ ZENSKAR_ORGANIZATION: 'org1', ZENSKAR_API_KEY: 'sandbox_key', ZENSKAR_AUTH_TOKEN: undefined });
+  const stubFetch = createStubFetch(() => ({ json: { results: [{ id: 'w1' }] } }));
+  const seen = [];
+  const hooks = {
+    beforeCall: ({ tool, args }) => {
+      seen.push(`before ${tool.name}`);
+      return { ...args, limit: 5 };
+    },
+    afterCall: ({ tool, args, result }) => {
+      seen.push(`after ${tool.name} ${args.limit}`);
+      return { ...result, audited: true };
+    }
+  };
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const server = await createZenskarServer({
+    config,
+    transport: serverTransport,
+    fetch: stubFetch,
+    logger: quietLogger,
+    hooks,
+    baseUrl: 'https://api.sandbox.test'
+  });
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  try {
+    const result = await client.callTool({ name: 'listWidgets', arguments: { limit: 1 } });
+    assert.strictEqual(new URL(stubFetch.calls[0].url).searchParams.get('limit'), '5');
+    assert.deepStrictEqual(seen, ['before listWidgets', 'after listWidgets 5']);
+    assert.strictEqual(parseResult(result).audited, true);
+  } finally {
+    await client.close();
+    await server.close();
+    restoreEnv();
+  }
+});
+
+test('reloadConfig updates the tools of connected servers and ignores an invalid config', async () => {
+  const session = await connectClient({ config });
+  try {
+    session.runtime.reloadConfig({ tools: [getTool('listWidgets', '/v2/widgets'), getTool('listGadgets', '/gadgets')] });
+    let { tools } = await session.client.listTools();
+    assert.deepStrictEqual(tools.map(tool => tool.name).filter(name => name.startsWith('list')).sort(), ['listGadgets', 'listWidgets']);
+    assert.strictEqual(tools.find(tool => tool.name === 'listWidgets').description, 'GET /v2/widgets');
+
+    session.runtime.reloadConfig({ tools: [{ name: 'broken' }] });
+    ({ tools } = await session.client.listTools());
+    assert.ok(tools.some(tool => tool.name === 'listGadgets'));
+    assert.strictEqual(session.runtime.config.tools.length, 2);
+  } finally {
+    await session.close();
+  }
+});